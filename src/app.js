@@ -15,6 +15,12 @@ import xssMiddleware from "./middleware/xss.middleware.js";
 // Routes
 import authRoutes from "./routes/auth.routes.js";
 import gamesRoutes from "./routes/games.routes.js";
+import openingsRoutes from "./routes/openings.routes.js";
+import puzzlesRoutes from "./routes/puzzles.routes.js";
+import challengesRoutes from "./routes/challenges.routes.js";
+import leaderboardsRoutes from "./routes/leaderboards.routes.js";
+import ratingsRoutes from "./routes/ratings.routes.js";
+import tournamentsRoutes from "./routes/tournaments.routes.js";
 import healthRoutes from "./routes/health.routes.js";
 import dataAccessRoutes from "./routes/dataAccess.routes.js";
 import dataPortabilityRoutes from "./routes/dataPortability.routes.js";
@@ -74,6 +80,22 @@ app.use("/api/third-party", thirdPartyRoutes);
 // Game routes
 app.use("/api/games", gamesRoutes);
 
+// Opening book
+app.use("/api/openings", openingsRoutes);
+
+// Puzzles
+app.use("/api/puzzles", puzzlesRoutes);
+
+// Challenges and invite links
+app.use("/api/challenges", challengesRoutes);
+
+// Player ratings and leaderboards
+app.use("/api/ratings", ratingsRoutes);
+app.use("/api/leaderboards", leaderboardsRoutes);
+
+// Tournaments
+app.use("/api/tournaments", tournamentsRoutes);
+
 // Simple health check endpoint
 app.get("/health", (_req, res) => res.json({ 
   ok: true, 
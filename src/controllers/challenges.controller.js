@@ -0,0 +1,168 @@
+import {
+  createChallenge,
+  acceptChallenge,
+  acceptInvite,
+  declineChallenge,
+  cancelChallenge,
+  getInvite,
+  listChallenges,
+  COLOR_PREFERENCES,
+  CHALLENGE_STATUSES,
+  CHALLENGE_TTL_MS,
+  MAX_CHALLENGE_TTL_MS,
+} from "../services/challenge.service.js";
+import { readGameSettings } from "./games.controller.js";
+
+const isInt = (n) => Number.isInteger(n);
+
+// Shared error mapping for the challenge endpoints
+function sendChallengeError(res, err, action) {
+  switch (err.code) {
+    case "NOT_FOUND":
+      return res.status(404).json({ error: err.code, message: err.message });
+    case "FORBIDDEN":
+      return res.status(403).json({ error: err.code, message: err.message });
+    case "INVALID_OPPONENT":
+      return res.status(400).json({ error: err.code, message: err.message });
+    case "INVALID_STATE":
+    case "CONFLICT":
+      return res.status(409).json({ error: err.code, message: err.message });
+    default:
+      console.error(`${action} error:`, err);
+      return res
+        .status(500)
+        .json({ error: "INTERNAL", message: `Failed to ${action}` });
+  }
+}
+
+// GET /api/challenges?status=pending,accepted
+export async function getChallenges(req, res) {
+  try {
+    const status = req.query.status ? String(req.query.status).split(",") : [];
+    if (status.some((s) => !CHALLENGE_STATUSES.includes(s)))
+      return res.status(400).json({
+        error: "INVALID_STATUS",
+        message: CHALLENGE_STATUSES.join(" | "),
+      });
+
+    const lists = await listChallenges({ userId: String(req.userId), status });
+    return res.json(lists);
+  } catch (err) {
+    return sendChallengeError(res, err, "list challenges");
+  }
+}
+
+// POST /api/challenges
+// { opponent?: username, color?: "black"|"white"|"random", expiresIn?: seconds, ...game settings }
+// Without an opponent the challenge is an invite link; its token is returned
+export async function newChallenge(req, res) {
+  try {
+    const {
+      opponent = null,
+      color = "random",
+      expiresIn = CHALLENGE_TTL_MS / 1000,
+      ...body
+    } = req.body || {};
+
+    if (body.mode !== undefined && body.mode !== "online")
+      return res.status(400).json({
+        error: "INVALID_MODE",
+        message: "challenges create online games",
+      });
+    const { error, message, settings } = readGameSettings({
+      ...body,
+      mode: "online",
+    });
+    if (error) return res.status(400).json({ error, message });
+    if (opponent !== null && (typeof opponent !== "string" || !opponent.trim()))
+      return res
+        .status(400)
+        .json({ error: "INVALID_OPPONENT", message: "username or null" });
+    if (!COLOR_PREFERENCES.includes(color))
+      return res.status(400).json({
+        error: "INVALID_COLOR",
+        message: COLOR_PREFERENCES.join(" | "),
+      });
+    if (
+      !isInt(expiresIn) ||
+      expiresIn < 60 ||
+      expiresIn > MAX_CHALLENGE_TTL_MS / 1000
+    )
+      return res.status(400).json({
+        error: "INVALID_EXPIRY",
+        message: `expiresIn: 60..${MAX_CHALLENGE_TTL_MS / 1000} seconds`,
+      });
+
+    const dto = await createChallenge({
+      challengerId: String(req.userId),
+      opponent: opponent && opponent.trim(),
+      settings,
+      color,
+      ttlMs: expiresIn * 1000,
+    });
+    return res.status(201).json(dto);
+  } catch (err) {
+    return sendChallengeError(res, err, "create challenge");
+  }
+}
+
+// POST /api/challenges/:id/accept
+export async function acceptChallengeById(req, res) {
+  try {
+    const result = await acceptChallenge({
+      challengeId: req.params.id,
+      userId: String(req.userId),
+    });
+    return res.status(201).json(result);
+  } catch (err) {
+    return sendChallengeError(res, err, "accept challenge");
+  }
+}
+
+// POST /api/challenges/:id/decline
+export async function declineChallengeById(req, res) {
+  try {
+    const dto = await declineChallenge({
+      challengeId: req.params.id,
+      userId: String(req.userId),
+    });
+    return res.json(dto);
+  } catch (err) {
+    return sendChallengeError(res, err, "decline challenge");
+  }
+}
+
+// POST /api/challenges/:id/cancel
+export async function cancelChallengeById(req, res) {
+  try {
+    const dto = await cancelChallenge({
+      challengeId: req.params.id,
+      userId: String(req.userId),
+    });
+    return res.json(dto);
+  } catch (err) {
+    return sendChallengeError(res, err, "cancel challenge");
+  }
+}
+
+// GET /api/challenges/invite/:token
+export async function getInviteByToken(req, res) {
+  try {
+    return res.json(await getInvite(req.params.token));
+  } catch (err) {
+    return sendChallengeError(res, err, "fetch invite");
+  }
+}
+
+// POST /api/challenges/invite/:token/accept
+export async function acceptInviteByToken(req, res) {
+  try {
+    const result = await acceptInvite({
+      token: req.params.token,
+      userId: String(req.userId),
+    });
+    return res.status(201).json(result);
+  } catch (err) {
+    return sendChallengeError(res, err, "accept invite");
+  }
+}
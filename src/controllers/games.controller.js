@@ -1,12 +1,147 @@
 import {
   getGameDTO,
+  listGames,
   createGame,
   applyMove,
+  placeOpeningStones,
+  chooseColor,
+  resign,
+  offerDraw,
+  respondToDraw,
+  abort,
+  offerRematch,
+  respondToRematch,
   undo,
+  redo,
+  requestTakeback,
+  respondToTakeback,
+  joinGame,
+  exportGame,
+  importGame,
+  exportSgf,
+  importSgf,
+  analyzeGame,
+  RULE_SETS,
+  STATUSES,
 } from "../services/game.service.js";
+import { validateTimeControl } from "../utils/gameClock.js";
+import { NOTATION_FORMATS } from "../utils/gameNotation.js";
+import { DIFFICULTIES } from "../utils/gomokuAi.js";
+import { rulesFor } from "../utils/rules/index.js";
 
 const isInt = (n) => Number.isInteger(n);
 
+const OPENINGS = ["none", "swap", "swap2", "pro", "longpro"];
+const PLAYERS = ["B", "W"];
+const TAKEBACK_MODES = ["request", "free", "off"];
+const MODES = ["pvp", "pve", "online"];
+// Longest run an infinite board can be played to, as on the largest board
+const MAX_WIN_LENGTH = 25;
+
+const SEATS = ["first", "second"];
+
+// User id the service matches against game seats (set by authenticateToken)
+const seatUser = (req) => (req.userId == null ? undefined : String(req.userId));
+
+// The computer could not move; the game is saved with it to move and tries
+// again when next loaded
+const ENGINE_ERRORS = ["ENGINE_TIMEOUT", "ENGINE_ERROR"];
+const sendEngineError = (res, err) =>
+  res.status(503).json({
+    error: err.code,
+    message: "The computer could not move; reload the game to retry",
+    gameId: err.gameId,
+  });
+
+// Shared error mapping for the in-game actions (resign, draw, abort, rematch, takeback)
+function sendActionError(res, err, action) {
+  if (ENGINE_ERRORS.includes(err.code)) return sendEngineError(res, err);
+  switch (err.code) {
+    case "NOT_FOUND":
+      return res.status(404).json({ error: err.code, message: err.message });
+    case "FORBIDDEN":
+      return res.status(403).json({ error: err.code, message: err.message });
+    case "INVALID_STATE":
+    case "CONFLICT":
+    case "DRAW_PENDING":
+    case "NO_DRAW_OFFER":
+    case "REMATCH_PENDING":
+    case "NO_REMATCH_OFFER":
+    case "ABORT_NOT_ALLOWED":
+    case "TAKEBACK_NOT_ALLOWED":
+    case "TAKEBACK_PENDING":
+    case "TAKEBACK_LIMIT":
+    case "NO_TAKEBACK_REQUEST":
+    case "NOTHING_TO_UNDO":
+      return res.status(409).json({ error: err.code, message: err.message });
+    default:
+      console.error(`${action} error:`, err);
+      return res
+        .status(500)
+        .json({ error: "INTERNAL", message: `Failed to ${action}` });
+  }
+}
+
+// Accepts ms since epoch or an ISO date; undefined when absent, NaN when bad
+function parseDate(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// GET /api/games?player=&userId=&status=ongoing,won&ruleSet=&winLength=&mode=&size=&from=&to=&order=desc&limit=20&cursor=
+export async function getGames(req, res) {
+  try {
+    const q = req.query;
+    const bad = (message) =>
+      res.status(400).json({ error: "INVALID_QUERY", message });
+    const num = (v) => (v === undefined ? undefined : Number(v));
+
+    const status =
+      q.status === undefined ? undefined : String(q.status).split(",");
+    if (status && !status.every((s) => STATUSES.includes(s)))
+      return bad(`status must be among ${STATUSES.join(", ")}`);
+    if (q.ruleSet !== undefined && !RULE_SETS.includes(q.ruleSet))
+      return bad(`ruleSet must be one of ${RULE_SETS.join(", ")}`);
+    if (q.mode !== undefined && !MODES.includes(q.mode))
+      return bad(`mode must be one of ${MODES.join(", ")}`);
+    const [winLength, size] = [num(q.winLength), num(q.size)];
+    if ([winLength, size].some((n) => n !== undefined && !isInt(n)))
+      return bad("winLength and size must be integers");
+    const [from, to] = [parseDate(q.from), parseDate(q.to)];
+    if ([from, to].some((d) => Number.isNaN(d)))
+      return bad("from and to must be dates or ms timestamps");
+    if (q.order !== undefined && !["asc", "desc"].includes(q.order))
+      return bad("order must be asc or desc");
+    const limit = num(q.limit) ?? 20;
+    if (!isInt(limit) || limit < 1 || limit > 100)
+      return bad("limit must be 1-100");
+
+    const page = await listGames({
+      player: q.player,
+      userId: q.userId,
+      status,
+      ruleSet: q.ruleSet,
+      winLength,
+      mode: q.mode,
+      size,
+      from,
+      to,
+      order: q.order,
+      limit,
+      cursor: q.cursor,
+    });
+    return res.status(200).json(page);
+  } catch (err) {
+    if (err.code === "BAD_CURSOR") {
+      return res.status(400).json({ error: err.code, message: err.message });
+    }
+    console.error("getGames error:", err);
+    return res
+      .status(500)
+      .json({ error: "INTERNAL", message: "Failed to list games" });
+  }
+}
+
 // GET /api/games/:id
 export async function getGame(req, res) {
   try {
@@ -28,41 +163,166 @@ export async function getGame(req, res) {
   }
 }
 
-// POST /api/games
-export async function newGame(req, res) {
-  try {
-    const {
-      size = 15,
-      firstPlayer = "B",
-      winLength = 5,
-      allowOverlines = true,
-    } = req.body || {};
+/**
+ * Reads the settings of a new game from a request body, with defaults.
+ * Returns { settings } or { error, message } to answer 400 with; challenges
+ * check the game they will create with it too.
+ */
+export function readGameSettings(body) {
+  const {
+    // 5-25, or "infinite" for a freestyle board that grows with its stones
+    size = 15,
+    firstPlayer = "B",
+    ruleSet = "freestyle",
+    // Connect6 and Pente are played to a fixed length
+    winLength = rulesFor(ruleSet).winLength ?? 5,
+    allowOverlines = true,
+    opening = "none",
+    timeControl = null,
+    abortMoveLimit = 2,
+    takebacks = { mode: "request", limit: null },
+    mode = "pvp",
+    rated = false,
+    difficulty = "medium",
+    // The computer plays second unless told otherwise
+    aiPlayer = firstPlayer === "B" ? "W" : "B",
+  } = body;
 
-    if (!isInt(size) || size < 5 || size > 25)
-      return res
-        .status(400)
-        .json({ error: "INVALID_SIZE", message: "size 5–25" });
-    if (!["B", "W"].includes(firstPlayer))
-      return res
-        .status(400)
-        .json({ error: "INVALID_FIRST_PLAYER", message: "must be 'B' or 'W'" });
-    if (!isInt(winLength) || winLength < 3 || winLength > size)
-      return res
-        .status(400)
-        .json({ error: "INVALID_WIN_LENGTH", message: "3..size" });
-    if (typeof allowOverlines !== "boolean")
-      return res
-        .status(400)
-        .json({ error: "INVALID_OVERLINES", message: "boolean" });
-
-    const dto = await createGame({
-      size,
+  const infinite = size === "infinite";
+  if (!infinite && (!isInt(size) || size < 5 || size > 25))
+    return { error: "INVALID_SIZE", message: "size 5–25 or 'infinite'" };
+  if (!["B", "W"].includes(firstPlayer))
+    return { error: "INVALID_FIRST_PLAYER", message: "must be 'B' or 'W'" };
+  if (
+    !isInt(winLength) ||
+    winLength < 3 ||
+    winLength > (infinite ? MAX_WIN_LENGTH : size)
+  )
+    return { error: "INVALID_WIN_LENGTH", message: "3..size" };
+  if (typeof allowOverlines !== "boolean")
+    return { error: "INVALID_OVERLINES", message: "boolean" };
+  if (!RULE_SETS.includes(ruleSet))
+    return { error: "INVALID_RULE_SET", message: RULE_SETS.join(" | ") };
+  if (ruleSet === "renju" && (winLength !== 5 || firstPlayer !== "B"))
+    return {
+      error: "INVALID_RULE_SET",
+      message: "renju requires winLength 5 and firstPlayer 'B'",
+    };
+  const rules = rulesFor(ruleSet);
+  if (rules.winLength !== null && winLength !== rules.winLength)
+    return {
+      error: "INVALID_RULE_SET",
+      message: `${ruleSet} requires winLength ${rules.winLength}`,
+    };
+  if (!OPENINGS.includes(opening))
+    return { error: "INVALID_OPENING", message: OPENINGS.join(" | ") };
+  if (
+    opening !== "none" &&
+    (winLength !== 5 || firstPlayer !== "B" || size < 9)
+  )
+    return {
+      error: "INVALID_OPENING",
+      message: "openings require winLength 5, firstPlayer 'B' and size >= 9",
+    };
+  if (opening !== "none" && !rules.plain)
+    return {
+      error: "INVALID_OPENING",
+      message: `${ruleSet} games do not support opening rules`,
+    };
+  if (!isInt(abortMoveLimit) || abortMoveLimit < 0)
+    return { error: "INVALID_ABORT_LIMIT", message: "integer >= 0" };
+  if (
+    !takebacks ||
+    !TAKEBACK_MODES.includes(takebacks.mode) ||
+    !(
+      takebacks.limit == null ||
+      (isInt(takebacks.limit) && takebacks.limit >= 0)
+    )
+  )
+    return {
+      error: "INVALID_TAKEBACKS",
+      message: `mode: ${TAKEBACK_MODES.join(" | ")}, limit: integer >= 0 or null`,
+    };
+  const timeControlError =
+    timeControl !== null && validateTimeControl(timeControl);
+  if (timeControlError)
+    return { error: "INVALID_TIME_CONTROL", message: timeControlError };
+  if (!MODES.includes(mode))
+    return { error: "INVALID_MODE", message: MODES.join(" | ") };
+  if (
+    infinite &&
+    (ruleSet !== "freestyle" || opening !== "none" || mode === "pve")
+  )
+    return {
+      error: "INVALID_SIZE",
+      message:
+        "infinite boards are freestyle games between people, without opening rules",
+    };
+  if (typeof rated !== "boolean")
+    return { error: "INVALID_RATED", message: "boolean" };
+  if (rated && (mode !== "online" || takebacks.mode === "free"))
+    return {
+      error: "INVALID_RATED",
+      message: "rated games are online games without free takebacks",
+    };
+  if (mode === "pve") {
+    if (!DIFFICULTIES.includes(difficulty))
+      return {
+        error: "INVALID_DIFFICULTY",
+        message: DIFFICULTIES.join(" | "),
+      };
+    if (!PLAYERS.includes(aiPlayer))
+      return { error: "INVALID_AI_PLAYER", message: "must be 'B' or 'W'" };
+    if (opening !== "none")
+      return {
+        error: "INVALID_OPENING",
+        message: "pve games do not support opening rules",
+      };
+    // The engines play one stone a turn and know nothing of captures
+    if (!rules.plain)
+      return {
+        error: "INVALID_RULE_SET",
+        message: `the computer does not play ${ruleSet}`,
+      };
+  }
+  return {
+    settings: {
+      size: infinite ? null : size,
       firstPlayer,
       winLength,
       allowOverlines,
-    });
+      ruleSet,
+      opening,
+      timeControl,
+      abortMoveLimit,
+      takebacks: { mode: takebacks.mode, limit: takebacks.limit ?? null },
+      mode,
+      rated,
+      ai: mode === "pve" ? { player: aiPlayer, difficulty } : null,
+    },
+  };
+}
+
+// POST /api/games
+export async function newGame(req, res) {
+  try {
+    const { error, message, settings } = readGameSettings(req.body || {});
+    if (error) return res.status(400).json({ error, message });
+    // online only: the seat the creator takes
+    const { seat = "first" } = req.body || {};
+    if (
+      !SEATS.includes(seat) ||
+      (seat !== "first" && settings.mode !== "online")
+    )
+      return res.status(400).json({
+        error: "INVALID_SEAT",
+        message: "'first' | 'second' (online games only)",
+      });
+
+    const dto = await createGame({ ...settings, userId: seatUser(req), seat });
     return res.status(201).json(dto);
   } catch (err) {
+    if (ENGINE_ERRORS.includes(err.code)) return sendEngineError(res, err);
     console.error("newGame error:", err);
     return res
       .status(500)
@@ -70,6 +330,32 @@ export async function newGame(req, res) {
   }
 }
 
+// POST /api/games/:id/join
+export async function joinOnlineGame(req, res) {
+  try {
+    const { id } = req.params;
+    const dto = await joinGame({ gameId: id, userId: seatUser(req) });
+    return res.status(200).json(dto);
+  } catch (err) {
+    switch (err.code) {
+      case "NOT_FOUND":
+        return res.status(404).json({ error: err.code, message: err.message });
+      case "NOT_JOINABLE":
+        return res.status(400).json({ error: err.code, message: err.message });
+      case "INVALID_STATE":
+      case "CONFLICT":
+      case "ALREADY_SEATED":
+      case "GAME_FULL":
+        return res.status(409).json({ error: err.code, message: err.message });
+      default:
+        console.error("joinOnlineGame error:", err);
+        return res
+          .status(500)
+          .json({ error: "INTERNAL", message: "Failed to join game" });
+    }
+  }
+}
+
 // POST /api/games/:id/move
 export async function makeMove(req, res) {
   try {
@@ -84,16 +370,28 @@ export async function makeMove(req, res) {
         .status(400)
         .json({ error: "INVALID_COORDS", message: "x,y integers" });
 
-    const dto = await applyMove({ gameId: id, x, y });
+    const dto = await applyMove({ gameId: id, x, y, userId: seatUser(req) });
     return res.status(200).json(dto);
   } catch (err) {
+    if (ENGINE_ERRORS.includes(err.code)) return sendEngineError(res, err);
     switch (err.code) {
       case "NOT_FOUND":
         return res.status(404).json({ error: err.code, message: err.message });
+      case "NOT_YOUR_TURN":
+        return res.status(403).json({ error: err.code, message: err.message });
       case "OUT_OF_BOUNDS":
       case "OCCUPIED":
       case "INVALID_STATE":
+      case "CONFLICT":
+        return res.status(409).json({ error: err.code, message: err.message });
+      case "OPENING_VIOLATION":
         return res.status(409).json({ error: err.code, message: err.message });
+      case "FORBIDDEN_MOVE":
+        return res.status(409).json({
+          error: err.code,
+          message: err.message,
+          pattern: err.pattern,
+        });
       case "BAD_REQUEST":
         return res.status(400).json({ error: err.code, message: err.message });
       default:
@@ -105,6 +403,244 @@ export async function makeMove(req, res) {
   }
 }
 
+// POST /api/games/:id/opening
+export async function placeOpening(req, res) {
+  try {
+    const { id } = req.params;
+    const { stones } = req.body || {};
+    if (!id)
+      return res
+        .status(400)
+        .json({ error: "MISSING_ID", message: "game id required" });
+    if (
+      !Array.isArray(stones) ||
+      !stones.every((s) => s && isInt(s.x) && isInt(s.y))
+    )
+      return res
+        .status(400)
+        .json({ error: "INVALID_STONES", message: "stones: [{ x, y }]" });
+
+    const dto = await placeOpeningStones({
+      gameId: id,
+      stones,
+      userId: seatUser(req),
+    });
+    return res.status(200).json(dto);
+  } catch (err) {
+    switch (err.code) {
+      case "NOT_FOUND":
+        return res.status(404).json({ error: err.code, message: err.message });
+      case "NOT_YOUR_TURN":
+        return res.status(403).json({ error: err.code, message: err.message });
+      case "OUT_OF_BOUNDS":
+      case "OCCUPIED":
+      case "INVALID_STATE":
+      case "CONFLICT":
+        return res.status(409).json({ error: err.code, message: err.message });
+      case "BAD_REQUEST":
+        return res.status(400).json({ error: err.code, message: err.message });
+      default:
+        console.error("placeOpening error:", err);
+        return res
+          .status(500)
+          .json({ error: "INTERNAL", message: "Failed to place opening" });
+    }
+  }
+}
+
+// POST /api/games/:id/color
+export async function pickColor(req, res) {
+  try {
+    const { id } = req.params;
+    const { choice } = req.body || {};
+    if (!id)
+      return res
+        .status(400)
+        .json({ error: "MISSING_ID", message: "game id required" });
+    if (typeof choice !== "string")
+      return res
+        .status(400)
+        .json({ error: "INVALID_CHOICE", message: "choice required" });
+
+    const dto = await chooseColor({
+      gameId: id,
+      choice,
+      userId: seatUser(req),
+    });
+    return res.status(200).json(dto);
+  } catch (err) {
+    switch (err.code) {
+      case "NOT_FOUND":
+        return res.status(404).json({ error: err.code, message: err.message });
+      case "NOT_YOUR_TURN":
+        return res.status(403).json({ error: err.code, message: err.message });
+      case "INVALID_STATE":
+      case "CONFLICT":
+        return res.status(409).json({ error: err.code, message: err.message });
+      case "BAD_REQUEST":
+        return res.status(400).json({ error: err.code, message: err.message });
+      default:
+        console.error("pickColor error:", err);
+        return res
+          .status(500)
+          .json({ error: "INTERNAL", message: "Failed to choose color" });
+    }
+  }
+}
+
+// POST /api/games/:id/resign
+export async function resignGame(req, res) {
+  try {
+    const { id } = req.params;
+    const { player } = req.body || {};
+    if (!PLAYERS.includes(player))
+      return res
+        .status(400)
+        .json({ error: "INVALID_PLAYER", message: "must be 'B' or 'W'" });
+
+    const dto = await resign({ gameId: id, player, userId: seatUser(req) });
+    return res.status(200).json(dto);
+  } catch (err) {
+    return sendActionError(res, err, "resign");
+  }
+}
+
+// POST /api/games/:id/draw/offer
+export async function drawOffer(req, res) {
+  try {
+    const { id } = req.params;
+    const { player } = req.body || {};
+    if (!PLAYERS.includes(player))
+      return res
+        .status(400)
+        .json({ error: "INVALID_PLAYER", message: "must be 'B' or 'W'" });
+
+    const dto = await offerDraw({ gameId: id, player, userId: seatUser(req) });
+    return res.status(200).json(dto);
+  } catch (err) {
+    return sendActionError(res, err, "offer draw");
+  }
+}
+
+async function answerDraw(req, res, accept) {
+  try {
+    const { id } = req.params;
+    const { player } = req.body || {};
+    if (!PLAYERS.includes(player))
+      return res
+        .status(400)
+        .json({ error: "INVALID_PLAYER", message: "must be 'B' or 'W'" });
+
+    const dto = await respondToDraw({
+      gameId: id,
+      player,
+      accept,
+      userId: seatUser(req),
+    });
+    return res.status(200).json(dto);
+  } catch (err) {
+    return sendActionError(res, err, "answer draw offer");
+  }
+}
+
+// POST /api/games/:id/draw/accept
+export const acceptDraw = (req, res) => answerDraw(req, res, true);
+
+// POST /api/games/:id/draw/decline
+export const declineDraw = (req, res) => answerDraw(req, res, false);
+
+// POST /api/games/:id/abort
+export async function abortGame(req, res) {
+  try {
+    const { id } = req.params;
+    const dto = await abort({ gameId: id, userId: seatUser(req) });
+    return res.status(200).json(dto);
+  } catch (err) {
+    return sendActionError(res, err, "abort game");
+  }
+}
+
+// POST /api/games/:id/rematch/offer
+// Returns { game, rematch }; rematch is the new game once it has started
+export async function rematchOffer(req, res) {
+  try {
+    const result = await offerRematch({
+      gameId: req.params.id,
+      userId: seatUser(req),
+    });
+    return res.status(result.rematch ? 201 : 200).json(result);
+  } catch (err) {
+    return sendActionError(res, err, "offer rematch");
+  }
+}
+
+async function answerRematch(req, res, accept) {
+  try {
+    const result = await respondToRematch({
+      gameId: req.params.id,
+      accept,
+      userId: seatUser(req),
+    });
+    return res.status(result.rematch ? 201 : 200).json(result);
+  } catch (err) {
+    return sendActionError(res, err, "answer rematch offer");
+  }
+}
+
+// POST /api/games/:id/rematch/accept
+export const acceptRematch = (req, res) => answerRematch(req, res, true);
+
+// POST /api/games/:id/rematch/decline
+export const declineRematch = (req, res) => answerRematch(req, res, false);
+
+// POST /api/games/:id/takeback/request
+export async function takebackRequest(req, res) {
+  try {
+    const { id } = req.params;
+    const { player } = req.body || {};
+    if (!PLAYERS.includes(player))
+      return res
+        .status(400)
+        .json({ error: "INVALID_PLAYER", message: "must be 'B' or 'W'" });
+
+    const dto = await requestTakeback({
+      gameId: id,
+      player,
+      userId: seatUser(req),
+    });
+    return res.status(200).json(dto);
+  } catch (err) {
+    return sendActionError(res, err, "request takeback");
+  }
+}
+
+async function answerTakeback(req, res, accept) {
+  try {
+    const { id } = req.params;
+    const { player } = req.body || {};
+    if (!PLAYERS.includes(player))
+      return res
+        .status(400)
+        .json({ error: "INVALID_PLAYER", message: "must be 'B' or 'W'" });
+
+    const dto = await respondToTakeback({
+      gameId: id,
+      player,
+      accept,
+      userId: seatUser(req),
+    });
+    return res.status(200).json(dto);
+  } catch (err) {
+    return sendActionError(res, err, "answer takeback");
+  }
+}
+
+// POST /api/games/:id/takeback/accept
+export const acceptTakeback = (req, res) => answerTakeback(req, res, true);
+
+// POST /api/games/:id/takeback/decline
+export const declineTakeback = (req, res) => answerTakeback(req, res, false);
+
 // POST /api/games/:id/undo
 export async function undoMove(req, res) {
   try {
@@ -119,13 +655,18 @@ export async function undoMove(req, res) {
         .status(400)
         .json({ error: "INVALID_STEPS", message: "steps >= 1" });
 
-    const dto = await undo({ gameId: id, steps });
+    const dto = await undo({ gameId: id, steps, userId: seatUser(req) });
     return res.status(200).json(dto);
   } catch (err) {
     switch (err.code) {
       case "NOT_FOUND":
         return res.status(404).json({ error: err.code, message: err.message });
+      case "FORBIDDEN":
+        return res.status(403).json({ error: err.code, message: err.message });
       case "NOTHING_TO_UNDO":
+      case "INVALID_STATE":
+      case "CONFLICT":
+      case "TAKEBACK_NOT_ALLOWED":
         return res.status(409).json({ error: err.code, message: err.message });
       case "BAD_REQUEST":
         return res.status(400).json({ error: err.code, message: err.message });
@@ -137,3 +678,207 @@ export async function undoMove(req, res) {
     }
   }
 }
+
+// POST /api/games/:id/redo
+export async function redoMove(req, res) {
+  try {
+    const { id } = req.params;
+    const { steps = 1 } = req.body || {};
+    if (!isInt(steps) || steps < 1)
+      return res
+        .status(400)
+        .json({ error: "INVALID_STEPS", message: "steps >= 1" });
+
+    const dto = await redo({ gameId: id, steps, userId: seatUser(req) });
+    return res.status(200).json(dto);
+  } catch (err) {
+    if (ENGINE_ERRORS.includes(err.code)) return sendEngineError(res, err);
+    switch (err.code) {
+      case "NOT_FOUND":
+        return res.status(404).json({ error: err.code, message: err.message });
+      case "FORBIDDEN":
+        return res.status(403).json({ error: err.code, message: err.message });
+      case "NOTHING_TO_REDO":
+      case "INVALID_STATE":
+      case "CONFLICT":
+      case "TAKEBACK_NOT_ALLOWED":
+        return res.status(409).json({ error: err.code, message: err.message });
+      case "BAD_REQUEST":
+        return res.status(400).json({ error: err.code, message: err.message });
+      default:
+        console.error("redoMove error:", err);
+        return res
+          .status(500)
+          .json({ error: "INTERNAL", message: "Failed to redo move" });
+    }
+  }
+}
+
+// GET /api/games/:id/export?format=algebraic|psq|renlib
+export async function exportNotation(req, res) {
+  try {
+    const { id } = req.params;
+    const { format = "algebraic" } = req.query;
+    if (!NOTATION_FORMATS.includes(format))
+      return res.status(400).json({
+        error: "INVALID_FORMAT",
+        message: NOTATION_FORMATS.join(" | "),
+      });
+
+    const text = await exportGame({ gameId: id, format });
+    const ext = format === "psq" ? "psq" : "txt";
+    res.attachment(`game-${id}.${ext}`);
+    return res.type("text/plain").send(text);
+  } catch (err) {
+    if (err.code === "NOT_FOUND") {
+      return res.status(404).json({ error: err.code, message: err.message });
+    }
+    if (err.code === "UNSUPPORTED_BOARD") {
+      return res.status(409).json({ error: err.code, message: err.message });
+    }
+    console.error("exportNotation error:", err);
+    return res
+      .status(500)
+      .json({ error: "INTERNAL", message: "Failed to export game" });
+  }
+}
+
+// POST /api/games/import
+export async function importNotation(req, res) {
+  try {
+    const { format, content, ...body } = req.body || {};
+
+    if (!NOTATION_FORMATS.includes(format))
+      return res.status(400).json({
+        error: "INVALID_FORMAT",
+        message: NOTATION_FORMATS.join(" | "),
+      });
+    if (typeof content !== "string")
+      return res
+        .status(400)
+        .json({ error: "INVALID_CONTENT", message: "content must be text" });
+    // The notations carry no colors or rules: they are checked like a new
+    // game's settings
+    const { error, message, settings } = readGameSettings({
+      size: body.size,
+      firstPlayer: body.firstPlayer,
+      winLength: body.winLength,
+      allowOverlines: body.allowOverlines,
+      ruleSet: body.ruleSet,
+    });
+    if (error) return res.status(400).json({ error, message });
+    if (settings.size === null)
+      return res
+        .status(400)
+        .json({ error: "INVALID_SIZE", message: "size 5–25" });
+    const { size, firstPlayer, winLength, allowOverlines, ruleSet } = settings;
+
+    const dto = await importGame({
+      format,
+      content,
+      size,
+      firstPlayer,
+      winLength,
+      allowOverlines,
+      ruleSet,
+      userId: seatUser(req),
+    });
+    return res.status(201).json(dto);
+  } catch (err) {
+    switch (err.code) {
+      case "PARSE_ERROR":
+        return res.status(400).json({ error: err.code, message: err.message });
+      case "INVALID_MOVE":
+        return res.status(422).json({
+          error: err.code,
+          message: err.message,
+          moveIndex: err.moveIndex,
+        });
+      default:
+        console.error("importNotation error:", err);
+        return res
+          .status(500)
+          .json({ error: "INTERNAL", message: "Failed to import game" });
+    }
+  }
+}
+
+// GET /api/games/:id/sgf
+export async function exportSgfFile(req, res) {
+  try {
+    const { id } = req.params;
+    const text = await exportSgf({ gameId: id });
+    res.attachment(`game-${id}.sgf`);
+    return res.type("application/x-go-sgf").send(text);
+  } catch (err) {
+    if (err.code === "NOT_FOUND") {
+      return res.status(404).json({ error: err.code, message: err.message });
+    }
+    if (err.code === "UNSUPPORTED_BOARD") {
+      return res.status(409).json({ error: err.code, message: err.message });
+    }
+    console.error("exportSgfFile error:", err);
+    return res
+      .status(500)
+      .json({ error: "INTERNAL", message: "Failed to export game" });
+  }
+}
+
+// POST /api/games/sgf
+export async function importSgfFile(req, res) {
+  try {
+    const { content } = req.body || {};
+    if (typeof content !== "string")
+      return res
+        .status(400)
+        .json({ error: "INVALID_CONTENT", message: "content must be text" });
+
+    const dto = await importSgf({ content, userId: seatUser(req) });
+    return res.status(201).json(dto);
+  } catch (err) {
+    switch (err.code) {
+      case "PARSE_ERROR":
+        return res.status(400).json({ error: err.code, message: err.message });
+      case "INVALID_MOVE":
+        return res.status(422).json({
+          error: err.code,
+          message: err.message,
+          moveIndex: err.moveIndex,
+        });
+      default:
+        console.error("importSgfFile error:", err);
+        return res
+          .status(500)
+          .json({ error: "INTERNAL", message: "Failed to import game" });
+    }
+  }
+}
+
+// GET /api/games/:id/analysis
+export async function getAnalysis(req, res) {
+  try {
+    const analysis = await analyzeGame({ gameId: req.params.id });
+    return res.json(analysis);
+  } catch (err) {
+    if (err.code === "NOT_FOUND") {
+      return res.status(404).json({ error: err.code, message: err.message });
+    }
+    if (
+      err.code === "UNSUPPORTED_RULE_SET" ||
+      err.code === "UNSUPPORTED_BOARD" ||
+      err.code === "INVALID_STATE"
+    ) {
+      return res.status(409).json({ error: err.code, message: err.message });
+    }
+    if (ENGINE_ERRORS.includes(err.code)) {
+      return res.status(503).json({
+        error: err.code,
+        message: "The analysis could not be finished; try again",
+      });
+    }
+    console.error("getAnalysis error:", err);
+    return res
+      .status(500)
+      .json({ error: "INTERNAL", message: "Failed to analyze game" });
+  }
+}
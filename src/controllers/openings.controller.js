@@ -0,0 +1,121 @@
+import {
+  getOpenings,
+  importBook,
+  rebuildBook,
+} from "../services/openingBook.service.js";
+import { PLAIN_RULE_SETS } from "../services/game.service.js";
+
+const isInt = (n) => Number.isInteger(n);
+
+// Book selection shared by reads and imports; returns an error message or null
+function checkBook({ size, ruleSet, winLength }) {
+  if (!isInt(size) || size < 5 || size > 25) return "size must be 5-25";
+  // Books follow plain stone sequences, so connect6 and pente have none
+  if (!PLAIN_RULE_SETS.includes(ruleSet))
+    return `ruleSet must be one of ${PLAIN_RULE_SETS.join(", ")}`;
+  if (!isInt(winLength) || winLength < 3 || winLength > size)
+    return "winLength must be >= 3 and <= size";
+  return null;
+}
+
+// GET /api/openings?moves=h8,i9&size=15&ruleSet=freestyle&winLength=5
+export async function getOpeningBook(req, res) {
+  try {
+    const { moves = "", ruleSet = "freestyle" } = req.query;
+    if (typeof moves !== "string")
+      return res
+        .status(400)
+        .json({ error: "INVALID_MOVES", message: "moves must be text" });
+    const size = Number(req.query.size ?? 15);
+    const winLength = Number(req.query.winLength ?? 5);
+    const invalid = checkBook({ size, ruleSet, winLength });
+    if (invalid)
+      return res.status(400).json({ error: "INVALID_BOOK", message: invalid });
+
+    const book = await getOpenings({ moves, size, ruleSet, winLength });
+    return res.json(book);
+  } catch (err) {
+    switch (err.code) {
+      case "PARSE_ERROR":
+        return res.status(400).json({ error: err.code, message: err.message });
+      case "INVALID_MOVE":
+        return res.status(422).json({
+          error: err.code,
+          message: err.message,
+          moveIndex: err.moveIndex,
+        });
+      default:
+        console.error("getOpeningBook error:", err);
+        return res
+          .status(500)
+          .json({ error: "INTERNAL", message: "Failed to read opening book" });
+    }
+  }
+}
+
+// POST /api/openings/import (admin)
+export async function importOpeningBook(req, res) {
+  try {
+    const {
+      lines,
+      size = 15,
+      ruleSet = "freestyle",
+      winLength = 5,
+      replace = false,
+    } = req.body || {};
+    const invalid = checkBook({ size, ruleSet, winLength });
+    if (invalid)
+      return res.status(400).json({ error: "INVALID_BOOK", message: invalid });
+    if (!Array.isArray(lines) || lines.length === 0)
+      return res.status(400).json({
+        error: "INVALID_LINES",
+        message: "lines must be a non-empty array",
+      });
+
+    const result = await importBook({
+      lines,
+      size,
+      ruleSet,
+      winLength,
+      replace: replace === true,
+    });
+    return res.status(201).json(result);
+  } catch (err) {
+    switch (err.code) {
+      case "PARSE_ERROR":
+        return res.status(400).json({
+          error: err.code,
+          message: err.message,
+          lineIndex: err.lineIndex,
+        });
+      case "INVALID_MOVE":
+        return res.status(422).json({
+          error: err.code,
+          message: err.message,
+          lineIndex: err.lineIndex,
+          moveIndex: err.moveIndex,
+        });
+      default:
+        console.error("importOpeningBook error:", err);
+        return res
+          .status(500)
+          .json({
+            error: "INTERNAL",
+            message: "Failed to import opening book",
+          });
+    }
+  }
+}
+
+// POST /api/openings/rebuild (admin)
+export async function rebuildOpeningBook(_req, res) {
+  try {
+    const result = await rebuildBook();
+    return res.json(result);
+  } catch (err) {
+    console.error("rebuildOpeningBook error:", err);
+    return res
+      .status(500)
+      .json({ error: "INTERNAL", message: "Failed to rebuild opening book" });
+  }
+}
@@ -0,0 +1,192 @@
+import {
+  createPuzzle,
+  getPuzzle,
+  listPuzzles,
+  startAttempt,
+  playPuzzleMove,
+  getPuzzlePlayer,
+} from "../services/puzzle.service.js";
+import { PLAIN_RULE_SETS } from "../services/game.service.js";
+
+const isInt = (n) => Number.isInteger(n);
+
+const CLAIM_TYPES = ["vcf", "vct"];
+// Longest claims the proof search is given, in winning-side moves
+const MAX_CLAIM_MOVES = { vcf: 10, vct: 5 };
+
+// Shared error mapping for the puzzle endpoints
+function sendPuzzleError(res, err, action) {
+  switch (err.code) {
+    case "NOT_FOUND":
+      return res.status(404).json({ error: err.code, message: err.message });
+    case "FORBIDDEN":
+      return res.status(403).json({ error: err.code, message: err.message });
+    case "INVALID_POSITION":
+    case "PARSE_ERROR":
+      return res.status(400).json({ error: err.code, message: err.message });
+    case "DUPLICATE":
+    case "INVALID_STATE":
+      return res.status(409).json({ error: err.code, message: err.message });
+    case "INVALID_SOLUTION":
+    case "UNVERIFIED":
+    case "INVALID_MOVE":
+      return res.status(422).json({
+        error: err.code,
+        message: err.message,
+        moveIndex: err.moveIndex,
+      });
+    // Nothing is saved when the engine fails, so the request can be retried
+    case "ENGINE_TIMEOUT":
+    case "ENGINE_ERROR":
+      return res.status(503).json({
+        error: err.code,
+        message: `Could not ${action}; try again`,
+      });
+    default:
+      console.error(`${action} error:`, err);
+      return res
+        .status(500)
+        .json({ error: "INTERNAL", message: `Failed to ${action}` });
+  }
+}
+
+// GET /api/puzzles?limit=20&offset=0&minRating=&maxRating=
+export async function getPuzzles(req, res) {
+  try {
+    const num = (v) => (v === undefined ? null : Number(v));
+    const limit = num(req.query.limit) ?? 20;
+    const offset = num(req.query.offset) ?? 0;
+    const minRating = num(req.query.minRating);
+    const maxRating = num(req.query.maxRating);
+    if (
+      !isInt(limit) ||
+      limit < 1 ||
+      limit > 100 ||
+      !isInt(offset) ||
+      offset < 0
+    )
+      return res.status(400).json({
+        error: "INVALID_PAGE",
+        message: "limit must be 1-100 and offset >= 0",
+      });
+    if ([minRating, maxRating].some((r) => r !== null && !Number.isFinite(r)))
+      return res
+        .status(400)
+        .json({ error: "INVALID_RATING", message: "ratings must be numbers" });
+
+    const page = await listPuzzles({ limit, offset, minRating, maxRating });
+    return res.json(page);
+  } catch (err) {
+    return sendPuzzleError(res, err, "list puzzles");
+  }
+}
+
+// GET /api/puzzles/:id
+export async function getPuzzleById(req, res) {
+  try {
+    const puzzle = await getPuzzle(req.params.id);
+    return res.json(puzzle);
+  } catch (err) {
+    return sendPuzzleError(res, err, "get puzzle");
+  }
+}
+
+// POST /api/puzzles  { board, claim: { type, moves }, solution, ruleSet?, winLength?, allowOverlines? }
+export async function submitPuzzle(req, res) {
+  try {
+    const {
+      board,
+      claim,
+      solution,
+      ruleSet = "freestyle",
+      winLength = 5,
+      allowOverlines = true,
+    } = req.body || {};
+
+    // The solver plays one stone per turn without captures
+    if (!PLAIN_RULE_SETS.includes(ruleSet))
+      return res.status(400).json({
+        error: "INVALID_RULE_SET",
+        message: `ruleSet must be one of ${PLAIN_RULE_SETS.join(", ")}`,
+      });
+    if (!isInt(winLength) || winLength < 3)
+      return res
+        .status(400)
+        .json({ error: "INVALID_WIN_LENGTH", message: "winLength >= 3" });
+    if (
+      !claim ||
+      !CLAIM_TYPES.includes(claim.type) ||
+      !isInt(claim.moves) ||
+      claim.moves < 1 ||
+      claim.moves > MAX_CLAIM_MOVES[claim.type]
+    )
+      return res.status(400).json({
+        error: "INVALID_CLAIM",
+        message:
+          "claim must be { type: vcf (1-10 moves) | vct (1-5 moves), moves }",
+      });
+    if (typeof solution !== "string")
+      return res.status(400).json({
+        error: "INVALID_SOLUTION",
+        message: "solution must be a move list in algebraic notation",
+      });
+
+    const puzzle = await createPuzzle({
+      board,
+      claim,
+      solution,
+      ruleSet,
+      winLength,
+      allowOverlines: allowOverlines === true,
+      authorId: String(req.userId),
+    });
+    return res.status(201).json(puzzle);
+  } catch (err) {
+    return sendPuzzleError(res, err, "submit puzzle");
+  }
+}
+
+// POST /api/puzzles/:id/attempts
+export async function startPuzzleAttempt(req, res) {
+  try {
+    const attempt = await startAttempt({
+      puzzleId: req.params.id,
+      userId: String(req.userId),
+    });
+    return res.status(201).json(attempt);
+  } catch (err) {
+    return sendPuzzleError(res, err, "start attempt");
+  }
+}
+
+// POST /api/puzzles/:id/attempts/:attemptId/moves  { x, y }
+export async function makePuzzleMove(req, res) {
+  try {
+    const { x, y } = req.body || {};
+    if (!isInt(x) || !isInt(y))
+      return res
+        .status(400)
+        .json({ error: "INVALID_COORDS", message: "x,y integers" });
+
+    const result = await playPuzzleMove({
+      puzzleId: req.params.id,
+      attemptId: req.params.attemptId,
+      userId: String(req.userId),
+      x,
+      y,
+    });
+    return res.json(result);
+  } catch (err) {
+    return sendPuzzleError(res, err, "play puzzle move");
+  }
+}
+
+// GET /api/puzzles/me
+export async function getMyPuzzleStats(req, res) {
+  try {
+    const stats = await getPuzzlePlayer(String(req.userId));
+    return res.json(stats);
+  } catch (err) {
+    return sendPuzzleError(res, err, "get puzzle stats");
+  }
+}
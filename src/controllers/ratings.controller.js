@@ -0,0 +1,85 @@
+import {
+  getPlayerRatings,
+  getRatingHistory,
+  getLeaderboard,
+  SPEEDS,
+  LEADERBOARD_PERIODS,
+} from "../services/rating.service.js";
+import { RULE_SETS } from "../services/game.service.js";
+
+const isInt = (n) => Number.isInteger(n);
+
+const PERIODS = Object.keys(LEADERBOARD_PERIODS);
+
+// Reads ?ruleSet=&speed=&limit=&offset=; returns { error, message } or the values
+function readPage(query, defaults) {
+  const num = (v, d) => (v === undefined ? d : Number(v));
+  const ruleSet = query.ruleSet ?? "freestyle";
+  const speed = query.speed ?? defaults.speed;
+  const limit = num(query.limit, defaults.limit);
+  const offset = num(query.offset, 0);
+  if (!RULE_SETS.includes(ruleSet))
+    return { error: "INVALID_RULE_SET", message: RULE_SETS.join(" | ") };
+  if (!SPEEDS.includes(speed))
+    return { error: "INVALID_SPEED", message: SPEEDS.join(" | ") };
+  if (!isInt(limit) || limit < 1 || limit > 100 || !isInt(offset) || offset < 0)
+    return {
+      error: "INVALID_PAGE",
+      message: "limit must be 1-100 and offset >= 0",
+    };
+  return { ruleSet, speed, limit, offset };
+}
+
+// GET /api/leaderboards?ruleSet=freestyle&speed=blitz&period=all|day|week|month&limit=20&offset=0
+export async function getLeaderboards(req, res) {
+  try {
+    const page = readPage(req.query, { speed: "blitz", limit: 20 });
+    if (page.error)
+      return res.status(400).json({ error: page.error, message: page.message });
+    const period = req.query.period ?? "all";
+    if (!PERIODS.includes(period))
+      return res
+        .status(400)
+        .json({ error: "INVALID_PERIOD", message: PERIODS.join(" | ") });
+
+    return res.json(await getLeaderboard({ ...page, period }));
+  } catch (err) {
+    console.error("getLeaderboards error:", err);
+    return res
+      .status(500)
+      .json({ error: "INTERNAL", message: "Failed to fetch leaderboard" });
+  }
+}
+
+// GET /api/ratings/:userId
+export async function getUserRatings(req, res) {
+  try {
+    const ratings = await getPlayerRatings(req.params.userId);
+    return res.json({ userId: req.params.userId, ratings });
+  } catch (err) {
+    console.error("getUserRatings error:", err);
+    return res
+      .status(500)
+      .json({ error: "INTERNAL", message: "Failed to fetch ratings" });
+  }
+}
+
+// GET /api/ratings/:userId/history?ruleSet=freestyle&speed=blitz&limit=50&offset=0
+export async function getUserRatingHistory(req, res) {
+  try {
+    const page = readPage(req.query, { speed: "blitz", limit: 50 });
+    if (page.error)
+      return res.status(400).json({ error: page.error, message: page.message });
+
+    const history = await getRatingHistory({
+      userId: req.params.userId,
+      ...page,
+    });
+    return res.json(history);
+  } catch (err) {
+    console.error("getUserRatingHistory error:", err);
+    return res
+      .status(500)
+      .json({ error: "INTERNAL", message: "Failed to fetch rating history" });
+  }
+}
@@ -0,0 +1,212 @@
+import {
+  createTournament,
+  getTournament,
+  getStandings,
+  listTournaments,
+  register,
+  withdraw,
+  startTournament,
+  cancelTournament,
+  FORMATS,
+  TOURNAMENT_STATUSES,
+} from "../services/tournament.service.js";
+import { readGameSettings } from "./games.controller.js";
+
+const isInt = (n) => Number.isInteger(n);
+
+// Shared error mapping for the tournament endpoints
+function sendTournamentError(res, err, action) {
+  switch (err.code) {
+    case "NOT_FOUND":
+      return res.status(404).json({ error: err.code, message: err.message });
+    case "NOT_REGISTERED":
+      return res.status(400).json({ error: err.code, message: err.message });
+    case "INVALID_STATE":
+    case "REGISTRATION_CLOSED":
+    case "ALREADY_REGISTERED":
+    case "TOURNAMENT_FULL":
+    case "CONFLICT":
+      return res.status(409).json({ error: err.code, message: err.message });
+    default:
+      console.error(`${action} error:`, err);
+      return res
+        .status(500)
+        .json({ error: "INTERNAL", message: `Failed to ${action}` });
+  }
+}
+
+// Milliseconds since epoch or an ISO date; NaN when neither
+const readTime = (v) => (typeof v === "number" ? v : Date.parse(v));
+
+// GET /api/tournaments?status=registration,running&limit=20&offset=0
+export async function getTournaments(req, res) {
+  try {
+    const status = req.query.status ? String(req.query.status).split(",") : [];
+    if (status.some((s) => !TOURNAMENT_STATUSES.includes(s)))
+      return res.status(400).json({
+        error: "INVALID_STATUS",
+        message: TOURNAMENT_STATUSES.join(" | "),
+      });
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset =
+      req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (
+      !isInt(limit) ||
+      limit < 1 ||
+      limit > 100 ||
+      !isInt(offset) ||
+      offset < 0
+    )
+      return res.status(400).json({
+        error: "INVALID_PAGE",
+        message: "limit must be 1-100 and offset >= 0",
+      });
+
+    return res.json(await listTournaments({ status, limit, offset }));
+  } catch (err) {
+    return sendTournamentError(res, err, "list tournaments");
+  }
+}
+
+// POST /api/tournaments (admin)
+// { name, format, opensAt?, closesAt, maxPlayers?, totalRounds?, ...game settings }
+// Times are ms since epoch or ISO dates; registration opens now by default
+export async function newTournament(req, res) {
+  try {
+    const {
+      name,
+      format,
+      opensAt = Date.now(),
+      closesAt,
+      maxPlayers = null,
+      totalRounds = null,
+      ...body
+    } = req.body || {};
+
+    if (typeof name !== "string" || !name.trim())
+      return res
+        .status(400)
+        .json({ error: "INVALID_NAME", message: "name is required" });
+    if (!FORMATS.includes(format))
+      return res
+        .status(400)
+        .json({ error: "INVALID_FORMAT", message: FORMATS.join(" | ") });
+    const opens = readTime(opensAt);
+    const closes = readTime(closesAt);
+    if (Number.isNaN(opens) || Number.isNaN(closes) || closes <= opens)
+      return res.status(400).json({
+        error: "INVALID_REGISTRATION",
+        message: "opensAt and closesAt are dates, closesAt after opensAt",
+      });
+    if (maxPlayers !== null && (!isInt(maxPlayers) || maxPlayers < 2))
+      return res.status(400).json({
+        error: "INVALID_MAX_PLAYERS",
+        message: "integer >= 2 or null",
+      });
+    if (
+      totalRounds !== null &&
+      (format !== "swiss" || !isInt(totalRounds) || totalRounds < 1)
+    )
+      return res.status(400).json({
+        error: "INVALID_TOTAL_ROUNDS",
+        message: "Swiss only: integer >= 1 or null",
+      });
+    if (body.mode !== undefined && body.mode !== "online")
+      return res.status(400).json({
+        error: "INVALID_MODE",
+        message: "tournaments create online games",
+      });
+    const { error, message, settings } = readGameSettings({
+      ...body,
+      mode: "online",
+    });
+    if (error) return res.status(400).json({ error, message });
+    // A round waits for all of its games, so each needs a running clock
+    if (!settings.timeControl)
+      return res.status(400).json({
+        error: "INVALID_TIME_CONTROL",
+        message: "tournament games need a time control",
+      });
+    if (settings.opening === "swap" || settings.opening === "swap2")
+      return res.status(400).json({
+        error: "INVALID_OPENING",
+        message: "swap openings are not timed, so tournaments cannot use them",
+      });
+
+    const tournament = await createTournament({
+      name: name.trim(),
+      format,
+      settings,
+      opensAt: opens,
+      closesAt: closes,
+      maxPlayers,
+      totalRounds,
+      createdBy: String(req.userId),
+    });
+    return res.status(201).json(tournament);
+  } catch (err) {
+    return sendTournamentError(res, err, "create tournament");
+  }
+}
+
+// GET /api/tournaments/:id
+export async function getTournamentById(req, res) {
+  try {
+    return res.json(await getTournament(req.params.id));
+  } catch (err) {
+    return sendTournamentError(res, err, "fetch tournament");
+  }
+}
+
+// GET /api/tournaments/:id/standings
+export async function getTournamentStandings(req, res) {
+  try {
+    return res.json(await getStandings(req.params.id));
+  } catch (err) {
+    return sendTournamentError(res, err, "fetch standings");
+  }
+}
+
+// POST /api/tournaments/:id/register
+export async function registerForTournament(req, res) {
+  try {
+    const tournament = await register({
+      tournamentId: req.params.id,
+      userId: String(req.userId),
+    });
+    return res.json(tournament);
+  } catch (err) {
+    return sendTournamentError(res, err, "register");
+  }
+}
+
+// POST /api/tournaments/:id/withdraw
+export async function withdrawFromTournament(req, res) {
+  try {
+    const tournament = await withdraw({
+      tournamentId: req.params.id,
+      userId: String(req.userId),
+    });
+    return res.json(tournament);
+  } catch (err) {
+    return sendTournamentError(res, err, "withdraw");
+  }
+}
+
+// POST /api/tournaments/:id/start (admin): closes registration now
+export async function startTournamentById(req, res) {
+  try {
+    return res.json(await startTournament(req.params.id));
+  } catch (err) {
+    return sendTournamentError(res, err, "start tournament");
+  }
+}
+
+// POST /api/tournaments/:id/cancel (admin)
+export async function cancelTournamentById(req, res) {
+  try {
+    return res.json(await cancelTournament(req.params.id));
+  } catch (err) {
+    return sendTournamentError(res, err, "cancel tournament");
+  }
+}
@@ -103,3 +103,16 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+/**
+ * Admin-only access, to be used after authenticateToken
+ */
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({
+      success: false,
+      message: "Admin access required",
+    });
+  }
+  next();
+};
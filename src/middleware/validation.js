@@ -173,6 +173,24 @@ export const consentValidation = {
  * Game Routes Validation
  */
 export const gameValidation = {
+    // GET /games (listing)
+    list: [
+        query(["player", "userId", "status", "ruleSet", "mode", "from", "to", "cursor"])
+            .optional()
+            .isString().withMessage("Filters must be strings")
+            .isLength({ max: 200 }).withMessage("Filters must not exceed 200 characters"),
+        query(["winLength", "size"])
+            .optional()
+            .isInt({ min: 3, max: 25 }).withMessage("winLength and size must be integers between 3 and 25"),
+        query("order")
+            .optional()
+            .isIn(["asc", "desc"]).withMessage("Order must be asc or desc"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+        handleValidationErrors
+    ],
+
     // POST /games (new game)
     create: [
         body("mode")
@@ -181,6 +199,15 @@ export const gameValidation = {
         body("difficulty")
             .optional()
             .isIn(["easy", "medium", "hard"]).withMessage("Difficulty must be easy, medium, or hard"),
+        body("aiPlayer")
+            .optional()
+            .isIn(["B", "W"]).withMessage("AI player must be B or W"),
+        body("seat")
+            .optional()
+            .isIn(["first", "second"]).withMessage("Seat must be first or second"),
+        body("rated")
+            .optional()
+            .isBoolean({ strict: true }).withMessage("Rated must be boolean"),
         body("boardSize")
             .optional()
             .isInt({ min: 15, max: 19 }).withMessage("Board size must be between 15 and 19")
@@ -193,10 +220,20 @@ export const gameValidation = {
         param("id")
             .trim()
             .notEmpty().withMessage("Game ID is required"),
+        // x, y: any integers, the game checks them against its board
+        // (infinite boards take negative ones)
+        body("x")
+            .optional()
+            .isInt().withMessage("x must be an integer"),
+        body("y")
+            .optional()
+            .isInt().withMessage("y must be an integer"),
         body("row")
+            .if(body("x").not().exists())
             .isInt({ min: 0, max: 18 }).withMessage("Row must be between 0 and 18")
             .toInt(),
         body("col")
+            .if(body("y").not().exists())
             .isInt({ min: 0, max: 18 }).withMessage("Column must be between 0 and 18")
             .toInt(),
         body("player")
@@ -205,6 +242,72 @@ export const gameValidation = {
         handleValidationErrors
     ],
 
+    // POST /games/:id/opening
+    openingStones: [
+        param("id")
+            .trim()
+            .notEmpty().withMessage("Game ID is required"),
+        body("stones")
+            .isArray({ min: 1, max: 3 }).withMessage("Stones must be an array of 1-3 positions"),
+        body("stones.*.x")
+            .isInt({ min: 0, max: 24 }).withMessage("Stone x must be between 0 and 24"),
+        body("stones.*.y")
+            .isInt({ min: 0, max: 24 }).withMessage("Stone y must be between 0 and 24"),
+        handleValidationErrors
+    ],
+
+    // POST /games/:id/color
+    chooseColor: [
+        param("id")
+            .trim()
+            .notEmpty().withMessage("Game ID is required"),
+        body("choice")
+            .isIn(["black", "white", "place2"]).withMessage("Choice must be black, white, or place2"),
+        handleValidationErrors
+    ],
+
+    // POST /games/:id/resign, /games/:id/draw/*, /games/:id/takeback/*
+    playerAction: [
+        param("id")
+            .trim()
+            .notEmpty().withMessage("Game ID is required"),
+        body("player")
+            .isIn(["B", "W"]).withMessage("Player must be B or W"),
+        handleValidationErrors
+    ],
+
+    // GET /games/:id/export
+    exportGame: [
+        param("id")
+            .trim()
+            .notEmpty().withMessage("Game ID is required"),
+        query("format")
+            .optional()
+            .isIn(["algebraic", "psq", "renlib"]).withMessage("Format must be algebraic, psq, or renlib"),
+        handleValidationErrors
+    ],
+
+    // POST /games/import
+    importGame: [
+        body("format")
+            .isIn(["algebraic", "psq", "renlib"]).withMessage("Format must be algebraic, psq, or renlib"),
+        body("content")
+            .isString().withMessage("Content must be a string")
+            .isLength({ min: 1, max: 20000 }).withMessage("Content must be 1-20000 characters"),
+        body("firstPlayer")
+            .optional()
+            .isIn(["B", "W"]).withMessage("First player must be B or W"),
+        handleValidationErrors
+    ],
+
+    // POST /games/sgf
+    importSgf: [
+        body("content")
+            .isString().withMessage("Content must be a string")
+            .isLength({ min: 1, max: 100000 }).withMessage("Content must be 1-100000 characters"),
+        handleValidationErrors
+    ],
+
     // GET /games/:id
     getById: [
         param("id")
@@ -214,6 +317,221 @@ export const gameValidation = {
     ]
 };
 
+/**
+ * Opening Book Routes Validation
+ */
+export const openingValidation = {
+    // GET /openings
+    lookup: [
+        query("moves")
+            .optional()
+            .isString().withMessage("Moves must be a string")
+            .isLength({ max: 400 }).withMessage("Moves must not exceed 400 characters"),
+        query("size")
+            .optional()
+            .isInt({ min: 5, max: 25 }).withMessage("Size must be between 5 and 25"),
+        handleValidationErrors
+    ],
+
+    // POST /openings/import
+    importBook: [
+        body("lines")
+            .isArray({ min: 1, max: 5000 }).withMessage("Lines must be an array of 1-5000 entries"),
+        body("lines.*.moves")
+            .isString().withMessage("Line moves must be a string")
+            .isLength({ min: 2, max: 400 }).withMessage("Line moves must be 2-400 characters"),
+        body("lines.*.wins.B")
+            .optional()
+            .isInt({ min: 0 }).withMessage("Wins must be non-negative integers"),
+        body("lines.*.wins.W")
+            .optional()
+            .isInt({ min: 0 }).withMessage("Wins must be non-negative integers"),
+        body("lines.*.draws")
+            .optional()
+            .isInt({ min: 0 }).withMessage("Draws must be a non-negative integer"),
+        body("replace")
+            .optional()
+            .isBoolean({ strict: true }).withMessage("Replace must be boolean"),
+        handleValidationErrors
+    ]
+};
+
+/**
+ * Puzzle Routes Validation
+ */
+export const puzzleValidation = {
+    // GET /puzzles
+    list: [
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+        query("offset")
+            .optional()
+            .isInt({ min: 0 }).withMessage("Offset must be a non-negative integer"),
+        query(["minRating", "maxRating"])
+            .optional()
+            .isFloat().withMessage("Ratings must be numbers"),
+        handleValidationErrors
+    ],
+
+    // POST /puzzles
+    submit: [
+        body("board")
+            .isArray({ min: 5, max: 25 }).withMessage("Board must be an array of 5-25 rows"),
+        body("claim.type")
+            .isIn(["vcf", "vct"]).withMessage("Claim type must be vcf or vct"),
+        body("claim.moves")
+            .isInt({ min: 1, max: 10 }).withMessage("Claim moves must be between 1 and 10"),
+        body("solution")
+            .isString().withMessage("Solution must be a string")
+            .isLength({ min: 2, max: 400 }).withMessage("Solution must be 2-400 characters"),
+        handleValidationErrors
+    ],
+
+    // GET /puzzles/:id, POST /puzzles/:id/attempts
+    getById: [
+        param("id")
+            .trim()
+            .notEmpty().withMessage("Puzzle ID is required"),
+        handleValidationErrors
+    ],
+
+    // POST /puzzles/:id/attempts/:attemptId/moves
+    move: [
+        param("id")
+            .trim()
+            .notEmpty().withMessage("Puzzle ID is required"),
+        param("attemptId")
+            .trim()
+            .notEmpty().withMessage("Attempt ID is required"),
+        body("x")
+            .isInt({ min: 0, max: 24 }).withMessage("x must be between 0 and 24"),
+        body("y")
+            .isInt({ min: 0, max: 24 }).withMessage("y must be between 0 and 24"),
+        handleValidationErrors
+    ]
+};
+
+/**
+ * Challenge Routes Validation
+ */
+export const challengeValidation = {
+    // GET /challenges
+    list: [
+        query("status")
+            .optional()
+            .isString()
+            .isLength({ max: 100 }).withMessage("Status must not exceed 100 characters"),
+        handleValidationErrors
+    ],
+
+    // POST /challenges
+    create: [
+        body("opponent")
+            .optional({ values: "null" })
+            .isString().withMessage("Opponent must be a username")
+            .isLength({ min: 3, max: 30 }).withMessage("Opponent must be 3-30 characters"),
+        body("color")
+            .optional()
+            .isIn(["black", "white", "random"]).withMessage("Color must be black, white, or random"),
+        body("expiresIn")
+            .optional()
+            .isInt({ min: 60, max: 604800 }).withMessage("expiresIn must be between 60 and 604800 seconds"),
+        handleValidationErrors
+    ],
+
+    // POST /challenges/:id/accept|decline|cancel
+    getById: [
+        param("id")
+            .trim()
+            .notEmpty().withMessage("Challenge ID is required"),
+        handleValidationErrors
+    ],
+
+    // GET /challenges/invite/:token, POST /challenges/invite/:token/accept
+    token: [
+        param("token")
+            .isLength({ min: 16, max: 64 }).withMessage("Invalid invite token"),
+        handleValidationErrors
+    ]
+};
+
+/**
+ * Rating and Leaderboard Routes Validation
+ */
+export const ratingValidation = {
+    // GET /leaderboards, GET /ratings/:userId/history
+    page: [
+        query(["ruleSet", "speed", "period"])
+            .optional()
+            .isString()
+            .isLength({ max: 20 }).withMessage("Filters must not exceed 20 characters"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+        query("offset")
+            .optional()
+            .isInt({ min: 0 }).withMessage("Offset must be a non-negative integer"),
+        handleValidationErrors
+    ],
+
+    // GET /ratings/:userId
+    user: [
+        param("userId")
+            .trim()
+            .notEmpty().withMessage("User ID is required"),
+        handleValidationErrors
+    ]
+};
+
+/**
+ * Tournament Routes Validation
+ */
+export const tournamentValidation = {
+    // GET /tournaments
+    list: [
+        query("status")
+            .optional()
+            .isString()
+            .isLength({ max: 100 }).withMessage("Status must not exceed 100 characters"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+        query("offset")
+            .optional()
+            .isInt({ min: 0 }).withMessage("Offset must be a non-negative integer"),
+        handleValidationErrors
+    ],
+
+    // POST /tournaments
+    create: [
+        body("name")
+            .isString().withMessage("Name is required")
+            .trim()
+            .isLength({ min: 1, max: 100 }).withMessage("Name must be 1-100 characters"),
+        body("format")
+            .isIn(["round_robin", "swiss", "single_elimination", "double_elimination"])
+            .withMessage("Format must be round_robin, swiss, single_elimination, or double_elimination"),
+        body("closesAt")
+            .notEmpty().withMessage("closesAt is required"),
+        body("maxPlayers")
+            .optional({ values: "null" })
+            .isInt({ min: 2, max: 1024 }).withMessage("maxPlayers must be between 2 and 1024"),
+        body("totalRounds")
+            .optional({ values: "null" })
+            .isInt({ min: 1, max: 50 }).withMessage("totalRounds must be between 1 and 50"),
+        handleValidationErrors
+    ],
+
+    // GET /tournaments/:id, POST /tournaments/:id/register|withdraw|start|cancel
+    getById: [
+        param("id")
+            .trim()
+            .notEmpty().withMessage("Tournament ID is required"),
+        handleValidationErrors
+    ]
+};
+
 /**
  * Data Deletion Routes Validation
  */
@@ -338,6 +656,11 @@ export default {
     authValidation,
     consentValidation,
     gameValidation,
+    openingValidation,
+    puzzleValidation,
+    challengeValidation,
+    ratingValidation,
+    tournamentValidation,
     dataDeletionValidation,
     dataPortabilityValidation,
     dataAccessValidation,
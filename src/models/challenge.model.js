@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+const challengeSchema = new mongoose.Schema(
+  {
+    // Challenge UUID
+    _id: {
+      type: String,
+      required: true,
+    },
+    challengerId: {
+      type: String,
+      required: true,
+    },
+    // The challenged user; null for an invite link until someone accepts it
+    opponentId: {
+      type: String,
+      default: null,
+    },
+    // Secret of an invite link, null for a challenge to a user
+    token: {
+      type: String,
+      default: null,
+    },
+    // Settings of the game to create, as readGameSettings returns them
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Color the challenger asked for
+    color: {
+      type: String,
+      enum: ["black", "white", "random"],
+      default: "random",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "cancelled", "expired"],
+      default: "pending",
+    },
+    gameId: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Number,
+      required: true,
+    },
+    expiresAt: {
+      type: Number,
+      required: true,
+    },
+    respondedAt: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    collection: "challenges",
+    minimize: false,
+    versionKey: false,
+  },
+);
+
+challengeSchema.index({ token: 1 }, { unique: true, sparse: true });
+challengeSchema.index({ challengerId: 1, createdAt: -1 });
+challengeSchema.index({ opponentId: 1, createdAt: -1 });
+
+export default mongoose.models.Challenge ||
+  mongoose.model("Challenge", challengeSchema);
@@ -0,0 +1,65 @@
+/**
+ * In-memory challenge database
+ * Used when MongoDB is not available; challenges are lost on restart
+ */
+
+class ChallengeDatabase {
+  constructor() {
+    // challengeId -> challenge
+    this.challenges = new Map();
+  }
+
+  /**
+   * Get challenge by id
+   */
+  getChallenge(challengeId) {
+    return this.challenges.get(challengeId) || null;
+  }
+
+  /**
+   * Get the challenge behind an invite link
+   */
+  findChallengeByToken(token) {
+    for (const challenge of this.challenges.values()) {
+      if (challenge.token === token) return challenge;
+    }
+    return null;
+  }
+
+  /**
+   * Get the challenges a user sent or received, newest first
+   */
+  findChallengesForUser(userId) {
+    return Array.from(this.challenges.values())
+      .filter((c) => c.challengerId === userId || c.opponentId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Insert or replace a challenge
+   */
+  saveChallenge(challenge) {
+    this.challenges.set(challenge.id, challenge);
+    return challenge;
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clear() {
+    this.challenges.clear();
+  }
+
+  /**
+   * Get database stats
+   */
+  getStats() {
+    return {
+      totalChallenges: this.challenges.size,
+      storageType: "memory",
+    };
+  }
+}
+
+// Export singleton instance
+export default new ChallengeDatabase();
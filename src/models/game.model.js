@@ -0,0 +1,196 @@
+import mongoose from "mongoose";
+
+const moveSchema = new mongoose.Schema(
+  {
+    x: { type: Number, required: true },
+    y: { type: Number, required: true },
+    player: { type: String, enum: ["B", "W"], required: true },
+    index: { type: Number, required: true },
+    ts: { type: Number, required: true },
+    opening: { type: Boolean },
+    comment: { type: String },
+    // Symmetry-normalized Zobrist key of the position after this move
+    canonicalKey: { type: String },
+    // Opponent stones the move captured (pente)
+    captures: {
+      type: [{ x: Number, y: Number, _id: false }],
+      default: undefined,
+    },
+  },
+  { _id: false },
+);
+
+const seatsSchema = new mongoose.Schema(
+  {
+    first: { type: String, default: null },
+    second: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const gameSchema = new mongoose.Schema(
+  {
+    // Game UUID, the same id the REST API and sockets use
+    _id: {
+      type: String,
+      required: true,
+    },
+    // null for an infinite board
+    size: {
+      type: Number,
+      default: null,
+    },
+    // One byte per cell, row-major: 0 empty, 1 black, 2 white (utils/board.js)
+    cells: {
+      type: Buffer,
+      default: null,
+    },
+    // Infinite boards only: [{ x, y, player }] (utils/sparseBoard.js)
+    stones: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    nextPlayer: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Why the game ended, e.g. "five_in_a_row" or "resignation"
+    reason: {
+      type: String,
+      default: null,
+    },
+    winner: {
+      type: String,
+      default: null,
+    },
+    winningLine: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    drawOffer: {
+      type: String,
+      default: null,
+    },
+    // Pending takeback request: { requestedBy, steps }
+    takeback: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    takebacksUsed: {
+      B: { type: Number, default: 0 },
+      W: { type: Number, default: 0 },
+    },
+    moves: {
+      type: [moveSchema],
+      default: [],
+    },
+    // Undone moves, most recently undone last
+    redoStack: {
+      type: [moveSchema],
+      default: [],
+    },
+    // Review annotations kept from SGF imports
+    playerNames: {
+      B: { type: String, default: null },
+      W: { type: String, default: null },
+    },
+    comment: { type: String, default: null },
+    // Side lines as { at, moves, variations }, see utils/sgf.js
+    variations: {
+      type: mongoose.Schema.Types.Mixed,
+      default: [],
+    },
+    // User id per seat; null for an open seat or the computer. Games
+    // created without a user have no seats.
+    seats: {
+      type: seatsSchema,
+      default: null,
+    },
+    // Whether the finished game has been added to the opening book
+    inBook: {
+      type: Boolean,
+      default: false,
+    },
+    // Tournament the game was paired in
+    tournamentId: {
+      type: String,
+      default: null,
+    },
+    // Finished games: { offeredBy, gameId } of a rematch offer
+    rematch: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // { id, number, previousGameId, score } once the game is part of a
+    // rematch series
+    series: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Rating changes of a rated game, set once it has been rated
+    ratingChanges: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    config: {
+      winLength: { type: Number, required: true },
+      allowOverlines: { type: Boolean, required: true },
+      ruleSet: { type: String, default: "freestyle" },
+      abortMoveLimit: { type: Number, default: 2 },
+      takebacks: {
+        mode: { type: String, default: "request" },
+        limit: { type: Number, default: null },
+      },
+      mode: { type: String, enum: ["pvp", "pve", "online"], default: "pvp" },
+      rated: { type: Boolean, default: false },
+      // pve only: { player, difficulty } of the computer
+      ai: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    opening: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    colors: {
+      first: { type: String, default: null },
+      second: { type: String, default: null },
+    },
+    // Time control and per-player remaining time, null for untimed games
+    clock: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Incremented on every save, used to reject concurrent writes
+    version: {
+      type: Number,
+      required: true,
+    },
+    createdAt: {
+      type: Number,
+      required: true,
+    },
+    updatedAt: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    collection: "games",
+    minimize: false,
+    versionKey: false,
+  },
+);
+
+// Game listings page through updatedAt with the id as tie-breaker
+gameSchema.index({ updatedAt: -1, _id: -1 });
+gameSchema.index({ status: 1, updatedAt: -1 });
+
+// Finds the games that went through a position
+gameSchema.index({ "moves.canonicalKey": 1 });
+
+export default mongoose.models.Game || mongoose.model("Game", gameSchema);
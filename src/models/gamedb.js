@@ -0,0 +1,73 @@
+/**
+ * In-memory game database
+ * Used when MongoDB is not available; games are lost on restart
+ *
+ * Games are copied in and out like documents of a real database: a loaded
+ * game belongs to its caller, and the store only changes through saveGame.
+ */
+
+// Boards copy themselves (utils/board.js, utils/sparseBoard.js)
+const copyGame = ({ board, ...game }) => ({
+  ...structuredClone(game),
+  board: board.clone(),
+});
+
+class GameDatabase {
+  constructor() {
+    // gameId -> game state
+    this.games = new Map();
+  }
+
+  /**
+   * Get game by id
+   */
+  getGame(gameId) {
+    const game = this.games.get(gameId);
+    return game ? copyGame(game) : null;
+  }
+
+  /**
+   * Insert or replace a game. The stored game must still be at
+   * `expectedVersion` (0 for a new game); returns null when it is not.
+   */
+  saveGame(game, expectedVersion) {
+    const stored = this.games.get(game.id);
+    if ((stored?.version ?? 0) !== expectedVersion) return null;
+    this.games.set(game.id, copyGame(game));
+    return game;
+  }
+
+  /**
+   * Get all games, as stored: read-only
+   */
+  getAllGames() {
+    return Array.from(this.games.values());
+  }
+
+  /**
+   * Remove a game
+   */
+  deleteGame(gameId) {
+    return this.games.delete(gameId);
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clear() {
+    this.games.clear();
+  }
+
+  /**
+   * Get database stats
+   */
+  getStats() {
+    return {
+      totalGames: this.games.size,
+      storageType: "memory",
+    };
+  }
+}
+
+// Export singleton instance
+export default new GameDatabase();
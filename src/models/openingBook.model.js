@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Game counts by result: games = wins.B + wins.W + draws
+const statsFields = {
+  games: { type: Number, default: 0 },
+  wins: {
+    B: { type: Number, default: 0 },
+    W: { type: Number, default: 0 },
+  },
+  draws: { type: Number, default: 0 },
+};
+
+const openingPositionSchema = new mongoose.Schema(
+  {
+    // "<source>:<ruleSet>:<winLength>:<canonicalKey>"
+    _id: {
+      type: String,
+      required: true,
+    },
+    // "games" (played on the server) or "curated" (imported by admins)
+    source: {
+      type: String,
+      enum: ["games", "curated"],
+      required: true,
+    },
+    ruleSet: {
+      type: String,
+      required: true,
+    },
+    winLength: {
+      type: Number,
+      required: true,
+    },
+    canonicalKey: {
+      type: String,
+      required: true,
+    },
+    ...statsFields,
+    // "<x>_<y>" of the next move in the canonical frame -> stats
+    moves: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    collection: "opening_positions",
+    minimize: false,
+    versionKey: false,
+  },
+);
+
+openingPositionSchema.index({ source: 1, ruleSet: 1, winLength: 1 });
+
+export default mongoose.models.OpeningPosition ||
+  mongoose.model("OpeningPosition", openingPositionSchema);
@@ -0,0 +1,69 @@
+/**
+ * In-memory opening book
+ * Used when MongoDB is not available; the book is lost on restart
+ */
+
+class OpeningBookDatabase {
+  constructor() {
+    // position id -> position entry
+    this.positions = new Map();
+  }
+
+  /**
+   * Get position by id
+   */
+  getPosition(id) {
+    return this.positions.get(id) || null;
+  }
+
+  /**
+   * Add to the counters of a position, creating it from `fields` when new.
+   * `inc` maps dotted paths to amounts, like MongoDB's $inc.
+   */
+  increment(id, fields, inc) {
+    let entry = this.positions.get(id);
+    if (!entry) {
+      entry = { id, ...fields };
+      this.positions.set(id, entry);
+    }
+    for (const [path, amount] of Object.entries(inc)) {
+      const keys = path.split(".");
+      const last = keys.pop();
+      let target = entry;
+      for (const key of keys) target = target[key] ??= {};
+      target[last] = (target[last] || 0) + amount;
+    }
+    return entry;
+  }
+
+  /**
+   * Remove every position matching all of the given fields
+   */
+  deletePositions(fields) {
+    for (const [id, entry] of this.positions) {
+      if (Object.entries(fields).every(([k, v]) => entry[k] === v)) {
+        this.positions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clear() {
+    this.positions.clear();
+  }
+
+  /**
+   * Get database stats
+   */
+  getStats() {
+    return {
+      totalPositions: this.positions.size,
+      storageType: "memory",
+    };
+  }
+}
+
+// Export singleton instance
+export default new OpeningBookDatabase();
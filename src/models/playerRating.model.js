@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+const playerRatingSchema = new mongoose.Schema(
+  {
+    // "<userId>:<ruleSet>:<speed>", one rating per user and category
+    _id: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    ruleSet: {
+      type: String,
+      required: true,
+    },
+    // Time-control category, see speedOf in services/rating.service.js
+    speed: {
+      type: String,
+      required: true,
+    },
+    // Glicko-2 rating, deviation and volatility (utils/glicko2.js)
+    rating: {
+      type: Number,
+      required: true,
+    },
+    rd: {
+      type: Number,
+      required: true,
+    },
+    volatility: {
+      type: Number,
+      required: true,
+    },
+    games: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    lastGameAt: {
+      type: Number,
+      required: true,
+    },
+    // Incremented on every save, used to reject concurrent writes
+    version: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    collection: "player_ratings",
+    minimize: false,
+    versionKey: false,
+  },
+);
+
+// Leaderboards
+playerRatingSchema.index({ ruleSet: 1, speed: 1, rating: -1 });
+playerRatingSchema.index({ userId: 1 });
+
+export default mongoose.models.PlayerRating ||
+  mongoose.model("PlayerRating", playerRatingSchema);
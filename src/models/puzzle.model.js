@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+const pointSchema = new mongoose.Schema(
+  {
+    x: { type: Number, required: true },
+    y: { type: Number, required: true },
+    player: { type: String, enum: ["B", "W"], required: true },
+  },
+  { _id: false },
+);
+
+const puzzleSchema = new mongoose.Schema(
+  {
+    // Puzzle UUID
+    _id: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // One byte per cell, row-major: 0 empty, 1 black, 2 white (utils/board.js)
+    cells: {
+      type: Buffer,
+      required: true,
+    },
+    toMove: {
+      type: String,
+      enum: ["B", "W"],
+      required: true,
+    },
+    rules: {
+      ruleSet: { type: String, default: "freestyle" },
+      winLength: { type: Number, required: true },
+      allowOverlines: { type: Boolean, required: true },
+    },
+    // "<toMove> wins in <moves> by <type>"; moves counts the winner's moves
+    claim: {
+      type: { type: String, enum: ["vcf", "vct"], required: true },
+      moves: { type: Number, required: true },
+    },
+    // Verified main line, both sides' moves
+    solution: {
+      type: [pointSchema],
+      default: [],
+    },
+    positionKey: {
+      type: String,
+      required: true,
+    },
+    canonicalKey: {
+      type: String,
+      required: true,
+    },
+    authorId: {
+      type: String,
+      required: true,
+    },
+    rating: {
+      type: Number,
+      default: 1500,
+    },
+    plays: {
+      type: Number,
+      default: 0,
+    },
+    solves: {
+      type: Number,
+      default: 0,
+    },
+    createdAt: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    collection: "puzzles",
+    minimize: false,
+    versionKey: false,
+  },
+);
+
+// The same position under the same rules is only published once
+puzzleSchema.index(
+  { canonicalKey: 1, "rules.ruleSet": 1, "rules.winLength": 1 },
+  { unique: true },
+);
+puzzleSchema.index({ rating: 1 });
+
+export default mongoose.models.Puzzle || mongoose.model("Puzzle", puzzleSchema);
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const puzzleAttemptSchema = new mongoose.Schema(
+  {
+    // Attempt UUID
+    _id: {
+      type: String,
+      required: true,
+    },
+    puzzleId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    // Moves played so far, the solver's and the server's replies
+    moves: {
+      type: [
+        {
+          _id: false,
+          x: { type: Number, required: true },
+          y: { type: Number, required: true },
+          player: { type: String, enum: ["B", "W"], required: true },
+        },
+      ],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["ongoing", "solved", "failed"],
+      default: "ongoing",
+    },
+    // Only a user's first attempt at a puzzle moves the ratings
+    rated: {
+      type: Boolean,
+      default: false,
+    },
+    ratingChange: {
+      type: Number,
+      default: null,
+    },
+    createdAt: {
+      type: Number,
+      required: true,
+    },
+    updatedAt: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    collection: "puzzle_attempts",
+    minimize: false,
+    versionKey: false,
+  },
+);
+
+puzzleAttemptSchema.index({ userId: 1, puzzleId: 1, createdAt: 1 });
+
+export default mongoose.models.PuzzleAttempt ||
+  mongoose.model("PuzzleAttempt", puzzleAttemptSchema);
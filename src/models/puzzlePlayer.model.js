@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Puzzle rating and counters per user
+const puzzlePlayerSchema = new mongoose.Schema(
+  {
+    // User id
+    _id: {
+      type: String,
+      required: true,
+    },
+    rating: {
+      type: Number,
+      default: 1500,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    solved: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    collection: "puzzle_players",
+    minimize: false,
+    versionKey: false,
+  },
+);
+
+export default mongoose.models.PuzzlePlayer ||
+  mongoose.model("PuzzlePlayer", puzzlePlayerSchema);
@@ -0,0 +1,118 @@
+/**
+ * In-memory puzzle database
+ * Used when MongoDB is not available; puzzles, attempts and puzzle ratings
+ * are lost on restart
+ */
+
+class PuzzleDatabase {
+  constructor() {
+    // puzzleId -> puzzle
+    this.puzzles = new Map();
+    // attemptId -> attempt
+    this.attempts = new Map();
+    // userId -> puzzle rating and counters
+    this.players = new Map();
+  }
+
+  /**
+   * Get puzzle by id
+   */
+  getPuzzle(puzzleId) {
+    return this.puzzles.get(puzzleId) || null;
+  }
+
+  /**
+   * Find a puzzle with the same position under the same rules
+   */
+  findPuzzleByPosition(canonicalKey, { ruleSet, winLength }) {
+    for (const puzzle of this.puzzles.values()) {
+      if (
+        puzzle.canonicalKey === canonicalKey &&
+        puzzle.rules.ruleSet === ruleSet &&
+        puzzle.rules.winLength === winLength
+      ) {
+        return puzzle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Insert or replace a puzzle
+   */
+  savePuzzle(puzzle) {
+    this.puzzles.set(puzzle.id, puzzle);
+    return puzzle;
+  }
+
+  /**
+   * Get all puzzles, newest first
+   */
+  getAllPuzzles() {
+    return Array.from(this.puzzles.values()).sort(
+      (a, b) => b.createdAt - a.createdAt,
+    );
+  }
+
+  /**
+   * Get attempt by id
+   */
+  getAttempt(attemptId) {
+    return this.attempts.get(attemptId) || null;
+  }
+
+  /**
+   * Get a user's attempts at a puzzle, oldest first
+   */
+  findAttempts(userId, puzzleId) {
+    return Array.from(this.attempts.values())
+      .filter((a) => a.userId === userId && a.puzzleId === puzzleId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Insert or replace an attempt
+   */
+  saveAttempt(attempt) {
+    this.attempts.set(attempt.id, attempt);
+    return attempt;
+  }
+
+  /**
+   * Get a user's puzzle rating and counters
+   */
+  getPlayer(userId) {
+    return this.players.get(userId) || null;
+  }
+
+  /**
+   * Insert or replace a user's puzzle rating and counters
+   */
+  savePlayer(player) {
+    this.players.set(player.id, player);
+    return player;
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clear() {
+    this.puzzles.clear();
+    this.attempts.clear();
+    this.players.clear();
+  }
+
+  /**
+   * Get database stats
+   */
+  getStats() {
+    return {
+      totalPuzzles: this.puzzles.size,
+      totalAttempts: this.attempts.size,
+      storageType: "memory",
+    };
+  }
+}
+
+// Export singleton instance
+export default new PuzzleDatabase();
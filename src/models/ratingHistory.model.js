@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// One entry per player and rated game
+const ratingHistorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    ruleSet: {
+      type: String,
+      required: true,
+    },
+    speed: {
+      type: String,
+      required: true,
+    },
+    gameId: {
+      type: String,
+      required: true,
+    },
+    opponentId: {
+      type: String,
+      required: true,
+    },
+    result: {
+      type: String,
+      enum: ["win", "loss", "draw"],
+      required: true,
+    },
+    // Rating and deviation after the game
+    rating: {
+      type: Number,
+      required: true,
+    },
+    rd: {
+      type: Number,
+      required: true,
+    },
+    change: {
+      type: Number,
+      required: true,
+    },
+    createdAt: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    collection: "rating_history",
+    versionKey: false,
+  },
+);
+
+ratingHistorySchema.index({ userId: 1, ruleSet: 1, speed: 1, createdAt: -1 });
+// Period leaderboards
+ratingHistorySchema.index({ ruleSet: 1, speed: 1, createdAt: -1 });
+
+export default mongoose.models.RatingHistory ||
+  mongoose.model("RatingHistory", ratingHistorySchema);
@@ -0,0 +1,91 @@
+/**
+ * In-memory rating database
+ * Used when MongoDB is not available; ratings and their history are lost on
+ * restart
+ */
+
+class RatingDatabase {
+  constructor() {
+    // "<userId>:<ruleSet>:<speed>" -> rating record
+    this.ratings = new Map();
+    // Rating history entries, oldest first
+    this.history = [];
+  }
+
+  /**
+   * Get a rating record by id
+   */
+  getRating(id) {
+    return this.ratings.get(id) || null;
+  }
+
+  /**
+   * Get all of a user's rating records
+   */
+  findRatingsByUser(userId) {
+    return Array.from(this.ratings.values()).filter((r) => r.userId === userId);
+  }
+
+  /**
+   * Get the rating records of a category, highest rating first
+   */
+  findRatingsByCategory({ ruleSet, speed }) {
+    return Array.from(this.ratings.values())
+      .filter((r) => r.ruleSet === ruleSet && r.speed === speed)
+      .sort((a, b) => b.rating - a.rating);
+  }
+
+  /**
+   * Insert or replace a rating record. The stored record must still be at
+   * `expectedVersion` (0 for a new one); returns false when it is not.
+   */
+  saveRating(record, expectedVersion) {
+    const stored = this.ratings.get(record.id);
+    if ((stored?.version ?? 0) !== expectedVersion) return false;
+    this.ratings.set(record.id, { ...record });
+    return true;
+  }
+
+  /**
+   * Get history entries matching all given fields, created at or after
+   * `since`, newest first
+   */
+  findHistory(fields, since = 0) {
+    return this.history
+      .filter(
+        (h) =>
+          h.createdAt >= since &&
+          Object.entries(fields).every(([key, value]) => h[key] === value),
+      )
+      .reverse();
+  }
+
+  /**
+   * Append history entries
+   */
+  addHistory(entries) {
+    this.history.push(...entries);
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clear() {
+    this.ratings.clear();
+    this.history = [];
+  }
+
+  /**
+   * Get database stats
+   */
+  getStats() {
+    return {
+      totalRatings: this.ratings.size,
+      totalHistory: this.history.length,
+      storageType: "memory",
+    };
+  }
+}
+
+// Export singleton instance
+export default new RatingDatabase();
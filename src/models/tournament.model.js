@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+const tournamentSchema = new mongoose.Schema(
+  {
+    // Tournament UUID
+    _id: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: [
+        "round_robin",
+        "swiss",
+        "single_elimination",
+        "double_elimination",
+      ],
+      required: true,
+    },
+    // Settings of every game, as readGameSettings returns them
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Rounds to play: set at the start for round robin, and for Swiss when
+    // not given; null for elimination
+    totalRounds: {
+      type: Number,
+      default: null,
+    },
+    registration: {
+      opensAt: { type: Number, required: true },
+      closesAt: { type: Number, required: true },
+    },
+    maxPlayers: {
+      type: Number,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["registration", "running", "finished", "cancelled"],
+      default: "registration",
+      index: true,
+    },
+    // { userId, seed, rating, registeredAt, eliminatedInRound }
+    players: {
+      type: mongoose.Schema.Types.Mixed,
+      default: [],
+    },
+    // { number, pairings: [{ first, second, bracket, games, result }] }
+    rounds: {
+      type: mongoose.Schema.Types.Mixed,
+      default: [],
+    },
+    // Elimination formats: { lives, winners, losers } (utils/tournamentPairing.js)
+    bracket: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    winnerId: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Number,
+      required: true,
+    },
+    startedAt: {
+      type: Number,
+      default: null,
+    },
+    finishedAt: {
+      type: Number,
+      default: null,
+    },
+    // Incremented on every save, used to reject concurrent writes
+    version: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    collection: "tournaments",
+    minimize: false,
+    versionKey: false,
+  },
+);
+
+tournamentSchema.index({ createdAt: -1 });
+
+export default mongoose.models.Tournament ||
+  mongoose.model("Tournament", tournamentSchema);
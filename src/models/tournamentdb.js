@@ -0,0 +1,63 @@
+/**
+ * In-memory tournament database
+ * Used when MongoDB is not available; tournaments are lost on restart
+ *
+ * Tournaments are copied in and out like documents of a real database: a
+ * loaded tournament belongs to its caller, and the store only changes
+ * through saveTournament.
+ */
+
+class TournamentDatabase {
+  constructor() {
+    // tournamentId -> tournament
+    this.tournaments = new Map();
+  }
+
+  /**
+   * Get tournament by id
+   */
+  getTournament(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    return tournament ? structuredClone(tournament) : null;
+  }
+
+  /**
+   * Get all tournaments, newest first, as stored: read-only
+   */
+  getAllTournaments() {
+    return Array.from(this.tournaments.values()).sort(
+      (a, b) => b.createdAt - a.createdAt,
+    );
+  }
+
+  /**
+   * Insert or replace a tournament. The stored tournament must still be at
+   * `expectedVersion` (0 for a new one); returns null when it is not.
+   */
+  saveTournament(tournament, expectedVersion) {
+    const stored = this.tournaments.get(tournament.id);
+    if ((stored?.version ?? 0) !== expectedVersion) return null;
+    this.tournaments.set(tournament.id, structuredClone(tournament));
+    return tournament;
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clear() {
+    this.tournaments.clear();
+  }
+
+  /**
+   * Get database stats
+   */
+  getStats() {
+    return {
+      totalTournaments: this.tournaments.size,
+      storageType: "memory",
+    };
+  }
+}
+
+// Export singleton instance
+export default new TournamentDatabase();
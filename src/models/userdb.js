@@ -25,6 +25,7 @@ class UserDatabase {
         email: "admin@example.com",
         username: "admin",
         password: "Admin123!@#",
+        role: "admin",
       },
     ];
 
@@ -34,7 +35,7 @@ class UserDatabase {
   }
 
   async createUser(userData) {
-    const { email, username, password } = userData;
+    const { email, username, password, role = "user" } = userData;
 
     if (
       this.users.has(email.toLowerCase()) ||
@@ -50,6 +51,7 @@ class UserDatabase {
       email: email.toLowerCase(),
       username: username.toLowerCase(),
       password: hashedPassword,
+      role,
       failedLoginAttempts: 0,
       accountLockUntil: null,
       lastLoginAt: null,
@@ -0,0 +1,45 @@
+import { Router } from "express";
+import {
+  getChallenges,
+  newChallenge,
+  acceptChallengeById,
+  declineChallengeById,
+  cancelChallengeById,
+  getInviteByToken,
+  acceptInviteByToken,
+} from "../controllers/challenges.controller.js";
+import { authenticateToken } from "../middleware/auth.middleware.js";
+import { challengeValidation } from "../middleware/validation.js";
+
+const router = Router();
+
+// Invite links can be looked at before signing in
+router.get("/invite/:token", challengeValidation.token, getInviteByToken); // GET  /challenges/invite/:token
+router.post(
+  "/invite/:token/accept",
+  authenticateToken,
+  challengeValidation.token,
+  acceptInviteByToken,
+); // POST /challenges/invite/:token/accept
+router.get("/", authenticateToken, challengeValidation.list, getChallenges); // GET  /challenges?status=
+router.post("/", authenticateToken, challengeValidation.create, newChallenge); // POST /challenges
+router.post(
+  "/:id/accept",
+  authenticateToken,
+  challengeValidation.getById,
+  acceptChallengeById,
+); // POST /challenges/:id/accept
+router.post(
+  "/:id/decline",
+  authenticateToken,
+  challengeValidation.getById,
+  declineChallengeById,
+); // POST /challenges/:id/decline
+router.post(
+  "/:id/cancel",
+  authenticateToken,
+  challengeValidation.getById,
+  cancelChallengeById,
+); // POST /challenges/:id/cancel
+
+export default router;
@@ -1,19 +1,134 @@
 import { Router } from "express";
 import {
+  getGames,
   getGame,
   newGame,
   makeMove,
+  placeOpening,
+  pickColor,
+  resignGame,
+  drawOffer,
+  acceptDraw,
+  declineDraw,
+  rematchOffer,
+  acceptRematch,
+  declineRematch,
+  abortGame,
+  takebackRequest,
+  acceptTakeback,
+  declineTakeback,
   undoMove,
+  redoMove,
+  exportNotation,
+  importNotation,
+  exportSgfFile,
+  importSgfFile,
+  getAnalysis,
+  joinOnlineGame,
 } from "../controllers/games.controller.js";
 import { gameValidation } from "../middleware/validation.js";
+import { authenticateToken } from "../middleware/auth.middleware.js";
 
 const router = Router();
 
+// Reads are public so games can be watched; every action needs a signed-in
+// player, which the game service checks against the game's seats
 router.get("/health", (_req, res) => res.json({ ok: true }));
-router.post("/", gameValidation.create, newGame); // POST /games
+router.get("/", gameValidation.list, getGames); // GET  /games?status=&player=&userId=&cursor=
+router.post("/", authenticateToken, gameValidation.create, newGame); // POST /games
+router.post(
+  "/import",
+  authenticateToken,
+  gameValidation.importGame,
+  importNotation,
+); // POST /games/import
+router.post("/sgf", authenticateToken, gameValidation.importSgf, importSgfFile); // POST /games/sgf
 router.get("/:id", gameValidation.getById, getGame); // GET  /games/:id
-router.post("/:id/moves", gameValidation.makeMove, makeMove); // POST /games/:id/moves
-// optional tool for you while testing
-router.post("/:id/undo", undoMove);
+router.get("/:id/export", gameValidation.exportGame, exportNotation); // GET  /games/:id/export
+router.get("/:id/sgf", gameValidation.getById, exportSgfFile); // GET  /games/:id/sgf
+router.get("/:id/analysis", gameValidation.getById, getAnalysis); // GET  /games/:id/analysis
+router.post(
+  "/:id/join",
+  authenticateToken,
+  gameValidation.getById,
+  joinOnlineGame,
+); // POST /games/:id/join
+router.post("/:id/moves", authenticateToken, gameValidation.makeMove, makeMove); // POST /games/:id/moves
+router.post(
+  "/:id/opening",
+  authenticateToken,
+  gameValidation.openingStones,
+  placeOpening,
+); // POST /games/:id/opening
+router.post(
+  "/:id/color",
+  authenticateToken,
+  gameValidation.chooseColor,
+  pickColor,
+); // POST /games/:id/color
+router.post(
+  "/:id/resign",
+  authenticateToken,
+  gameValidation.playerAction,
+  resignGame,
+); // POST /games/:id/resign
+router.post(
+  "/:id/draw/offer",
+  authenticateToken,
+  gameValidation.playerAction,
+  drawOffer,
+); // POST /games/:id/draw/offer
+router.post(
+  "/:id/draw/accept",
+  authenticateToken,
+  gameValidation.playerAction,
+  acceptDraw,
+); // POST /games/:id/draw/accept
+router.post(
+  "/:id/draw/decline",
+  authenticateToken,
+  gameValidation.playerAction,
+  declineDraw,
+); // POST /games/:id/draw/decline
+router.post("/:id/abort", authenticateToken, gameValidation.getById, abortGame); // POST /games/:id/abort
+router.post(
+  "/:id/rematch/offer",
+  authenticateToken,
+  gameValidation.getById,
+  rematchOffer,
+); // POST /games/:id/rematch/offer
+router.post(
+  "/:id/rematch/accept",
+  authenticateToken,
+  gameValidation.getById,
+  acceptRematch,
+); // POST /games/:id/rematch/accept
+router.post(
+  "/:id/rematch/decline",
+  authenticateToken,
+  gameValidation.getById,
+  declineRematch,
+); // POST /games/:id/rematch/decline
+router.post(
+  "/:id/takeback/request",
+  authenticateToken,
+  gameValidation.playerAction,
+  takebackRequest,
+); // POST /games/:id/takeback/request
+router.post(
+  "/:id/takeback/accept",
+  authenticateToken,
+  gameValidation.playerAction,
+  acceptTakeback,
+); // POST /games/:id/takeback/accept
+router.post(
+  "/:id/takeback/decline",
+  authenticateToken,
+  gameValidation.playerAction,
+  declineTakeback,
+); // POST /games/:id/takeback/decline
+// Direct undo/redo, only for games created with takebacks.mode "free"
+router.post("/:id/undo", authenticateToken, undoMove);
+router.post("/:id/redo", authenticateToken, redoMove);
 
 export default router;
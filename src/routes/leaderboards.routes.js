@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { getLeaderboards } from "../controllers/ratings.controller.js";
+import { ratingValidation } from "../middleware/validation.js";
+
+const router = Router();
+
+router.get("/", ratingValidation.page, getLeaderboards); // GET  /leaderboards?ruleSet=&speed=&period=
+
+export default router;
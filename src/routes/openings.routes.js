@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+  getOpeningBook,
+  importOpeningBook,
+  rebuildOpeningBook,
+} from "../controllers/openings.controller.js";
+import {
+  authenticateToken,
+  requireAdmin,
+} from "../middleware/auth.middleware.js";
+import { openingValidation } from "../middleware/validation.js";
+
+const router = Router();
+
+router.get("/", openingValidation.lookup, getOpeningBook); // GET  /openings?moves=h8,i9
+router.post(
+  "/import",
+  authenticateToken,
+  requireAdmin,
+  openingValidation.importBook,
+  importOpeningBook,
+); // POST /openings/import
+router.post("/rebuild", authenticateToken, requireAdmin, rebuildOpeningBook); // POST /openings/rebuild
+
+export default router;
@@ -0,0 +1,32 @@
+import { Router } from "express";
+import {
+  getPuzzles,
+  getPuzzleById,
+  submitPuzzle,
+  startPuzzleAttempt,
+  makePuzzleMove,
+  getMyPuzzleStats,
+} from "../controllers/puzzles.controller.js";
+import { authenticateToken } from "../middleware/auth.middleware.js";
+import { puzzleValidation } from "../middleware/validation.js";
+
+const router = Router();
+
+router.get("/", puzzleValidation.list, getPuzzles); // GET  /puzzles
+router.post("/", authenticateToken, puzzleValidation.submit, submitPuzzle); // POST /puzzles
+router.get("/me", authenticateToken, getMyPuzzleStats); // GET  /puzzles/me
+router.get("/:id", puzzleValidation.getById, getPuzzleById); // GET  /puzzles/:id
+router.post(
+  "/:id/attempts",
+  authenticateToken,
+  puzzleValidation.getById,
+  startPuzzleAttempt,
+); // POST /puzzles/:id/attempts
+router.post(
+  "/:id/attempts/:attemptId/moves",
+  authenticateToken,
+  puzzleValidation.move,
+  makePuzzleMove,
+); // POST /puzzles/:id/attempts/:attemptId/moves
+
+export default router;
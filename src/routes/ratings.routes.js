@@ -0,0 +1,18 @@
+import { Router } from "express";
+import {
+  getUserRatings,
+  getUserRatingHistory,
+} from "../controllers/ratings.controller.js";
+import { ratingValidation } from "../middleware/validation.js";
+
+const router = Router();
+
+router.get("/:userId", ratingValidation.user, getUserRatings); // GET  /ratings/:userId
+router.get(
+  "/:userId/history",
+  ratingValidation.user,
+  ratingValidation.page,
+  getUserRatingHistory,
+); // GET  /ratings/:userId/history?ruleSet=&speed=
+
+export default router;
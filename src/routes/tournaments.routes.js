@@ -0,0 +1,61 @@
+import { Router } from "express";
+import {
+  getTournaments,
+  newTournament,
+  getTournamentById,
+  getTournamentStandings,
+  registerForTournament,
+  withdrawFromTournament,
+  startTournamentById,
+  cancelTournamentById,
+} from "../controllers/tournaments.controller.js";
+import {
+  authenticateToken,
+  requireAdmin,
+} from "../middleware/auth.middleware.js";
+import { tournamentValidation } from "../middleware/validation.js";
+
+const router = Router();
+
+router.get("/", tournamentValidation.list, getTournaments); // GET  /tournaments?status=
+router.post(
+  "/",
+  authenticateToken,
+  requireAdmin,
+  tournamentValidation.create,
+  newTournament,
+); // POST /tournaments
+router.get("/:id", tournamentValidation.getById, getTournamentById); // GET  /tournaments/:id
+router.get(
+  "/:id/standings",
+  tournamentValidation.getById,
+  getTournamentStandings,
+); // GET  /tournaments/:id/standings
+router.post(
+  "/:id/register",
+  authenticateToken,
+  tournamentValidation.getById,
+  registerForTournament,
+); // POST /tournaments/:id/register
+router.post(
+  "/:id/withdraw",
+  authenticateToken,
+  tournamentValidation.getById,
+  withdrawFromTournament,
+); // POST /tournaments/:id/withdraw
+router.post(
+  "/:id/start",
+  authenticateToken,
+  requireAdmin,
+  tournamentValidation.getById,
+  startTournamentById,
+); // POST /tournaments/:id/start
+router.post(
+  "/:id/cancel",
+  authenticateToken,
+  requireAdmin,
+  tournamentValidation.getById,
+  cancelTournamentById,
+); // POST /tournaments/:id/cancel
+
+export default router;
@@ -10,6 +10,12 @@ import { xssProtection } from "./middleware/xss.middleware.js";
 import { csrfProtection } from "./middleware/csrf.middleware.js";
 
 import gamesRoutes from "./routes/games.routes.js";
+import openingsRoutes from "./routes/openings.routes.js";
+import puzzlesRoutes from "./routes/puzzles.routes.js";
+import challengesRoutes from "./routes/challenges.routes.js";
+import leaderboardsRoutes from "./routes/leaderboards.routes.js";
+import ratingsRoutes from "./routes/ratings.routes.js";
+import tournamentsRoutes from "./routes/tournaments.routes.js";
 import healthRoutes from "./routes/health.routes.js";
 import consentRoutes from "./routes/consent.routes.js";
 import consentAuditRoutes from "./routes/consentAudit.routes.js";
@@ -19,6 +25,7 @@ import updateComplianceRoutes from "./routes/updateCompliance.routes.js";
 import dataDeletionRoutes from "./routes/dataDeletion.routes.js";
 import { setupSocket } from "./socket/socketHandler.js";
 import { connectMongoDB } from "./config/database.js";
+import { scheduleTournamentStarts } from "./services/tournament.service.js";
 import dataRetentionService from "./services/dataRetention.service.js";
 import updateComplianceService from "./services/updateCompliance.service.js";
 import thirdPartyRouter from "./routes/thirdParty.routes.js";
@@ -98,9 +105,18 @@ app.use(csrfProtection);
 // Initialize database connection
 await connectMongoDB();
 
+// Re-arm the start timers of tournaments still open for registration
+await scheduleTournamentStarts();
+
 // Routes
 app.use("/api", thirdPartyRouter);
 app.use("/api/games", gamesRoutes);
+app.use("/api/openings", openingsRoutes);
+app.use("/api/puzzles", puzzlesRoutes);
+app.use("/api/challenges", challengesRoutes);
+app.use("/api/ratings", ratingsRoutes);
+app.use("/api/leaderboards", leaderboardsRoutes);
+app.use("/api/tournaments", tournamentsRoutes);
 app.use("/api/consent", consentRoutes);
 app.use("/api/consent/audit", consentAuditRoutes);
 app.use("/api/auth", authRoutes);
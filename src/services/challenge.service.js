@@ -0,0 +1,357 @@
+/**
+ * Challenges: an invitation to an online game, either to a named user or as
+ * an invite link that anyone holding its token can accept. The challenge
+ * carries the game settings and the color the challenger asked for; the game
+ * is only created, with both seats filled, once the challenge is accepted.
+ *
+ * A challenge is pending until it is accepted, declined (challenges to a
+ * user only), cancelled by the challenger or expires. Expiry is applied when
+ * a challenge is next read, the way game clocks flag lazily.
+ */
+
+import { randomBytes, randomUUID } from "node:crypto";
+import { EventEmitter } from "node:events";
+import { createGame } from "./game.service.js";
+import ChallengeModel from "../models/challenge.model.js";
+import challengeDb from "../models/challengedb.js";
+import UserModel from "../models/user.model.js";
+import userDb from "../models/userdb.js";
+import { isUsingMongoDB } from "../config/database.js";
+
+const CHALLENGE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CHALLENGE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const COLOR_PREFERENCES = ["black", "white", "random"];
+const CHALLENGE_STATUSES = [
+  "pending",
+  "accepted",
+  "declined",
+  "cancelled",
+  "expired",
+];
+
+const COLORS = { black: "B", white: "W" };
+
+function challengeError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Emits "update" with the challenge DTO whenever a challenge changes
+const challengeEvents = new EventEmitter();
+
+// ===== Storage =====
+const fromDoc = (doc) => doc && { id: doc._id, ...doc };
+
+async function loadChallenge(challengeId) {
+  if (!isUsingMongoDB()) return challengeDb.getChallenge(challengeId);
+  return fromDoc(await ChallengeModel.findById(challengeId).lean());
+}
+
+async function loadChallengeByToken(token) {
+  if (!isUsingMongoDB()) return challengeDb.findChallengeByToken(token);
+  return fromDoc(await ChallengeModel.findOne({ token }).lean());
+}
+
+async function insertChallenge(challenge) {
+  if (!isUsingMongoDB()) {
+    challengeDb.saveChallenge(challenge);
+    return;
+  }
+  const { id, ...doc } = challenge;
+  await ChallengeModel.create({ _id: id, ...doc });
+}
+
+// Moves a pending challenge on; false when it was no longer pending, e.g.
+// accepted from another tab in the meantime
+async function updatePending(challenge, changes) {
+  if (!isUsingMongoDB()) {
+    if (challengeDb.getChallenge(challenge.id)?.status !== "pending") {
+      return false;
+    }
+    Object.assign(challenge, changes);
+    challengeDb.saveChallenge(challenge);
+    return true;
+  }
+  const { modifiedCount } = await ChallengeModel.updateOne(
+    { _id: challenge.id, status: "pending" },
+    { $set: changes },
+  );
+  if (modifiedCount === 0) return false;
+  Object.assign(challenge, changes);
+  return true;
+}
+
+async function findUserByUsername(username) {
+  const user = isUsingMongoDB()
+    ? await UserModel.findOne({ username }).lean()
+    : await userDb.findUserByUsername(username);
+  if (!user || user.isActive === false) return null;
+  return { id: String(user.id || user._id), username: user.username };
+}
+
+// ===== DTO & helpers =====
+// The invite token is only shown to the challenger, who shares the link
+function toChallengeDTO(challenge, userId = null) {
+  return {
+    challengeId: challenge.id,
+    challengerId: challenge.challengerId,
+    opponentId: challenge.opponentId,
+    invite: challenge.token !== null,
+    token: userId === challenge.challengerId ? challenge.token : null,
+    settings: challenge.settings,
+    color: challenge.color,
+    status: challenge.status,
+    gameId: challenge.gameId,
+    createdAt: challenge.createdAt,
+    expiresAt: challenge.expiresAt,
+    respondedAt: challenge.respondedAt,
+  };
+}
+
+async function commitChange(challenge, changes) {
+  if (!(await updatePending(challenge, changes))) {
+    const current = await loadChallenge(challenge.id);
+    throw challengeError("INVALID_STATE", `Challenge is ${current.status}`);
+  }
+  challengeEvents.emit("update", toChallengeDTO(challenge));
+}
+
+async function expireIfDue(challenge, now = Date.now()) {
+  if (challenge.status !== "pending" || now < challenge.expiresAt) return;
+  if (await updatePending(challenge, { status: "expired" })) {
+    challengeEvents.emit("update", toChallengeDTO(challenge));
+  }
+}
+
+async function requireChallenge(challengeId) {
+  const challenge = await loadChallenge(challengeId);
+  if (!challenge) throw challengeError("NOT_FOUND", "Challenge not found");
+  await expireIfDue(challenge);
+  return challenge;
+}
+
+async function requireInvite(token) {
+  const challenge = await loadChallengeByToken(token);
+  if (!challenge) throw challengeError("NOT_FOUND", "Invite not found");
+  await expireIfDue(challenge);
+  return challenge;
+}
+
+function requirePending(challenge) {
+  if (challenge.status !== "pending") {
+    throw challengeError("INVALID_STATE", `Challenge is ${challenge.status}`);
+  }
+}
+
+// Seat of the challenger in the new game. Black opens (or places the
+// opening stones under swap rules), so it is the "first" seat when the game
+// starts with Black.
+function challengerSeat({ settings, color }) {
+  if (color === "random") return Math.random() < 0.5 ? "first" : "second";
+  return COLORS[color] === settings.firstPlayer ? "first" : "second";
+}
+
+// ===== Challenges =====
+/**
+ * Challenges a user by username, or creates an invite link when no opponent
+ * is given.
+ * @param {Object} params
+ * @param {string} params.challengerId
+ * @param {string|null} [params.opponent] - username of the challenged user
+ * @param {Object} params.settings - game settings (readGameSettings)
+ * @param {"black"|"white"|"random"} [params.color="random"]
+ * @param {number} [params.ttlMs] - time until the challenge expires
+ */
+async function createChallenge({
+  challengerId,
+  opponent = null,
+  settings,
+  color = "random",
+  ttlMs = CHALLENGE_TTL_MS,
+}) {
+  let opponentId = null;
+  if (opponent !== null) {
+    const user = await findUserByUsername(opponent);
+    if (!user) throw challengeError("NOT_FOUND", "User not found");
+    if (user.id === challengerId) {
+      throw challengeError("INVALID_OPPONENT", "You cannot challenge yourself");
+    }
+    opponentId = user.id;
+  }
+
+  const now = Date.now();
+  const challenge = {
+    id: randomUUID(),
+    challengerId,
+    opponentId,
+    token: opponentId ? null : randomBytes(24).toString("base64url"),
+    settings: { ...settings, mode: "online", ai: null },
+    color,
+    status: "pending",
+    gameId: null,
+    createdAt: now,
+    expiresAt: now + ttlMs,
+    respondedAt: null,
+  };
+  await insertChallenge(challenge);
+  challengeEvents.emit("update", toChallengeDTO(challenge));
+  return toChallengeDTO(challenge, challengerId);
+}
+
+// Creates the game of an accepted challenge; the challenge is claimed first
+// so two accepts cannot both create a game
+async function startGame(challenge, userId) {
+  const invite = challenge.token !== null;
+  const respondedAt = Date.now();
+  await commitChange(challenge, {
+    status: "accepted",
+    opponentId: userId,
+    respondedAt,
+  });
+
+  let game;
+  try {
+    game = await createGame({
+      ...challenge.settings,
+      userId: challenge.challengerId,
+      seat: challengerSeat(challenge),
+      opponentId: userId,
+    });
+  } catch (err) {
+    // Put the challenge back so it can be accepted again
+    const reopened = {
+      status: "pending",
+      opponentId: invite ? null : userId,
+      respondedAt: null,
+    };
+    Object.assign(challenge, reopened);
+    if (isUsingMongoDB()) {
+      await ChallengeModel.updateOne({ _id: challenge.id }, { $set: reopened });
+    } else {
+      challengeDb.saveChallenge(challenge);
+    }
+    throw err;
+  }
+
+  challenge.gameId = game.gameId;
+  if (isUsingMongoDB()) {
+    await ChallengeModel.updateOne(
+      { _id: challenge.id },
+      { $set: { gameId: game.gameId } },
+    );
+  } else {
+    challengeDb.saveChallenge(challenge);
+  }
+  challengeEvents.emit("update", toChallengeDTO(challenge));
+  return { challenge: toChallengeDTO(challenge, userId), game };
+}
+
+/**
+ * Accepts a challenge sent to the user, creating its game.
+ * @returns {Promise<{ challenge: Object, game: Object }>}
+ */
+async function acceptChallenge({ challengeId, userId }) {
+  const challenge = await requireChallenge(challengeId);
+  if (challenge.token !== null || challenge.opponentId !== userId) {
+    throw challengeError("FORBIDDEN", "This challenge is not addressed to you");
+  }
+  requirePending(challenge);
+  return startGame(challenge, userId);
+}
+
+/**
+ * Accepts an invite link, creating its game with the user in the open seat.
+ * @returns {Promise<{ challenge: Object, game: Object }>}
+ */
+async function acceptInvite({ token, userId }) {
+  const challenge = await requireInvite(token);
+  requirePending(challenge);
+  if (challenge.challengerId === userId) {
+    throw challengeError("FORBIDDEN", "You cannot accept your own invite");
+  }
+  return startGame(challenge, userId);
+}
+
+async function declineChallenge({ challengeId, userId }) {
+  const challenge = await requireChallenge(challengeId);
+  if (challenge.token !== null || challenge.opponentId !== userId) {
+    throw challengeError("FORBIDDEN", "This challenge is not addressed to you");
+  }
+  requirePending(challenge);
+  await commitChange(challenge, {
+    status: "declined",
+    respondedAt: Date.now(),
+  });
+  return toChallengeDTO(challenge, userId);
+}
+
+async function cancelChallenge({ challengeId, userId }) {
+  const challenge = await requireChallenge(challengeId);
+  if (challenge.challengerId !== userId) {
+    throw challengeError("FORBIDDEN", "Only the challenger can cancel");
+  }
+  requirePending(challenge);
+  await commitChange(challenge, {
+    status: "cancelled",
+    respondedAt: Date.now(),
+  });
+  return toChallengeDTO(challenge, userId);
+}
+
+/**
+ * The challenge behind an invite link, for showing it before accepting.
+ */
+async function getInvite(token) {
+  return toChallengeDTO(await requireInvite(token));
+}
+
+/**
+ * Challenges the user sent or received, newest first, optionally only those
+ * with one of `status`.
+ * @returns {Promise<{ incoming: Object[], outgoing: Object[] }>}
+ */
+async function listChallenges({ userId, status = [] }) {
+  const now = Date.now();
+  let challenges;
+  if (isUsingMongoDB()) {
+    const mine = { $or: [{ challengerId: userId }, { opponentId: userId }] };
+    await ChallengeModel.updateMany(
+      { ...mine, status: "pending", expiresAt: { $lte: now } },
+      { $set: { status: "expired" } },
+    );
+    const query = status.length ? { ...mine, status: { $in: status } } : mine;
+    const docs = await ChallengeModel.find(query)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    challenges = docs.map(fromDoc);
+  } else {
+    challenges = challengeDb.findChallengesForUser(userId);
+    for (const c of challenges) await expireIfDue(c, now);
+    if (status.length) {
+      challenges = challenges.filter((c) => status.includes(c.status));
+    }
+  }
+
+  const dtos = challenges.map((c) => toChallengeDTO(c, userId));
+  return {
+    incoming: dtos.filter((c) => c.challengerId !== userId),
+    outgoing: dtos.filter((c) => c.challengerId === userId),
+  };
+}
+
+export {
+  CHALLENGE_TTL_MS,
+  MAX_CHALLENGE_TTL_MS,
+  COLOR_PREFERENCES,
+  CHALLENGE_STATUSES,
+  challengeEvents,
+  createChallenge,
+  acceptChallenge,
+  acceptInvite,
+  declineChallenge,
+  cancelChallenge,
+  getInvite,
+  listChallenges,
+};
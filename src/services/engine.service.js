@@ -0,0 +1,106 @@
+/**
+ * Runs the engines on worker threads (utils/engineWorker.js), so a search
+ * never blocks the event loop: sockets, other requests and flag timers go
+ * on while the computer thinks.
+ *
+ * A few workers are kept and tasks queue for them. The engines keep to
+ * their own time budgets; a worker that overruns its task's budget by
+ * GRACE_MS is terminated and replaced, and the task fails with
+ * ENGINE_TIMEOUT.
+ */
+
+import { Worker } from "node:worker_threads";
+import { availableParallelism } from "node:os";
+
+const WORKER_URL = new URL("../utils/engineWorker.js", import.meta.url);
+// One core stays with the event loop
+const POOL_SIZE = Math.max(1, Math.min(4, availableParallelism() - 1));
+const GRACE_MS = 1000;
+
+const idle = [];
+const queue = [];
+// Busy worker -> its task
+const running = new Map();
+let workers = 0;
+let nextId = 0;
+
+function engineError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function spawn() {
+  const worker = new Worker(WORKER_URL);
+  workers++;
+  worker.on("message", (msg) => settle(worker, msg));
+  worker.on("error", (err) => retire(worker, err));
+  worker.on("exit", () =>
+    retire(worker, engineError("ENGINE_ERROR", "Engine worker exited")),
+  );
+  return worker;
+}
+
+function dispatch() {
+  while (queue.length > 0 && (idle.length > 0 || workers < POOL_SIZE)) {
+    const worker = idle.pop() ?? spawn();
+    const job = queue.shift();
+    running.set(worker, job);
+    // A busy worker keeps the process alive until it answers
+    worker.ref();
+    job.timer = setTimeout(
+      () =>
+        retire(
+          worker,
+          engineError("ENGINE_TIMEOUT", `${job.task} ran out of time`),
+        ),
+      job.timeMs + GRACE_MS,
+    );
+    worker.postMessage({ id: job.id, task: job.task, args: job.args });
+  }
+}
+
+function settle(worker, { id, result, error }) {
+  const job = running.get(worker);
+  if (!job || job.id !== id) return;
+  running.delete(worker);
+  clearTimeout(job.timer);
+  worker.unref();
+  idle.push(worker);
+  if (error) job.reject(engineError("ENGINE_ERROR", error));
+  else job.resolve(result);
+  dispatch();
+}
+
+// Drops a worker that failed, exited or overran; its task fails with `err`
+function retire(worker, err) {
+  if (worker.retired) return;
+  worker.retired = true;
+  workers--;
+  const i = idle.indexOf(worker);
+  if (i !== -1) idle.splice(i, 1);
+  const job = running.get(worker);
+  running.delete(worker);
+  if (job) {
+    clearTimeout(job.timer);
+    job.reject(err);
+  }
+  worker.terminate();
+  dispatch();
+}
+
+/**
+ * Runs an engine task on a worker.
+ * @param {string} task - one of the tasks of utils/engineWorker.js
+ * @param {Object} args - structured-cloneable arguments of the task
+ * @param {number} timeMs - the task's own time budget
+ * @returns {Promise<*>} the task's result
+ */
+function runEngine(task, args, timeMs) {
+  return new Promise((resolve, reject) => {
+    queue.push({ id: nextId++, task, args, timeMs, resolve, reject });
+    dispatch();
+  });
+}
+
+export { runEngine };
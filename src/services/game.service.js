@@ -1,202 +1,1682 @@
 import { randomUUID } from "node:crypto";
+import { EventEmitter } from "node:events";
+import { checkWin } from "../utils/lines.js";
+import { RULE_SETS, PLAIN_RULE_SETS, rulesFor } from "../utils/rules/index.js";
+import { engineRules } from "../utils/rules/engine.js";
+import { Board } from "../utils/board.js";
+import { SparseBoard } from "../utils/sparseBoard.js";
+import { formatMoves, parseMoves } from "../utils/gameNotation.js";
+import { formatSgf, parseSgf } from "../utils/sgf.js";
+import { LEVELS } from "../utils/gomokuAi.js";
+import { SEARCH_LIMITS, mapAnalysis } from "../utils/threats.js";
+import { SYMMETRIES, INVERSE_SYMMETRIES } from "../utils/zobrist.js";
+import { isBookGame, recordGame } from "./openingBook.service.js";
+import { runEngine } from "./engine.service.js";
+import { isRatedGame, computeRatings, saveRatings } from "./rating.service.js";
+import {
+  createClock,
+  flagDeadline,
+  stopClock,
+  startClock,
+  clockView,
+} from "../utils/gameClock.js";
+import GameModel from "../models/game.model.js";
+import gameDb from "../models/gamedb.js";
+import { isUsingMongoDB } from "../config/database.js";
 
-// ===== In-memory state =====
-const games = new Map();
+// ===== Storage =====
+// Lean queries return Buffer fields as BSON Binary
+const binaryBytes = (v) => (v._bsontype === "Binary" ? v.buffer : v);
 
-// ===== Engine helpers =====
-const createEmptyBoard = (size) =>
-  Array.from({ length: size }, () => Array(size).fill(null));
+// Games go to MongoDB when it is connected and to the in-memory store
+// otherwise, the same switch the consent and user services use.
+async function loadGame(gameId) {
+  if (!isUsingMongoDB()) return gameDb.getGame(gameId);
 
-const cloneBoard = (b) => b.map((row) => row.slice());
+  const doc = await GameModel.findById(gameId).lean();
+  if (!doc) return null;
+  const { _id, cells, board, stones, ...rest } = doc;
+  let restored;
+  if (rest.size === null) {
+    restored = SparseBoard.fromStones(stones);
+  } else if (cells) {
+    restored = new Board(rest.size, Uint8Array.from(binaryBytes(cells)));
+  } else {
+    // Games saved before the compact board kept the 2D rows
+    restored = Board.fromRows(board);
+  }
+  return { id: _id, ...rest, board: restored };
+}
+
+async function saveGame(game) {
+  const prev = game.version;
+  game.version = prev + 1;
+  let saved;
+  if (!isUsingMongoDB()) {
+    saved = gameDb.saveGame(game, prev);
+  } else {
+    const { id, board, ...doc } = game;
+    // Infinite boards keep their stone list
+    if (game.size === null) doc.stones = board.toStones();
+    else doc.cells = Buffer.from(board.cells);
+    saved =
+      prev === 0
+        ? await GameModel.create({ _id: id, ...doc })
+        : await GameModel.findOneAndUpdate({ _id: id, version: prev }, doc);
+  }
+  if (!saved) {
+    const e = new Error("Game was modified concurrently, retry");
+    e.code = "CONFLICT";
+    throw e;
+  }
+}
 
-const isBoardFull = (board) => board.every((r) => r.every((c) => c !== null));
+const next = (p) => (p === "B" ? "W" : "B");
 
-const placeStone = (board, { x, y, player }) => {
-  const b = cloneBoard(board);
-  if (b[y][x] !== null) throw new Error("OCCUPIED");
-  b[y][x] = player;
-  return b;
-};
+// How `player` wins under the game's rule set, as checkWin options
+const winRule = (config, player) =>
+  rulesFor(config.ruleSet).winRule(config, player);
+
+// ===== Opening protocols =====
+// Swap and Swap2 start in the "opening" phase: the tentative first player
+// ("first" seat) places the opening stones and colors are picked afterwards.
+// Pro and Long Pro only restrict where Black's first two stones may go.
+const PRO_DISTANCE = { pro: 3, longpro: 4 };
 
-function countDir(board, x, y, dx, dy, player) {
-  let n = 0;
-  let cx = x + dx,
-    cy = y + dy;
-  while (
-    cy >= 0 &&
-    cy < board.length &&
-    cx >= 0 &&
-    cx < board.length &&
-    board[cy][cx] === player
+const COLORS = { black: "B", white: "W" };
+
+function openingState(rule) {
+  if (rule === "swap" || rule === "swap2") {
+    return { rule, awaiting: "first", stones: ["B", "W", "B"], options: null };
+  }
+  return { rule, awaiting: null, stones: null, options: null };
+}
+
+function checkProOpening(game, { x, y }) {
+  const distance = PRO_DISTANCE[game.opening.rule];
+  if (!distance) return;
+  const center = Math.floor(game.size / 2);
+  const n = game.moves.length;
+  let message = null;
+  if (n === 0 && (x !== center || y !== center)) {
+    message = "First stone must be placed in the center";
+  } else if (
+    n === 2 &&
+    Math.max(Math.abs(x - center), Math.abs(y - center)) < distance
   ) {
-    n++;
-    cx += dx;
-    cy += dy;
-  }
-  return n;
-}
-
-function checkWin(board, { x, y, player, winLength, allowOverlines }) {
-  const dirs = [
-    [1, 0], // horizontal
-    [0, 1], // vertical
-    [1, 1], // diag ↘
-    [1, -1], // diag ↗
-  ];
-  for (const [dx, dy] of dirs) {
-    const total =
-      1 +
-      countDir(board, x, y, dx, dy, player) +
-      countDir(board, x, y, -dx, -dy, player);
-    if (allowOverlines ? total >= winLength : total === winLength) {
-      // Build a simple winning line (not critical; optional)
-      return { winner: player, line: null };
-    }
+    message = `Third stone must be at least ${distance} intersections from the center`;
+  }
+  if (message) {
+    const e = new Error(message);
+    e.code = "OPENING_VIOLATION";
+    throw e;
   }
-  return { winner: null, line: null };
 }
 
-const next = (p) => (p === "B" ? "W" : "B");
+// ===== Clocks =====
+// Setting a timer longer than this makes Node fire it right away
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const flagTimers = new Map();
+
+function endByTimeout(game, loser, now) {
+  endGame(game, { status: "timeout", winner: next(loser), reason: "timeout" });
+  game.updatedAt = now;
+}
+
+// Ends the game when the player to move has run out of time
+function flagIfExpired(game, now) {
+  if (game.status !== "ongoing" || !game.clock) return false;
+  const deadline = flagDeadline(game.clock);
+  if (deadline === null || now < deadline) return false;
+  const loser = game.clock.running;
+  stopClock(game.clock, now);
+  endByTimeout(game, loser, now);
+  return true;
+}
+
+// Flags are also checked lazily whenever a game is loaded, so a timer lost
+// on restart only delays the timeout until the game is next touched.
+function scheduleFlag(game) {
+  clearTimeout(flagTimers.get(game.id));
+  flagTimers.delete(game.id);
+  const deadline = game.clock && flagDeadline(game.clock);
+  if (game.status !== "ongoing" || !deadline) return;
+
+  const delay = Math.min(Math.max(0, deadline - Date.now()), MAX_TIMER_MS);
+  const timer = setTimeout(() => {
+    flagTimers.delete(game.id);
+    requireGame(game.id).catch((err) => {
+      console.error("Flag check failed:", err);
+    });
+  }, delay);
+  timer.unref();
+  flagTimers.set(game.id, timer);
+}
+
+// ===== Game end =====
+// Terminal statuses and the reasons that lead to them:
+//   won      - five_in_a_row | six_in_a_row (connect6) | captures (pente)
+//   draw     - board_full | agreement
+//   timeout  - timeout
+//   resigned - resignation
+//   aborted  - aborted
+function endGame(game, { status, winner = null, reason }) {
+  game.status = status;
+  game.winner = winner;
+  game.reason = reason;
+  game.winningLine = null;
+  game.nextPlayer = null;
+  game.drawOffer = null;
+  game.takeback = null;
+}
+
+function requireOngoing(game) {
+  if (game.status !== "ongoing") {
+    const e = new Error(`Game is ${game.status}`);
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+}
+
+// ===== Seats =====
+// game.seats holds the user id in each seat; "first" is the player who opens
+// the game (see colors). Games created without a user have no seats and
+// accept any caller. The computer's seat in pve games and the open seat of
+// an online game waiting for an opponent are null.
+const SEATS = ["first", "second"];
+
+function assignSeats(game, userId, seat = "first", opponentId = null) {
+  if (!userId) return null;
+  const { mode, ai } = game.config;
+  if (mode === "online") {
+    const seats = { first: opponentId, second: opponentId };
+    seats[seat] = userId;
+    return seats;
+  }
+  // Local games are played from one device, so the creator holds both seats
+  const seats = { first: userId, second: userId };
+  if (ai) seats[colorSeat(game, ai.player)] = null;
+  return seats;
+}
+
+// Seat playing `color`, null while the colors are still being chosen
+function colorSeat(game, color) {
+  return SEATS.find((s) => game.colors[s] === color) || null;
+}
+
+function requireSeat(game, userId, seats, code, message) {
+  if (!game.seats) return;
+  if (userId && seats.some((s) => s && game.seats[s] === userId)) return;
+  const e = new Error(message);
+  e.code = code;
+  throw e;
+}
+
+// For actions taken on behalf of a color (resign, draw, takeback)
+const requireColor = (game, userId, player) =>
+  requireSeat(
+    game,
+    userId,
+    [colorSeat(game, player)],
+    "FORBIDDEN",
+    `You are not playing ${player}`,
+  );
 
 // ===== DTO & helpers =====
+// Opponent stones each player has captured (pente)
+function capturedStones(game) {
+  const captured = { B: 0, W: 0 };
+  for (const m of game.moves) captured[m.player] += m.captures?.length ?? 0;
+  return captured;
+}
+
 function toDTO(game) {
+  const infinite = game.size === null;
   return {
     gameId: game.id,
     size: game.size,
-    board: game.board,
+    board: infinite ? null : game.board.toRows(),
+    // Infinite games list their stones and the box around them instead
+    bounds: infinite ? game.board.bounds() : null,
+    stones: infinite ? game.board.toStones() : null,
+    positionKey: game.board.positionKey(),
+    canonicalKey: game.board.canonicalKey(),
     nextPlayer: game.nextPlayer,
     status: game.status,
+    reason: game.reason || null,
     winner: game.winner || null,
     winningLine: game.winningLine || null,
+    drawOffer: game.drawOffer || null,
+    takeback: game.takeback || null,
+    takebacksUsed: game.takebacksUsed,
     moves: game.moves,
+    captures: capturedStones(game),
+    redoCount: game.redoStack.length,
+    playerNames: game.playerNames || { B: null, W: null },
+    comment: game.comment || null,
+    variations: game.variations || [],
+    seats: game.seats || null,
+    // { ruleSet, speed, B, W } once a rated game has been rated
+    ratingChanges: game.ratingChanges || null,
+    tournamentId: game.tournamentId || null,
+    // { offeredBy, gameId } and the series the game belongs to, see rematches
+    rematch: game.rematch || null,
+    series: seriesView(game) || null,
     config: game.config,
+    opening: game.opening,
+    colors: game.colors,
+    clock: game.clock ? clockView(game.clock, Date.now()) : null,
     createdAt: game.createdAt,
     updatedAt: game.updatedAt,
   };
 }
 
-function requireGame(gameId) {
-  const game = games.get(gameId);
+async function requireGame(gameId) {
+  const game = await loadGame(gameId);
   if (!game) {
     const e = new Error("Game not found");
     e.code = "NOT_FOUND";
     throw e;
   }
+  if (flagIfExpired(game, Date.now())) {
+    await commitGame(game);
+  } else if (!flagTimers.has(game.id)) {
+    scheduleFlag(game);
+  }
+  // The computer tries again a turn an engine failure cut short; if it fails
+  // again the game is served as it is
+  try {
+    await takeAiTurn(game);
+  } catch (err) {
+    if (!ENGINE_ERRORS.includes(err.code)) throw err;
+    console.error("Computer move failed:", err);
+  }
   return game;
 }
 
+// The engines, notations and SGF need a board with edges
+function requireBoundedBoard(game, action) {
+  if (game.size !== null) return;
+  const e = new Error(`Games on an infinite board cannot be ${action}`);
+  e.code = "UNSUPPORTED_BOARD";
+  throw e;
+}
+
+// Emits "update" with the game DTO after every change
+const gameEvents = new EventEmitter();
+
+// Saves the game, re-arms its flag timer and notifies subscribers. A game
+// that has just finished also goes into the opening book and, when rated,
+// changes its players' ratings, once each; both are only stored after the
+// save, so a conflicting write does not count the game.
+async function commitGame(game) {
+  const enterBook = !game.inBook && isBookGame(game);
+  if (enterBook) game.inBook = true;
+  const ratings = isRatedGame(game) ? await computeRatings(game) : null;
+  if (ratings) game.ratingChanges = ratings.changes;
+  await saveGame(game);
+  if (enterBook) {
+    await recordGame(game).catch((err) =>
+      console.error("Opening book update failed:", err),
+    );
+  }
+  if (ratings) {
+    try {
+      const saved = await saveRatings(game, ratings);
+      // Rated again over a game that ended meanwhile: show what was stored
+      if (saved !== ratings) {
+        game.ratingChanges = saved.changes;
+        await saveGame(game);
+      }
+    } catch (err) {
+      console.error("Rating update failed:", err);
+    }
+  }
+  scheduleFlag(game);
+  const dto = toDTO(game);
+  gameEvents.emit("update", dto);
+  return dto;
+}
+
 // ===== Service API =====
-function getGameDTO(gameId) {
-  return toDTO(requireGame(gameId));
+async function getGameDTO(gameId) {
+  return toDTO(await requireGame(gameId));
+}
+
+/**
+ * Zobrist keys of a position given as 2D rows, the same keys games carry.
+ * @returns {{ positionKey: string, canonicalKey: string }}
+ */
+function positionKeys(rows) {
+  const board = Board.fromRows(rows);
+  return {
+    positionKey: board.positionKey(),
+    canonicalKey: board.canonicalKey(),
+  };
 }
 
-async function createGame({ size, firstPlayer, winLength, allowOverlines }) {
+function buildGame({
+  size,
+  firstPlayer,
+  winLength,
+  allowOverlines,
+  ruleSet = "freestyle",
+  opening = "none",
+  timeControl = null,
+  abortMoveLimit = 2,
+  takebacks = { mode: "request", limit: null },
+  mode = "pvp",
+  rated = false,
+  ai = null,
+  userId = null,
+  seat = "first",
+  opponentId = null,
+  tournamentId = null,
+}) {
   const id = randomUUID();
   const now = Date.now();
+  const state = openingState(opening);
+  const swapping = state.awaiting !== null;
 
   const game = {
     id,
     size,
-    board: createEmptyBoard(size),
-    nextPlayer: firstPlayer,
-    status: "ongoing",
+    // size null: an infinite board that grows with its stones
+    board: size === null ? new SparseBoard() : new Board(size),
+    nextPlayer: swapping ? null : firstPlayer,
+    status: swapping ? "opening" : "ongoing",
+    reason: null,
     winner: null,
     winningLine: null,
+    drawOffer: null,
+    takeback: null,
+    takebacksUsed: { B: 0, W: 0 },
     moves: [],
-    config: { winLength, allowOverlines },
+    redoStack: [],
+    // Review annotations, filled by SGF imports
+    playerNames: { B: null, W: null },
+    comment: null,
+    variations: [],
+    // Set once the finished game has been added to the opening book
+    inBook: false,
+    ratingChanges: null,
+    tournamentId,
+    config: {
+      // Rule sets played to a fixed length (connect6, pente) keep it
+      winLength: rulesFor(ruleSet).winLength ?? winLength,
+      allowOverlines,
+      ruleSet,
+      abortMoveLimit,
+      takebacks,
+      mode,
+      // online only: whether the result changes the players' ratings
+      rated: mode === "online" && rated,
+      // pve only: { player, difficulty } of the computer
+      ai,
+    },
+    opening: state,
+    // Colors per seat; "first" is the player who opens the game
+    colors: swapping
+      ? { first: null, second: null }
+      : { first: firstPlayer, second: next(firstPlayer) },
+    // The clock starts once the first stone is on the board
+    clock: timeControl ? createClock(timeControl) : null,
+    version: 0,
     createdAt: now,
     updatedAt: now,
   };
-
-  games.set(id, game);
-  return toDTO(game);
+  // A tournament round waits for every game, so a player who does not show
+  // up has to lose on time
+  if (tournamentId && game.clock && game.status === "ongoing") {
+    startClock(game.clock, game.nextPlayer, now);
+  }
+  game.seats = assignSeats(game, userId, seat, opponentId);
+  return game;
 }
 
-async function applyMove({ gameId, x, y }) {
-  const game = requireGame(gameId);
+/**
+ * Creates a game. With a userId the creator is seated: in both seats for
+ * local pvp games, in the human seat for pve games and in `seat` ("first"
+ * by default) for online games. The other seat of an online game goes to
+ * opponentId when given (accepted challenges) and is otherwise taken with
+ * joinGame.
+ */
+async function createGame(options) {
+  const game = buildGame(options);
+  const dto = await commitGame(game);
+  return (await takeAiTurn(game)) ?? dto;
+}
 
+// Validates and plays a stone for the player to move. Shared by applyMove,
+// redo and imports; the caller commits the game.
+async function playMove(game, { x, y }, ts = Date.now()) {
   if (game.status !== "ongoing") {
     const e = new Error(`Game is ${game.status}`);
     e.code = "INVALID_STATE";
     throw e;
   }
-  if (x < 0 || y < 0 || x >= game.size || y >= game.size) {
+  if (!game.board.inside(x, y)) {
     const e = new Error("Move out of bounds");
     e.code = "OUT_OF_BOUNDS";
     throw e;
   }
-  if (game.board[y][x] !== null) {
+  if (!game.board.isEmpty(x, y)) {
     const e = new Error("Cell already occupied");
     e.code = "OCCUPIED";
     throw e;
   }
 
+  checkProOpening(game, { x, y });
+
   const player = game.nextPlayer;
-  const board = placeStone(game.board, { x, y, player });
+  const rules = rulesFor(game.config.ruleSet);
 
-  const { winLength, allowOverlines } = game.config;
-  const result = checkWin(board, { x, y, player, winLength, allowOverlines });
+  if (rules.forbiddenMove) {
+    const pattern = rules.forbiddenMove(game.board.toRows(), { x, y }, player);
+    if (pattern) {
+      const e = new Error(
+        `Forbidden move for ${player === "B" ? "Black" : "White"}: ${pattern}`,
+      );
+      e.code = "FORBIDDEN_MOVE";
+      e.pattern = pattern;
+      throw e;
+    }
+  }
 
-  const ts = Date.now();
-  game.board = board;
-  game.moves.push({ x, y, player, index: game.moves.length, ts });
+  if (game.clock && ts >= (flagDeadline(game.clock) ?? Infinity)) {
+    // The flag fell before the stone landed
+    stopClock(game.clock, ts);
+    endByTimeout(game, player, ts);
+    await commitGame(game);
+    const e = new Error("Game is timeout");
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+
+  const { board } = game;
+  board.place(x, y, player);
+  const captures = rules.afterMove
+    ? rules.afterMove(board, { x, y }, player)
+    : [];
+
+  const move = {
+    x,
+    y,
+    player,
+    index: game.moves.length,
+    ts,
+    canonicalKey: board.canonicalKey(),
+  };
+  // Cells the stone cleared, so takebacks can put them back
+  if (captures.length) move.captures = captures;
+  game.moves.push(move);
   game.updatedAt = ts;
+  // Pending offers lapse once a move is played
+  game.drawOffer = null;
+  game.takeback = null;
 
-  if (result.winner) {
-    game.status = "won";
-    game.winner = result.winner;
+  const result = rules.checkWin(
+    board,
+    { x, y },
+    player,
+    game.config,
+    game.moves,
+  );
+  if (result) {
+    if (game.clock) stopClock(game.clock, ts);
+    endGame(game, {
+      status: "won",
+      winner: result.winner,
+      reason: result.reason,
+    });
     game.winningLine = result.line || null;
-    game.nextPlayer = null;
-  } else if (isBoardFull(board)) {
-    game.status = "draw";
-    game.winner = null;
-    game.winningLine = null;
-    game.nextPlayer = null;
+  } else if (board.isFull()) {
+    if (game.clock) stopClock(game.clock, ts);
+    endGame(game, { status: "draw", reason: "board_full" });
   } else {
     game.status = "ongoing";
     game.winner = null;
     game.winningLine = null;
-    game.nextPlayer = next(player);
+    game.nextPlayer = rules.nextPlayer(game.moves);
+    // The clock only changes hands with the turn (Connect6 turns are two
+    // stones)
+    if (game.clock && game.nextPlayer !== player) {
+      stopClock(game.clock, ts);
+      startClock(game.clock, game.nextPlayer, ts);
+    }
   }
+}
 
-  return toDTO(game);
+async function applyMove({ gameId, x, y, userId }) {
+  const game = await requireGame(gameId);
+  if (game.status === "ongoing") {
+    requireSeat(
+      game,
+      userId,
+      [colorSeat(game, game.nextPlayer)],
+      "NOT_YOUR_TURN",
+      "It is not your turn",
+    );
+  }
+  await playMove(game, { x, y });
+  // A new move starts a new line, so undone moves can no longer be redone
+  game.redoStack = [];
+  const dto = await commitGame(game);
+  return (await takeAiTurn(game)) ?? dto;
 }
 
-async function undo({ gameId, steps = 1 }) {
-  const game = requireGame(gameId);
+/**
+ * Takes the open seat of an online game.
+ */
+async function joinGame({ gameId, userId }) {
+  const game = await requireGame(gameId);
 
-  if (steps < 1) {
-    const e = new Error("steps must be >= 1");
+  if (!["ongoing", "opening", "color_choice"].includes(game.status)) {
+    const e = new Error(`Game is ${game.status}`);
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+  if (!game.seats || game.config.mode !== "online") {
+    const e = new Error("Only online games can be joined");
+    e.code = "NOT_JOINABLE";
+    throw e;
+  }
+  if (SEATS.some((s) => game.seats[s] === userId)) {
+    const e = new Error("You already have a seat in this game");
+    e.code = "ALREADY_SEATED";
+    throw e;
+  }
+  const seat = SEATS.find((s) => game.seats[s] === null);
+  if (!seat) {
+    const e = new Error("Both seats are taken");
+    e.code = "GAME_FULL";
+    throw e;
+  }
+  game.seats[seat] = userId;
+  game.updatedAt = Date.now();
+
+  return commitGame(game);
+}
+
+// ===== Computer opponent & analysis =====
+// In pve games the computer moves as soon as it is its turn, one stone at a
+// time when a turn has more. It thinks on an engine worker (engine.service.js).
+const ENGINE_ERRORS = ["ENGINE_TIMEOUT", "ENGINE_ERROR"];
+// Games the computer is thinking in, so loading one does not start it twice
+const aiTurns = new Set();
+
+// Whether the computer is to move. Undone moves waiting to be redone leave
+// it alone, so a review board can step back through its turns.
+const aiToMove = (game) =>
+  Boolean(game.config.ai) &&
+  game.status === "ongoing" &&
+  game.nextPlayer === game.config.ai.player &&
+  game.redoStack.length === 0;
+
+/**
+ * Lets the computer take its turn on a committed game and commits it.
+ * Callers commit the human's move first, so an engine failure (one of
+ * ENGINE_ERRORS) loses nothing: the game waits with the computer to move
+ * and requireGame has it try again.
+ * @returns {Promise<Object|null>} the game DTO, or null when the computer
+ *   had nothing to play
+ */
+async function takeAiTurn(game) {
+  if (!aiToMove(game) || aiTurns.has(game.id)) return null;
+  aiTurns.add(game.id);
+  try {
+    await playAiTurn(game);
+  } catch (err) {
+    // The game is saved: the caller can point the player to it
+    if (ENGINE_ERRORS.includes(err.code)) err.gameId = game.id;
+    throw err;
+  } finally {
+    aiTurns.delete(game.id);
+  }
+  return commitGame(game);
+}
+
+// The caller commits the game.
+async function playAiTurn(game) {
+  const { ai } = game.config;
+  while (ai && game.status === "ongoing" && game.nextPlayer === ai.player) {
+    const move = await runEngine(
+      "chooseMove",
+      {
+        board: game.board.toRows(),
+        player: ai.player,
+        config: game.config,
+        options: { difficulty: ai.difficulty },
+      },
+      LEVELS[ai.difficulty].timeMs,
+    );
+    if (!move) return;
+    try {
+      await playMove(game, move);
+    } catch (err) {
+      // Thinking past the flag loses on time; playMove already saved that
+      if (game.status !== "timeout") throw err;
+    }
+  }
+}
+
+async function placeOpeningStones({ gameId, stones, userId }) {
+  const game = await requireGame(gameId);
+
+  if (game.status !== "opening") {
+    const e = new Error(`Game is ${game.status}`);
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+  requireSeat(
+    game,
+    userId,
+    [game.opening.awaiting],
+    "NOT_YOUR_TURN",
+    `The ${game.opening.awaiting} seat places the opening stones`,
+  );
+  const expected = game.opening.stones;
+  if (!Array.isArray(stones) || stones.length !== expected.length) {
+    const e = new Error(
+      `Expected ${expected.length} stones (${expected.join(", ")})`,
+    );
     e.code = "BAD_REQUEST";
     throw e;
   }
-  if (game.moves.length === 0) {
+
+  // Placed on a copy so a bad stone leaves the game untouched
+  const board = game.board.clone();
+  const keys = [];
+  for (const [i, { x, y }] of stones.entries()) {
+    if (!board.inside(x, y)) {
+      const e = new Error("Move out of bounds");
+      e.code = "OUT_OF_BOUNDS";
+      throw e;
+    }
+    if (!board.isEmpty(x, y)) {
+      const e = new Error("Cell already occupied");
+      e.code = "OCCUPIED";
+      throw e;
+    }
+    board.place(x, y, expected[i]);
+    keys.push(board.canonicalKey());
+  }
+
+  const ts = Date.now();
+  for (const [i, { x, y }] of stones.entries()) {
+    game.moves.push({
+      x,
+      y,
+      player: expected[i],
+      index: game.moves.length,
+      ts,
+      opening: true,
+      canonicalKey: keys[i],
+    });
+  }
+  game.board = board;
+  game.updatedAt = ts;
+
+  // After the first three stones the second seat chooses; after Swap2's
+  // extra two stones the choice goes back to the first seat.
+  const { rule } = game.opening;
+  const initial = game.moves.length === 3;
+  game.opening = {
+    rule,
+    awaiting: initial ? "second" : "first",
+    stones: null,
+    options:
+      initial && rule === "swap2"
+        ? ["black", "white", "place2"]
+        : ["black", "white"],
+  };
+  game.status = "color_choice";
+
+  return commitGame(game);
+}
+
+async function chooseColor({ gameId, choice, userId }) {
+  const game = await requireGame(gameId);
+
+  if (game.status !== "color_choice") {
+    const e = new Error(`Game is ${game.status}`);
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+  requireSeat(
+    game,
+    userId,
+    [game.opening.awaiting],
+    "NOT_YOUR_TURN",
+    `The ${game.opening.awaiting} seat chooses the color`,
+  );
+  const { rule, awaiting, options } = game.opening;
+  if (!options.includes(choice)) {
+    const e = new Error(`choice must be one of: ${options.join(", ")}`);
+    e.code = "BAD_REQUEST";
+    throw e;
+  }
+
+  if (choice === "place2") {
+    game.opening = { rule, awaiting, stones: ["W", "B"], options: null };
+    game.status = "opening";
+  } else {
+    const first = awaiting === "first" ? COLORS[choice] : next(COLORS[choice]);
+    game.colors = { first, second: next(first) };
+    game.opening = { rule, awaiting: null, stones: null, options: null };
+    game.status = "ongoing";
+    game.nextPlayer = next(game.moves[game.moves.length - 1].player);
+  }
+  game.updatedAt = Date.now();
+  if (game.clock && game.status === "ongoing") {
+    startClock(game.clock, game.nextPlayer, game.updatedAt);
+  }
+
+  return commitGame(game);
+}
+
+async function resign({ gameId, player, userId }) {
+  const game = await requireGame(gameId);
+  requireOngoing(game);
+  requireColor(game, userId, player);
+
+  const now = Date.now();
+  if (game.clock) stopClock(game.clock, now);
+  endGame(game, {
+    status: "resigned",
+    winner: next(player),
+    reason: "resignation",
+  });
+  game.updatedAt = now;
+
+  return commitGame(game);
+}
+
+async function offerDraw({ gameId, player, userId }) {
+  const game = await requireGame(gameId);
+  requireOngoing(game);
+  requireColor(game, userId, player);
+
+  if (game.drawOffer) {
+    const e = new Error(`Draw already offered by ${game.drawOffer}`);
+    e.code = "DRAW_PENDING";
+    throw e;
+  }
+  game.drawOffer = player;
+  game.updatedAt = Date.now();
+
+  return commitGame(game);
+}
+
+async function respondToDraw({ gameId, player, accept, userId }) {
+  const game = await requireGame(gameId);
+  requireOngoing(game);
+  requireColor(game, userId, player);
+
+  if (!game.drawOffer || game.drawOffer === player) {
+    const e = new Error("No draw offer from the opponent");
+    e.code = "NO_DRAW_OFFER";
+    throw e;
+  }
+  const now = Date.now();
+  if (accept) {
+    if (game.clock) stopClock(game.clock, now);
+    endGame(game, { status: "draw", reason: "agreement" });
+  } else {
+    game.drawOffer = null;
+  }
+  game.updatedAt = now;
+
+  return commitGame(game);
+}
+
+// Either player may abort until abortMoveLimit moves have been played;
+// opening stones do not count.
+async function abort({ gameId, userId }) {
+  const game = await requireGame(gameId);
+  requireSeat(game, userId, SEATS, "FORBIDDEN", "Only the players may abort");
+
+  if (!["ongoing", "opening", "color_choice"].includes(game.status)) {
+    const e = new Error(`Game is ${game.status}`);
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+  const played = game.moves.filter((m) => !m.opening).length;
+  if (played >= game.config.abortMoveLimit) {
+    const e = new Error(
+      `Games can only be aborted before ${game.config.abortMoveLimit} moves`,
+    );
+    e.code = "ABORT_NOT_ALLOWED";
+    throw e;
+  }
+  const now = Date.now();
+  if (game.clock) stopClock(game.clock, now);
+  endGame(game, { status: "aborted", reason: "aborted" });
+  game.updatedAt = now;
+
+  return commitGame(game);
+}
+
+// ===== Rematches & series =====
+// A finished game can be replayed with the same settings and the colors
+// swapped: the players trade seats, so the one who opened now answers. The
+// games are linked into a series, game.series:
+//   { id, number, previousGameId, score }
+// where id is the first game's id and score the results before this game,
+// as { first, second, draws } with players keyed by their seat in the first
+// game. game.rematch is { offeredBy, gameId }: the seat that offered and,
+// once accepted, the rematch game.
+const FINISHED = ["won", "draw", "resigned", "timeout", "aborted"];
+const SWAP_OPENINGS = ["swap", "swap2"];
+
+function requireFinished(game) {
+  if (!FINISHED.includes(game.status)) {
+    const e = new Error(`Game is ${game.status}`);
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+  if (game.rematch?.gameId) {
+    const e = new Error("The rematch has already been played");
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+}
+
+// Series score once `game` is counted; aborted games do not count
+function seriesScore(game) {
+  const score = { ...game.series.score };
+  if (game.status === "draw") {
+    score.draws++;
+  } else if (game.winner) {
+    const seat = colorSeat(game, game.winner);
+    // Seats swap with every game of the series
+    const other = seat === "first" ? "second" : "first";
+    score[game.series.number % 2 ? seat : other]++;
+  }
+  return score;
+}
+
+const seriesView = (game) =>
+  game.series && {
+    ...game.series,
+    score: FINISHED.includes(game.status)
+      ? seriesScore(game)
+      : game.series.score,
+  };
+
+// Starts the rematch of `game` and links both into a series
+async function startRematch(game) {
+  const { config } = game;
+  const rematch = buildGame({
+    size: game.size,
+    // Swap openings only allow Black first; colors are picked in the game
+    firstPlayer: SWAP_OPENINGS.includes(game.opening.rule)
+      ? "B"
+      : game.colors.first,
+    ...config,
+    opening: game.opening.rule,
+    timeControl: game.clock?.timeControl ?? null,
+    ai: config.ai && { ...config.ai, player: next(config.ai.player) },
+    userId: game.seats && (game.seats.second ?? game.seats.first),
+    seat: "first",
+    opponentId: game.seats?.first ?? null,
+  });
+
+  game.series ??= {
+    id: game.id,
+    number: 1,
+    previousGameId: null,
+    score: { first: 0, second: 0, draws: 0 },
+  };
+  rematch.series = {
+    id: game.series.id,
+    number: game.series.number + 1,
+    previousGameId: game.id,
+    score: seriesScore(game),
+  };
+  game.rematch = {
+    offeredBy: game.rematch?.offeredBy ?? null,
+    gameId: rematch.id,
+  };
+  game.updatedAt = Date.now();
+
+  // The finished game goes first: its version check keeps two accepts from
+  // both starting a rematch
+  const dto = await commitGame(game);
+  let rematchDto = await commitGame(rematch);
+  gameEvents.emit("rematch", { previousGameId: game.id, game: rematchDto });
+  rematchDto = (await takeAiTurn(rematch)) ?? rematchDto;
+  return { game: dto, rematch: rematchDto };
+}
+
+// Whether the game has two different users to agree on a rematch; local
+// games are replayed at once
+const hasOpponent = (game) =>
+  game.config.mode === "online" && game.seats?.first !== game.seats?.second;
+
+/**
+ * Offers a rematch of a finished game. Local games have nobody to ask, so
+ * their rematch starts right away.
+ * @returns {Promise<{ game: Object, rematch: Object|null }>}
+ */
+async function offerRematch({ gameId, userId }) {
+  const game = await requireGame(gameId);
+  requireFinished(game);
+  requireSeat(
+    game,
+    userId,
+    SEATS,
+    "FORBIDDEN",
+    "Only the players may offer a rematch",
+  );
+
+  if (
+    game.config.mode === "online" &&
+    (!game.seats?.first || !game.seats?.second)
+  ) {
+    const e = new Error("Nobody joined the game to play a rematch against");
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+  if (!hasOpponent(game)) return startRematch(game);
+  if (game.rematch) {
+    const e = new Error(
+      `Rematch already offered by the ${game.rematch.offeredBy} seat`,
+    );
+    e.code = "REMATCH_PENDING";
+    throw e;
+  }
+  game.rematch = {
+    offeredBy: game.seats.first === userId ? "first" : "second",
+    gameId: null,
+  };
+  game.updatedAt = Date.now();
+
+  return { game: await commitGame(game), rematch: null };
+}
+
+/**
+ * Accepts or declines the opponent's rematch offer.
+ * @returns {Promise<{ game: Object, rematch: Object|null }>}
+ */
+async function respondToRematch({ gameId, accept, userId }) {
+  const game = await requireGame(gameId);
+  requireFinished(game);
+  requireSeat(
+    game,
+    userId,
+    SEATS,
+    "FORBIDDEN",
+    "Only the players may answer a rematch offer",
+  );
+
+  const offeredBy = game.rematch?.offeredBy;
+  if (!offeredBy || game.seats?.[offeredBy] === userId) {
+    const e = new Error("No rematch offer from the opponent");
+    e.code = "NO_REMATCH_OFFER";
+    throw e;
+  }
+  if (accept) return startRematch(game);
+  game.rematch = null;
+  game.updatedAt = Date.now();
+
+  return { game: await commitGame(game), rematch: null };
+}
+
+// ===== Analysis =====
+// Analyses run on an engine worker and are kept per rule config and
+// canonical key, in the frame of that key, so a position is analyzed once
+// whatever its orientation. Pending analyses are shared too; failed ones,
+// and ones whose search ran out of time for either side, are not kept.
+const ANALYSIS_CACHE_SIZE = 500;
+const analysisCache = new Map();
+
+function cachedAnalysis(key, analyze) {
+  if (!analysisCache.has(key)) {
+    const pending = analyze();
+    const drop = () => {
+      if (analysisCache.get(key) === pending) analysisCache.delete(key);
+    };
+    pending.then(({ B, W }) => {
+      if (!B.searchComplete || !W.searchComplete) drop();
+    }, drop);
+    analysisCache.set(key, pending);
+    // Maps iterate in insertion order: the first key is the oldest
+    if (analysisCache.size > ANALYSIS_CACHE_SIZE) {
+      analysisCache.delete(analysisCache.keys().next().value);
+    }
+  }
+  return analysisCache.get(key);
+}
+
+// Threats and forced wins on the current board, for both sides
+async function analyzeGame({ gameId }) {
+  const game = await requireGame(gameId);
+  requireBoundedBoard(game, "analyzed");
+  if (!rulesFor(game.config.ruleSet).plain) {
+    const e = new Error(`${game.config.ruleSet} games cannot be analyzed`);
+    e.code = "UNSUPPORTED_RULE_SET";
+    throw e;
+  }
+  if (FINISHED.includes(game.status)) {
+    const e = new Error(`Game is ${game.status}`);
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+
+  const { board } = game;
+  const { ruleSet, winLength, allowOverlines } = game.config;
+  const [s] = board.canonicalSymmetries();
+  const frame = (transform) => (x, y) => {
+    const [tx, ty] = transform(x, y, board.size);
+    return { x: tx, y: ty };
+  };
+  const key = [ruleSet, winLength, allowOverlines, board.canonicalKey()].join(
+    ":",
+  );
+  const canonical = await cachedAnalysis(key, async () => {
+    const analysis = await runEngine(
+      "analyzePosition",
+      { board: board.toRows(), config: { ruleSet, winLength, allowOverlines } },
+      // Each side gets the time limit
+      2 * SEARCH_LIMITS.timeMs,
+    );
+    return mapAnalysis(analysis, frame(SYMMETRIES[s]));
+  });
+  return {
+    gameId: game.id,
+    toMove: game.nextPlayer,
+    moveCount: game.moves.length,
+    limits: SEARCH_LIMITS,
+    ...mapAnalysis(canonical, frame(SYMMETRIES[INVERSE_SYMMETRIES[s]])),
+  };
+}
+
+// ===== Listing =====
+const STATUSES = [
+  "opening",
+  "color_choice",
+  "ongoing",
+  "won",
+  "draw",
+  "resigned",
+  "timeout",
+  "aborted",
+];
+
+// Cursors are opaque to clients: the sort key of the last game of a page
+const encodeCursor = ({ updatedAt, id }) =>
+  Buffer.from(JSON.stringify([updatedAt, id])).toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const [updatedAt, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString(),
+    );
+    if (Number.isFinite(updatedAt) && typeof id === "string") {
+      return { updatedAt, id };
+    }
+  } catch {
+    // Reported below
+  }
+  const e = new Error("Invalid cursor");
+  e.code = "BAD_CURSOR";
+  throw e;
+}
+
+// What lobby and profile lists show; the full game is one GET away
+function toSummary(game) {
+  const { ruleSet, winLength, allowOverlines, mode, rated } = game.config;
+  return {
+    gameId: game.id,
+    size: game.size,
+    status: game.status,
+    reason: game.reason || null,
+    winner: game.winner || null,
+    nextPlayer: game.nextPlayer,
+    moveCount: game.moves.length,
+    playerNames: game.playerNames || { B: null, W: null },
+    seats: game.seats || null,
+    config: {
+      ruleSet,
+      winLength,
+      allowOverlines,
+      mode: mode || "pvp",
+      rated: Boolean(rated),
+    },
+    createdAt: game.createdAt,
+    updatedAt: game.updatedAt,
+  };
+}
+
+const compareIds = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Lists games by updatedAt, newest first unless order is "asc", one page at
+ * a time. Ties are broken by game id, so pages never skip or repeat a game.
+ * @param {Object} query - every filter is optional
+ * @param {string} [query.player] - player name on either side, as imported
+ *   games record them
+ * @param {string} [query.userId] - user seated on either side
+ * @param {string[]} [query.status] - any of these statuses
+ * @param {string} [query.ruleSet]
+ * @param {number} [query.winLength]
+ * @param {string} [query.mode]
+ * @param {number} [query.size]
+ * @param {number} [query.from] - created at or after, ms since epoch
+ * @param {number} [query.to] - created at or before, ms since epoch
+ * @param {"asc"|"desc"} [query.order="desc"]
+ * @param {number} [query.limit=20]
+ * @param {string} [query.cursor] - nextCursor of the previous page
+ * @returns {Promise<{ games: Array, nextCursor: string|null }>} nextCursor
+ *   is null on the last page
+ */
+async function listGames({
+  player,
+  userId,
+  status,
+  ruleSet,
+  winLength,
+  mode,
+  size,
+  from,
+  to,
+  order = "desc",
+  limit = 20,
+  cursor,
+}) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const dir = order === "asc" ? 1 : -1;
+  let page;
+
+  if (!isUsingMongoDB()) {
+    const matches = (g) =>
+      (!player || [g.playerNames?.B, g.playerNames?.W].includes(player)) &&
+      (!userId || [g.seats?.first, g.seats?.second].includes(userId)) &&
+      (!status || status.includes(g.status)) &&
+      (!ruleSet || g.config.ruleSet === ruleSet) &&
+      (!winLength || g.config.winLength === winLength) &&
+      (!mode || (g.config.mode || "pvp") === mode) &&
+      (!size || g.size === size) &&
+      (from == null || g.createdAt >= from) &&
+      (to == null || g.createdAt <= to);
+    const byKey = (a, b) =>
+      dir * (a.updatedAt - b.updatedAt || compareIds(a.id, b.id));
+    page = gameDb
+      .getAllGames()
+      .filter((g) => matches(g) && (!after || byKey(g, after) > 0))
+      .sort(byKey)
+      .slice(0, limit + 1);
+  } else {
+    const filter = {};
+    // Names come from imported files, so they never match seats
+    const either = (fields, value) => ({
+      $or: fields.map((field) => ({ [field]: value })),
+    });
+    const clauses = [];
+    if (player)
+      clauses.push(either(["playerNames.B", "playerNames.W"], player));
+    if (userId) clauses.push(either(["seats.first", "seats.second"], userId));
+    if (status) filter.status = { $in: status };
+    if (ruleSet) filter["config.ruleSet"] = ruleSet;
+    if (winLength) filter["config.winLength"] = winLength;
+    if (mode) filter["config.mode"] = mode;
+    if (size) filter.size = size;
+    if (from != null || to != null) {
+      filter.createdAt = {};
+      if (from != null) filter.createdAt.$gte = from;
+      if (to != null) filter.createdAt.$lte = to;
+    }
+    if (after) {
+      const op = dir === 1 ? "$gt" : "$lt";
+      clauses.push({
+        $or: [
+          { updatedAt: { [op]: after.updatedAt } },
+          { updatedAt: after.updatedAt, _id: { [op]: after.id } },
+        ],
+      });
+    }
+    if (clauses.length > 0) filter.$and = clauses;
+    const docs = await GameModel.find(filter)
+      .select("-cells -stones -redoStack -variations")
+      .sort({ updatedAt: dir, _id: dir })
+      .limit(limit + 1)
+      .lean();
+    page = docs.map(({ _id, ...rest }) => ({ id: _id, ...rest }));
+  }
+
+  const games = page.slice(0, limit);
+  return {
+    games: games.map(toSummary),
+    nextCursor:
+      page.length > limit ? encodeCursor(games[games.length - 1]) : null,
+  };
+}
+
+// ===== Notation export & import =====
+async function exportGame({ gameId, format }) {
+  const game = await requireGame(gameId);
+  requireBoundedBoard(game, "exported");
+  return formatMoves(game, format);
+}
+
+// Lays the recorded thinking times out so the last move lands on "now", then
+// plays the moves through the game rules. A move whose color does not match
+// the player to move, or that the rules reject, fails the whole replay.
+async function replayMoves(game, moves) {
+  const totalMs = moves.reduce((sum, m) => sum + (m.timeMs || 0), 0);
+  let ts = game.createdAt - totalMs;
+  game.createdAt = ts;
+
+  for (const move of moves) {
+    ts += move.timeMs || 0;
+    await replayMove(game, move, ts);
+  }
+}
+
+// Plays one imported move; errors name the move by its ply
+async function replayMove(game, { x, y, player, comment }, ts) {
+  const ply = game.moves.length;
+  try {
+    if (player && game.status === "ongoing" && player !== game.nextPlayer) {
+      const e = new Error(`Expected ${game.nextPlayer} to move`);
+      e.code = "WRONG_PLAYER";
+      throw e;
+    }
+    await playMove(game, { x, y }, ts);
+  } catch (err) {
+    if (!err.code) throw err;
+    const e = new Error(`Move ${ply + 1}: ${err.message}`);
+    e.code = "INVALID_MOVE";
+    e.moveIndex = ply;
+    throw e;
+  }
+  if (comment) game.moves[ply].comment = comment;
+}
+
+function checkImportFirstPlayer(ruleSet, firstPlayer) {
+  if (ruleSet === "renju" && firstPlayer !== "B") {
+    const e = new Error("Renju games start with Black");
+    e.code = "PARSE_ERROR";
+    throw e;
+  }
+}
+
+function checkImportSize(size, winLength) {
+  if (!Number.isInteger(size) || size < 5 || size > 25) {
+    const e = new Error("Board size must be 5-25");
+    e.code = "PARSE_ERROR";
+    throw e;
+  }
+  if (winLength > size) {
+    const e = new Error("winLength is larger than the board");
+    e.code = "PARSE_ERROR";
+    throw e;
+  }
+}
+
+// Replays every move of the file through the game rules and only stores the
+// game when all of them are legal. Imported games are for review, so their
+// moves can be undone and redone freely. The notations carry no colors:
+// firstPlayer says who made the first move.
+async function importGame({
+  format,
+  content,
+  size = 15,
+  firstPlayer = "B",
+  ...rules
+}) {
+  const parsed = parseMoves(content, format, size);
+  checkImportSize(parsed.size, rules.winLength);
+  checkImportFirstPlayer(rules.ruleSet, firstPlayer);
+
+  const game = buildGame({
+    ...rules,
+    size: parsed.size,
+    firstPlayer,
+    takebacks: { mode: "free", limit: null },
+  });
+  await replayMoves(game, parsed.moves);
+
+  return commitGame(game);
+}
+
+// ===== SGF export & import =====
+// Statuses for results SGF records but the board cannot show
+const SGF_RESULT_STATUS = {
+  resignation: "resigned",
+  timeout: "timeout",
+  agreement: "draw",
+  aborted: "aborted",
+};
+
+async function exportSgf({ gameId }) {
+  const game = await requireGame(gameId);
+  requireBoundedBoard(game, "exported");
+  const finished = !["ongoing", "opening", "color_choice"].includes(
+    game.status,
+  );
+
+  let prevTs = game.createdAt;
+  const moves = game.moves.map((m) => {
+    const timeMs = Math.max(0, m.ts - prevTs);
+    prevTs = m.ts;
+    return { player: m.player, x: m.x, y: m.y, timeMs, comment: m.comment };
+  });
+
+  return formatSgf({
+    size: game.size,
+    rules: {
+      ruleSet: game.config.ruleSet,
+      winLength: game.config.winLength,
+      allowOverlines: game.config.allowOverlines,
+    },
+    playerNames: game.playerNames || {},
+    result: finished ? { winner: game.winner, reason: game.reason } : null,
+    comment: game.comment,
+    date: new Date(game.createdAt).toISOString().slice(0, 10),
+    moves,
+    variations: game.variations || [],
+  });
+}
+
+// Copy of an untimed scratch game to try a variation on; playMove only
+// places stones, appends moves and sets top-level fields
+const branchGame = (game) => ({
+  ...game,
+  board: game.board.clone(),
+  moves: [...game.moves],
+});
+
+// Plays `moves` on a scratch game and each variation on a copy of it at the
+// ply the variation branches off, so only legal lines are kept and every
+// move is played once
+async function checkVariations(game, moves, variations) {
+  const start = game.moves.length;
+  for (const v of variations) {
+    if (v.at > start + moves.length) {
+      const e = new Error(`Variation at move ${v.at + 1} is past its line`);
+      e.code = "PARSE_ERROR";
+      throw e;
+    }
+  }
+  for (let i = 0; i <= moves.length; i++) {
+    for (const v of variations.filter((v) => v.at === start + i)) {
+      try {
+        await checkVariations(branchGame(game), v.moves, v.variations);
+      } catch (err) {
+        if (err.code !== "INVALID_MOVE" || err.variation) throw err;
+        err.message = `Variation at move ${v.at + 1}: ${err.message}`;
+        err.variation = true;
+        throw err;
+      }
+    }
+    if (i < moves.length) await replayMove(game, moves[i], game.updatedAt);
+  }
+}
+
+async function importSgf({ content, userId }) {
+  const sgf = parseSgf(content);
+  const { ruleSet, winLength, allowOverlines } = sgf.rules;
+  if (!RULE_SETS.includes(ruleSet)) {
+    const e = new Error(`Unknown rule set '${ruleSet}'`);
+    e.code = "PARSE_ERROR";
+    throw e;
+  }
+  if (!Number.isInteger(winLength) || winLength < 3) {
+    const e = new Error("WINLEN must be an integer >= 3");
+    e.code = "PARSE_ERROR";
+    throw e;
+  }
+  checkImportSize(sgf.size, winLength);
+  // Games exported with White first open with a W node
+  const firstPlayer = sgf.moves[0]?.player ?? "B";
+  checkImportFirstPlayer(ruleSet, firstPlayer);
+
+  const options = {
+    size: sgf.size,
+    firstPlayer,
+    winLength,
+    allowOverlines,
+    ruleSet,
+    takebacks: { mode: "free", limit: null },
+  };
+  const game = buildGame({ ...options, userId });
+  await replayMoves(game, sgf.moves);
+  await checkVariations(buildGame(options), sgf.moves, sgf.variations);
+
+  // Resignations, timeouts and agreed results are not visible on the board
+  const status = sgf.result && SGF_RESULT_STATUS[sgf.result.reason];
+  if (game.status === "ongoing" && status) {
+    endGame(game, { status, ...sgf.result });
+  }
+  game.playerNames = sgf.playerNames;
+  game.comment = sgf.comment;
+  game.variations = sgf.variations;
+
+  return commitGame(game);
+}
+
+// ===== Takebacks, undo & redo =====
+// config.takebacks.mode decides how moves come off the board:
+//   "request" - a player asks and the opponent accepts or declines
+//   "free"    - undo/redo directly, for analysis and review boards
+//   "off"     - no takebacks
+// config.takebacks.limit caps accepted requests per player (null = no cap).
+
+const undoableCount = (game) => game.moves.filter((m) => !m.opening).length;
+
+// Reasons a game ended on the board, which taking moves back can undo
+const BOARD_REASONS = [
+  "five_in_a_row",
+  "six_in_a_row",
+  "captures",
+  "board_full",
+];
+
+// Stones of the player's last turn, plus the opponent's turn after it
+function takebackSteps(moves, player) {
+  let i = moves.length;
+  while (i > 0 && !moves[i - 1].opening && moves[i - 1].player !== player) i--;
+  while (i > 0 && !moves[i - 1].opening && moves[i - 1].player === player) i--;
+  return moves.length - i;
+}
+
+function requireTakebackMode(game, mode) {
+  if (game.config.takebacks.mode !== mode) {
+    const e = new Error(
+      mode === "free"
+        ? "Direct undo/redo is disabled for this game; request a takeback"
+        : "Takeback requests are disabled for this game",
+    );
+    e.code = "TAKEBACK_NOT_ALLOWED";
+    throw e;
+  }
+}
+
+// Removes the last `steps` moves, pushing them onto the redo stack
+function takeBack(game, steps) {
+  // Only games decided on the board can be reopened
+  if (game.status !== "ongoing" && !BOARD_REASONS.includes(game.reason)) {
+    const e = new Error(`Game is ${game.status}`);
+    e.code = "INVALID_STATE";
+    throw e;
+  }
+  // Opening stones are part of the agreed position and cannot be taken back
+  if (undoableCount(game) === 0) {
     const e = new Error("No moves to undo");
     e.code = "NOTHING_TO_UNDO";
     throw e;
   }
 
-  const toUndo = Math.min(steps, game.moves.length);
+  const toUndo = Math.min(steps, undoableCount(game));
 
-  // Rebuild from scratch
-  const fresh = createEmptyBoard(game.size);
   const replay = game.moves.slice(0, game.moves.length - toUndo);
-
-  let board = fresh;
-  for (const m of replay) {
-    board = placeStone(board, { x: m.x, y: m.y, player: m.player });
+  const undone = game.moves.slice(replay.length).reverse();
+  for (const m of undone) {
+    game.board.remove(m.x, m.y);
+    for (const c of m.captures || [])
+      game.board.place(c.x, c.y, next(m.player));
   }
 
-  game.board = board;
+  // Most recently undone move last, so redo pops it first
+  game.redoStack.push(...undone);
   game.moves = replay;
   game.status = "ongoing";
+  game.reason = null;
+  game.drawOffer = null;
+  game.takeback = null;
   game.winner = null;
   game.winningLine = null;
+  // Opening stones are never undone, so an empty game has its colors set
   game.nextPlayer =
-    replay.length === 0 ? "B" : next(replay[replay.length - 1].player);
+    replay.length === 0
+      ? game.colors.first
+      : rulesFor(game.config.ruleSet).nextPlayer(replay);
   game.updatedAt = Date.now();
+  // Time already spent is not refunded; the player to move starts a new turn
+  if (game.clock) {
+    stopClock(game.clock, game.updatedAt);
+    if (replay.length > 0) {
+      startClock(game.clock, game.nextPlayer, game.updatedAt);
+    }
+  }
+
+  return toUndo;
+}
+
+async function undo({ gameId, steps = 1, userId }) {
+  const game = await requireGame(gameId);
+  requireSeat(game, userId, SEATS, "FORBIDDEN", "Only the players may undo");
+
+  if (steps < 1) {
+    const e = new Error("steps must be >= 1");
+    e.code = "BAD_REQUEST";
+    throw e;
+  }
+  requireTakebackMode(game, "free");
+  const undone = takeBack(game, steps);
 
-  return { ...toDTO(game), undone: toUndo };
+  return { ...(await commitGame(game)), undone };
+}
+
+async function redo({ gameId, steps = 1, userId }) {
+  const game = await requireGame(gameId);
+  requireSeat(game, userId, SEATS, "FORBIDDEN", "Only the players may redo");
+
+  if (steps < 1) {
+    const e = new Error("steps must be >= 1");
+    e.code = "BAD_REQUEST";
+    throw e;
+  }
+  requireTakebackMode(game, "free");
+  if (game.redoStack.length === 0) {
+    const e = new Error("No moves to redo");
+    e.code = "NOTHING_TO_REDO";
+    throw e;
+  }
+
+  const toRedo = Math.min(steps, game.redoStack.length);
+  for (let i = 0; i < toRedo; i++) {
+    const { x, y } = game.redoStack[game.redoStack.length - 1];
+    await playMove(game, { x, y });
+    game.redoStack.pop();
+  }
+  // Stepping through undone moves leaves the computer alone until the end
+  const dto = await commitGame(game);
+  return { ...((await takeAiTurn(game)) ?? dto), redone: toRedo };
 }
 
-export { getGameDTO, createGame, applyMove, undo };
+// Takes back the requester's last turn, plus the opponent's reply if any
+async function requestTakeback({ gameId, player, userId }) {
+  const game = await requireGame(gameId);
+  requireOngoing(game);
+  requireColor(game, userId, player);
+  requireTakebackMode(game, "request");
+
+  if (game.takeback) {
+    const e = new Error(
+      `Takeback already requested by ${game.takeback.requestedBy}`,
+    );
+    e.code = "TAKEBACK_PENDING";
+    throw e;
+  }
+  const { limit } = game.config.takebacks;
+  if (limit !== null && game.takebacksUsed[player] >= limit) {
+    const e = new Error(`Takeback limit of ${limit} reached`);
+    e.code = "TAKEBACK_LIMIT";
+    throw e;
+  }
+  const own = game.moves.filter((m) => !m.opening && m.player === player);
+  if (own.length === 0) {
+    const e = new Error("No moves to take back");
+    e.code = "NOTHING_TO_UNDO";
+    throw e;
+  }
+  const steps = takebackSteps(game.moves, player);
+
+  game.takeback = { requestedBy: player, steps };
+  game.updatedAt = Date.now();
+  // The computer agrees to every takeback
+  if (game.config.ai && game.config.ai.player !== player) {
+    takeBack(game, steps);
+    game.takebacksUsed[player] += 1;
+  }
+
+  return commitGame(game);
+}
+
+async function respondToTakeback({ gameId, player, accept, userId }) {
+  const game = await requireGame(gameId);
+  requireOngoing(game);
+  requireColor(game, userId, player);
+
+  if (!game.takeback || game.takeback.requestedBy === player) {
+    const e = new Error("No takeback request from the opponent");
+    e.code = "NO_TAKEBACK_REQUEST";
+    throw e;
+  }
+  if (accept) {
+    const { requestedBy, steps } = game.takeback;
+    takeBack(game, steps);
+    game.takebacksUsed[requestedBy] += 1;
+  } else {
+    game.takeback = null;
+    game.updatedAt = Date.now();
+  }
+
+  return commitGame(game);
+}
+
+export {
+  getGameDTO,
+  listGames,
+  positionKeys,
+  createGame,
+  joinGame,
+  applyMove,
+  placeOpeningStones,
+  chooseColor,
+  resign,
+  offerDraw,
+  respondToDraw,
+  abort,
+  offerRematch,
+  respondToRematch,
+  undo,
+  redo,
+  requestTakeback,
+  respondToTakeback,
+  exportGame,
+  importGame,
+  exportSgf,
+  importSgf,
+  analyzeGame,
+  RULE_SETS,
+  PLAIN_RULE_SETS,
+  STATUSES,
+  winRule,
+  engineRules,
+  checkWin,
+  gameEvents,
+};
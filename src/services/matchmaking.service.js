@@ -0,0 +1,236 @@
+/**
+ * Matchmaking: players queue for a rule set and time control and are paired
+ * with someone of similar rating in the same pool. Each player accepts
+ * opponents within a rating window that starts narrow and widens the longer
+ * they wait; two players are paired when each is inside the other's window.
+ *
+ * The queue lives in memory, like socket rooms: a player queues from a
+ * connected socket and leaves when it disconnects. Paired players get an
+ * online game with both seats filled, announced through matchEvents. Those
+ * games are rated.
+ */
+
+import { EventEmitter } from "node:events";
+import { createGame } from "./game.service.js";
+import { getRating, speedOf } from "./rating.service.js";
+
+// Rating difference accepted right away, how much it grows per step of
+// waiting and where it stops
+const RATING_WINDOW = { initial: 100, step: 50, stepMs: 5000, max: 600 };
+const SWEEP_MS = 1000;
+
+// userId -> { userId, socketId, ruleSet, timeControl, pool, rating, joinedAt };
+// rating is null until it has been read
+const queue = new Map();
+let sweepTimer = null;
+
+// Emits "match" with { game, players } for every pair that got a game
+const matchEvents = new EventEmitter();
+
+// The player's rating in the category the game will be rated in
+async function ratingOf(userId, ruleSet, timeControl) {
+  const { rating } = await getRating(userId, {
+    ruleSet,
+    speed: speedOf(timeControl),
+  });
+  return rating;
+}
+
+// Players only meet others with the same rule set and time control
+function poolKey(ruleSet, timeControl) {
+  if (!timeControl) return `${ruleSet}:untimed`;
+  const {
+    type,
+    initialMs,
+    incrementMs = 0,
+    periods = 0,
+    periodMs = 0,
+  } = timeControl;
+  return `${ruleSet}:${type}:${initialMs}:${incrementMs}:${periods}:${periodMs}`;
+}
+
+function ratingWindow(entry, now) {
+  const steps = Math.floor((now - entry.joinedAt) / RATING_WINDOW.stepMs);
+  return Math.min(
+    RATING_WINDOW.max,
+    RATING_WINDOW.initial + steps * RATING_WINDOW.step,
+  );
+}
+
+function toQueueView(entry, now = Date.now()) {
+  return {
+    ruleSet: entry.ruleSet,
+    timeControl: entry.timeControl,
+    rating: entry.rating,
+    window: ratingWindow(entry, now),
+    joinedAt: entry.joinedAt,
+  };
+}
+
+// Re-checks the queue while anyone waits, so windows widen without new
+// players joining
+function scheduleSweep() {
+  if (queue.size === 0) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+    return;
+  }
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    findMatches().catch((err) => {
+      console.error("Matchmaking sweep failed:", err);
+    });
+  }, SWEEP_MS);
+  sweepTimer.unref();
+}
+
+// Pairs within each pool, longest waiting first, each with the closest
+// rating it accepts
+function pairUp(now) {
+  const pools = new Map();
+  for (const entry of queue.values()) {
+    // Still reading the player's rating
+    if (entry.rating === null) continue;
+    if (!pools.has(entry.pool)) pools.set(entry.pool, []);
+    pools.get(entry.pool).push(entry);
+  }
+
+  const pairs = [];
+  for (const entries of pools.values()) {
+    entries.sort((a, b) => a.joinedAt - b.joinedAt);
+    const paired = new Set();
+    for (const a of entries) {
+      if (paired.has(a)) continue;
+      let best = null;
+      for (const b of entries) {
+        if (b === a || paired.has(b)) continue;
+        const diff = Math.abs(a.rating - b.rating);
+        if (diff > Math.min(ratingWindow(a, now), ratingWindow(b, now))) {
+          continue;
+        }
+        if (!best || diff < Math.abs(a.rating - best.rating)) best = b;
+      }
+      if (best) {
+        paired.add(a).add(best);
+        pairs.push([a, best]);
+      }
+    }
+  }
+  return pairs;
+}
+
+async function startMatch([a, b]) {
+  const game = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    ruleSet: a.ruleSet,
+    timeControl: a.timeControl,
+    mode: "online",
+    rated: true,
+    userId: a.userId,
+    seat: Math.random() < 0.5 ? "first" : "second",
+    opponentId: b.userId,
+  });
+  const players = [a, b].map(({ userId, socketId }) => ({ userId, socketId }));
+  matchEvents.emit("match", { game, players });
+  return game;
+}
+
+/**
+ * Pairs whoever can be paired at `now` and creates their games. Players are
+ * taken off the queue before their game is created; when that fails they
+ * are put back.
+ * @returns {Promise<Object[]>} the new games
+ */
+async function findMatches(now = Date.now()) {
+  const pairs = pairUp(now);
+  for (const [a, b] of pairs) {
+    queue.delete(a.userId);
+    queue.delete(b.userId);
+  }
+  scheduleSweep();
+
+  const games = [];
+  for (const pair of pairs) {
+    try {
+      games.push(await startMatch(pair));
+    } catch (err) {
+      console.error("Matchmaking game creation failed:", err);
+      for (const entry of pair) {
+        if (!queue.has(entry.userId)) queue.set(entry.userId, entry);
+      }
+      scheduleSweep();
+    }
+  }
+  return games;
+}
+
+/**
+ * Queues a player, replacing any earlier entry of theirs. Pairing happens in
+ * findMatches, which the caller may run right away and the sweep runs every
+ * second while anyone waits.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} [params.socketId] - socket that gets the match
+ * @param {string} [params.ruleSet="freestyle"]
+ * @param {Object|null} [params.timeControl=null] - see utils/gameClock.js
+ * @param {number} [params.rating] - defaults to the player's rating
+ */
+async function joinQueue({
+  userId,
+  socketId = null,
+  ruleSet = "freestyle",
+  timeControl = null,
+  rating,
+}) {
+  const entry = {
+    userId,
+    socketId,
+    ruleSet,
+    timeControl,
+    pool: poolKey(ruleSet, timeControl),
+    rating: rating ?? null,
+    joinedAt: Date.now(),
+  };
+  // Queued before the rating is read, so a disconnect meanwhile removes it
+  queue.set(userId, entry);
+  if (entry.rating === null) {
+    try {
+      entry.rating = await ratingOf(userId, ruleSet, timeControl);
+    } catch (err) {
+      if (queue.get(userId) === entry) queue.delete(userId);
+      throw err;
+    }
+  }
+  scheduleSweep();
+  return toQueueView(entry);
+}
+
+/**
+ * Takes a player off the queue. With a socketId, only an entry made from
+ * that socket is removed, so a closing tab does not unqueue another one.
+ * @returns {boolean} whether the player was queued
+ */
+function leaveQueue(userId, socketId = null) {
+  const entry = queue.get(userId);
+  if (!entry || (socketId && entry.socketId !== socketId)) return false;
+  queue.delete(userId);
+  scheduleSweep();
+  return true;
+}
+
+function getQueueEntry(userId) {
+  const entry = queue.get(userId);
+  return entry ? toQueueView(entry) : null;
+}
+
+export {
+  RATING_WINDOW,
+  matchEvents,
+  joinQueue,
+  leaveQueue,
+  findMatches,
+  getQueueEntry,
+};
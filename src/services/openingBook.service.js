@@ -0,0 +1,302 @@
+/**
+ * Opening book: for every position reached in the first BOOK_DEPTH moves of
+ * finished games, how often each next move was played and how those games
+ * ended.
+ *
+ * Positions are keyed by their canonical Zobrist key and next moves are
+ * stored in the canonical frame (Board#toCanonical), so rotated and mirrored
+ * openings share one entry; reads map the moves back onto the board asked
+ * about. A book is per rule set and winLength.
+ *
+ * Two sources feed the book and are summed when it is read:
+ *   games   - finished games played on the server, added by commitGame
+ *   curated - lines imported by admins
+ * They are stored apart so the played part can be rebuilt from the games
+ * without losing the curated lines.
+ */
+
+import { Board } from "../utils/board.js";
+import { parseMoves, toCoord } from "../utils/gameNotation.js";
+import { rulesFor } from "../utils/rules/index.js";
+import OpeningBookModel from "../models/openingBook.model.js";
+import openingBookDb from "../models/openingbookdb.js";
+import GameModel from "../models/game.model.js";
+import gameDb from "../models/gamedb.js";
+import { isUsingMongoDB } from "../config/database.js";
+
+const BOOK_DEPTH = 20;
+const SOURCES = ["games", "curated"];
+const BOOK_STATUSES = ["won", "draw", "resigned", "timeout"];
+
+const bookId = (source, { ruleSet, winLength }, canonicalKey) =>
+  `${source}:${ruleSet}:${winLength}:${canonicalKey}`;
+
+const emptyStats = () => ({ games: 0, wins: { B: 0, W: 0 }, draws: 0 });
+
+function addStats(total, stats = {}) {
+  total.games += stats.games || 0;
+  total.wins.B += stats.wins?.B || 0;
+  total.wins.W += stats.wins?.W || 0;
+  total.draws += stats.draws || 0;
+}
+
+// $inc paths for `count` games ending in `result` ("B", "W" or "draw")
+const statIncrements = (prefix, result, count) => ({
+  [`${prefix}games`]: count,
+  [result === "draw" ? `${prefix}draws` : `${prefix}wins.${result}`]: count,
+});
+
+function invalidMove(i, message) {
+  const e = new Error(`Move ${i + 1}: ${message}`);
+  e.code = "INVALID_MOVE";
+  e.moveIndex = i;
+  return e;
+}
+
+// Plays a line of { x, y, player? } on a new board; players alternate from
+// black when the moves do not say
+function lineBoard(size, line, onMove = () => {}) {
+  const board = new Board(size);
+  line.forEach((m, i) => {
+    if (!board.inside(m.x, m.y)) throw invalidMove(i, "Out of bounds");
+    if (!board.isEmpty(m.x, m.y)) throw invalidMove(i, "Cell occupied");
+    onMove(board, m);
+    board.place(m.x, m.y, m.player || (i % 2 === 0 ? "B" : "W"));
+  });
+  return board;
+}
+
+// Position updates for `count` games that followed `line` to `result`
+function lineUpdates(size, line, result, count) {
+  const updates = [];
+  const board = lineBoard(size, line.slice(0, BOOK_DEPTH), (b, m) => {
+    const { x, y } = b.toCanonical(m.x, m.y);
+    updates.push({
+      canonicalKey: b.canonicalKey(),
+      inc: {
+        ...statIncrements("", result, count),
+        ...statIncrements(`moves.${x}_${y}.`, result, count),
+      },
+    });
+  });
+  // The last position was reached too, even with no recorded move after it
+  updates.push({
+    canonicalKey: board.canonicalKey(),
+    inc: statIncrements("", result, count),
+  });
+  return updates;
+}
+
+async function applyUpdates(source, rules, updates) {
+  const fields = ({ canonicalKey }) => ({
+    source,
+    ruleSet: rules.ruleSet,
+    winLength: rules.winLength,
+    canonicalKey,
+  });
+  if (!isUsingMongoDB()) {
+    for (const u of updates) {
+      openingBookDb.increment(
+        bookId(source, rules, u.canonicalKey),
+        fields(u),
+        u.inc,
+      );
+    }
+    return;
+  }
+  if (updates.length === 0) return;
+  await OpeningBookModel.bulkWrite(
+    updates.map((u) => ({
+      updateOne: {
+        filter: { _id: bookId(source, rules, u.canonicalKey) },
+        update: { $inc: u.inc, $setOnInsert: fields(u) },
+        upsert: true,
+      },
+    })),
+  );
+}
+
+async function loadPositions(ids) {
+  if (!isUsingMongoDB()) {
+    return ids.map((id) => openingBookDb.getPosition(id)).filter(Boolean);
+  }
+  return OpeningBookModel.find({ _id: { $in: ids } }).lean();
+}
+
+async function deletePositions(fields) {
+  if (!isUsingMongoDB()) {
+    openingBookDb.deletePositions(fields);
+    return;
+  }
+  await OpeningBookModel.deleteMany(fields);
+}
+
+/**
+ * Whether a game belongs in the book: a decided game between two people.
+ * Aborted games, games against the computer, infinite boards and review
+ * boards (free takebacks, which imports use) are left out.
+ */
+function isBookGame(game) {
+  return (
+    BOOK_STATUSES.includes(game.status) &&
+    game.size !== null &&
+    rulesFor(game.config.ruleSet).plain &&
+    !game.config.ai &&
+    game.config.takebacks.mode !== "free"
+  );
+}
+
+/**
+ * Adds a finished game to the "games" book. The caller makes sure a game is
+ * recorded once (game.inBook).
+ */
+async function recordGame(game) {
+  const result = game.status === "draw" ? "draw" : game.winner;
+  if (!result) return;
+  await applyUpdates(
+    "games",
+    game.config,
+    lineUpdates(game.size, game.moves, result, 1),
+  );
+}
+
+/**
+ * Rebuilds the "games" book from every finished game in storage; curated
+ * lines are kept.
+ * @returns {Promise<{ games: number }>}
+ */
+async function rebuildBook() {
+  await deletePositions({ source: "games" });
+  const games = isUsingMongoDB()
+    ? GameModel.find({ status: { $in: BOOK_STATUSES } })
+        .select("size moves config status winner")
+        .lean()
+        .cursor()
+    : gameDb.getAllGames();
+
+  let count = 0;
+  for await (const game of games) {
+    if (!isBookGame(game)) continue;
+    await recordGame(game);
+    count++;
+  }
+  return { games: count };
+}
+
+function parseLine(moves, size) {
+  if (typeof moves !== "string" || moves.trim() === "") return [];
+  return parseMoves(moves, "algebraic", size).moves;
+}
+
+/**
+ * Book moves for the position after `moves` (algebraic, e.g. "h8 i9").
+ * Counts from both sources are summed; `frequency` is the share of the
+ * position's continuations that went on with that move.
+ */
+async function getOpenings({
+  moves,
+  size = 15,
+  ruleSet = "freestyle",
+  winLength = 5,
+}) {
+  const line = parseLine(moves, size);
+  const board = lineBoard(size, line);
+  const canonicalKey = board.canonicalKey();
+  const entries = await loadPositions(
+    SOURCES.map((s) => bookId(s, { ruleSet, winLength }, canonicalKey)),
+  );
+
+  const total = emptyStats();
+  const merged = new Map();
+  for (const entry of entries) {
+    addStats(total, entry);
+    for (const [point, stats] of Object.entries(entry.moves || {})) {
+      if (!merged.has(point)) merged.set(point, emptyStats());
+      addStats(merged.get(point), stats);
+    }
+  }
+
+  const continued = [...merged.values()].reduce((n, s) => n + s.games, 0);
+  const next = [...merged]
+    .map(([point, stats]) => {
+      const [cx, cy] = point.split("_").map(Number);
+      const { x, y } = board.fromCanonical(cx, cy);
+      return {
+        move: toCoord({ x, y }, size),
+        x,
+        y,
+        ...stats,
+        frequency: continued > 0 ? stats.games / continued : 0,
+      };
+    })
+    .sort((a, b) => b.games - a.games);
+
+  return {
+    size,
+    ruleSet,
+    winLength,
+    moves: line.map((m) => toCoord(m, size)).join(" "),
+    toMove: line.length % 2 === 0 ? "B" : "W",
+    positionKey: board.positionKey(),
+    canonicalKey,
+    ...total,
+    next,
+  };
+}
+
+/**
+ * Imports curated lines into the book. Every line is checked before any is
+ * stored.
+ * @param {Object} book
+ * @param {Array<{ moves: string, wins?: { B?: number, W?: number }, draws?: number }>} book.lines
+ * @param {boolean} [book.replace=false] - drop the curated lines of this book first
+ * @returns {Promise<{ lines: number, positions: number }>}
+ */
+async function importBook({
+  lines,
+  size = 15,
+  ruleSet = "freestyle",
+  winLength = 5,
+  replace = false,
+}) {
+  const updates = [];
+  lines.forEach(({ moves, wins = {}, draws = 0 }, i) => {
+    try {
+      const line = parseLine(moves, size);
+      if (line.length === 0) {
+        const e = new Error("No moves found");
+        e.code = "PARSE_ERROR";
+        throw e;
+      }
+      const results = { B: wins.B || 0, W: wins.W || 0, draw: draws };
+      if (Object.values(results).every((n) => n === 0)) {
+        const e = new Error("Line has no results");
+        e.code = "PARSE_ERROR";
+        throw e;
+      }
+      for (const [result, count] of Object.entries(results)) {
+        if (count > 0) updates.push(...lineUpdates(size, line, result, count));
+      }
+    } catch (err) {
+      if (!err.code) throw err;
+      err.message = `Line ${i + 1}: ${err.message}`;
+      err.lineIndex = i;
+      throw err;
+    }
+  });
+
+  const rules = { ruleSet, winLength };
+  if (replace) await deletePositions({ source: "curated", ...rules });
+  await applyUpdates("curated", rules, updates);
+  const positions = new Set(updates.map((u) => u.canonicalKey)).size;
+  return { lines: lines.length, positions };
+}
+
+export {
+  BOOK_DEPTH,
+  isBookGame,
+  recordGame,
+  rebuildBook,
+  getOpenings,
+  importBook,
+};
@@ -0,0 +1,515 @@
+/**
+ * Puzzles: a position plus a claimed forced win, such as "Black wins in 3 by
+ * VCF", where 3 counts the winner's moves.
+ *
+ * A submitted puzzle comes with its main line. Every move of the winner on
+ * that line is proven with the threat search (proveMove in threats.js)
+ * against every defence, not just the one the line shows, before the puzzle
+ * is published. Positions use the game board and the game rules' win check,
+ * and a position is only published once per rule set (canonical key).
+ * Proofs run on the engine workers (engine.service.js), off the event loop.
+ *
+ * Solvers play the winner's side move by move. A move is right when it still
+ * wins in time, on the main line or off it; the server then answers with a
+ * defence. A wrong move fails the attempt. A user's first attempt at a
+ * puzzle is rated: the user and the puzzle trade Elo points.
+ */
+
+import { randomUUID } from "node:crypto";
+import { Board } from "../utils/board.js";
+import { parseMoves, toCoord } from "../utils/gameNotation.js";
+import { winRule, engineRules } from "./game.service.js";
+import { runEngine } from "./engine.service.js";
+import PuzzleModel from "../models/puzzle.model.js";
+import PuzzleAttemptModel from "../models/puzzleAttempt.model.js";
+import PuzzlePlayerModel from "../models/puzzlePlayer.model.js";
+import puzzleDb from "../models/puzzledb.js";
+import { isUsingMongoDB } from "../config/database.js";
+
+// Proofs run once per submission and once per solver move off the main
+// line, so they get more room than game analysis
+const PUZZLE_LIMITS = { maxNodes: 20000, timeMs: 3000 };
+const INITIAL_RATING = 1500;
+const RATING_K = 32;
+
+const COLOR_NAMES = { B: "Black", W: "White" };
+
+const other = (p) => (p === "B" ? "W" : "B");
+
+function puzzleError(code, message, moveIndex) {
+  const e = new Error(message);
+  e.code = code;
+  if (moveIndex !== undefined) e.moveIndex = moveIndex;
+  return e;
+}
+
+// ===== Storage =====
+// Lean queries return Buffer fields as BSON Binary
+const binaryBytes = (v) => (v._bsontype === "Binary" ? v.buffer : v);
+
+async function loadPuzzle(puzzleId) {
+  if (!isUsingMongoDB()) return puzzleDb.getPuzzle(puzzleId);
+  const doc = await PuzzleModel.findById(puzzleId).lean();
+  if (!doc) return null;
+  const { _id, cells, ...rest } = doc;
+  return { id: _id, ...rest, cells: Uint8Array.from(binaryBytes(cells)) };
+}
+
+async function findPuzzleByPosition(canonicalKey, rules) {
+  if (!isUsingMongoDB()) {
+    return puzzleDb.findPuzzleByPosition(canonicalKey, rules);
+  }
+  return PuzzleModel.exists({
+    canonicalKey,
+    "rules.ruleSet": rules.ruleSet,
+    "rules.winLength": rules.winLength,
+  });
+}
+
+async function insertPuzzle(puzzle) {
+  if (!isUsingMongoDB()) {
+    puzzleDb.savePuzzle(puzzle);
+    return;
+  }
+  const { id, cells, ...doc } = puzzle;
+  await PuzzleModel.create({ _id: id, ...doc, cells: Buffer.from(cells) });
+}
+
+async function incrementPuzzle(puzzle, inc) {
+  for (const [field, amount] of Object.entries(inc)) puzzle[field] += amount;
+  if (!isUsingMongoDB()) return;
+  await PuzzleModel.updateOne({ _id: puzzle.id }, { $inc: inc });
+}
+
+async function loadAttempt(attemptId) {
+  if (!isUsingMongoDB()) return puzzleDb.getAttempt(attemptId);
+  const doc = await PuzzleAttemptModel.findById(attemptId).lean();
+  return doc && { id: doc._id, ...doc };
+}
+
+async function findAttempts(userId, puzzleId) {
+  if (!isUsingMongoDB()) return puzzleDb.findAttempts(userId, puzzleId);
+  const docs = await PuzzleAttemptModel.find({ userId, puzzleId })
+    .sort({ createdAt: 1 })
+    .lean();
+  return docs.map((d) => ({ id: d._id, ...d }));
+}
+
+async function saveAttempt(attempt) {
+  if (!isUsingMongoDB()) {
+    puzzleDb.saveAttempt(attempt);
+    return;
+  }
+  const { id, _id, ...doc } = attempt;
+  await PuzzleAttemptModel.replaceOne({ _id: id }, doc, { upsert: true });
+}
+
+async function loadPlayer(userId) {
+  const { _id, ...player } =
+    (isUsingMongoDB()
+      ? await PuzzlePlayerModel.findById(userId).lean()
+      : puzzleDb.getPlayer(userId)) || {};
+  return {
+    rating: INITIAL_RATING,
+    attempts: 0,
+    solved: 0,
+    failed: 0,
+    ...player,
+    id: userId,
+  };
+}
+
+async function incrementPlayer(player, inc) {
+  for (const [field, amount] of Object.entries(inc)) player[field] += amount;
+  if (!isUsingMongoDB()) {
+    puzzleDb.savePlayer(player);
+    return;
+  }
+  const { rating, ...counters } = inc;
+  await PuzzlePlayerModel.updateOne(
+    { _id: player.id },
+    {
+      $inc: { rating: rating || 0, ...counters },
+      $setOnInsert: { _id: player.id },
+    },
+    { upsert: true },
+  );
+}
+
+// ===== DTOs & helpers =====
+function puzzleBoard(puzzle) {
+  return new Board(puzzle.size, Uint8Array.from(puzzle.cells));
+}
+
+const puzzleTitle = ({ toMove, claim }) =>
+  `${COLOR_NAMES[toMove]} wins in ${claim.moves} by ${claim.type.toUpperCase()}`;
+
+// The solution stays hidden until the solver has finished an attempt
+function toPuzzleDTO(puzzle) {
+  return {
+    puzzleId: puzzle.id,
+    title: puzzleTitle(puzzle),
+    size: puzzle.size,
+    board: puzzleBoard(puzzle).toRows(),
+    toMove: puzzle.toMove,
+    rules: puzzle.rules,
+    claim: puzzle.claim,
+    positionKey: puzzle.positionKey,
+    canonicalKey: puzzle.canonicalKey,
+    rating: puzzle.rating,
+    plays: puzzle.plays,
+    solves: puzzle.solves,
+    authorId: puzzle.authorId,
+    createdAt: puzzle.createdAt,
+  };
+}
+
+function toAttemptDTO(attempt, puzzle) {
+  const board = puzzleBoard(puzzle);
+  for (const m of attempt.moves) board.place(m.x, m.y, m.player);
+  const finished = attempt.status !== "ongoing";
+  return {
+    attemptId: attempt.id,
+    puzzleId: attempt.puzzleId,
+    status: attempt.status,
+    board: board.toRows(),
+    moves: attempt.moves,
+    toMove: finished ? null : puzzle.toMove,
+    rated: attempt.rated,
+    ratingChange: attempt.ratingChange,
+    solution: finished ? puzzle.solution : null,
+    createdAt: attempt.createdAt,
+    updatedAt: attempt.updatedAt,
+  };
+}
+
+// Elo between solver and puzzle; solving counts as a win for the solver
+function ratingChange(playerRating, puzzleRating, solved) {
+  const expected = 1 / (1 + 10 ** ((puzzleRating - playerRating) / 400));
+  return Math.round(RATING_K * ((solved ? 1 : 0) - expected));
+}
+
+async function requirePuzzle(puzzleId) {
+  const puzzle = await loadPuzzle(puzzleId);
+  if (!puzzle) throw puzzleError("NOT_FOUND", "Puzzle not found");
+  return puzzle;
+}
+
+// ===== Submission =====
+function readPosition(rows) {
+  const size = Array.isArray(rows) ? rows.length : 0;
+  if (size < 5 || size > 25) {
+    throw puzzleError("INVALID_POSITION", "board must have 5-25 rows");
+  }
+  const board = new Board(size);
+  const counts = { B: 0, W: 0 };
+  rows.forEach((row, y) => {
+    if (!Array.isArray(row) || row.length !== size) {
+      throw puzzleError("INVALID_POSITION", "board must be square");
+    }
+    row.forEach((cell, x) => {
+      if (cell === null) return;
+      if (cell !== "B" && cell !== "W") {
+        throw puzzleError("INVALID_POSITION", "cells must be 'B', 'W' or null");
+      }
+      board.place(x, y, cell);
+      counts[cell]++;
+    });
+  });
+  // Black moves first, so the counts say whose turn it is
+  if (counts.B !== counts.W && counts.B !== counts.W + 1) {
+    throw puzzleError(
+      "INVALID_POSITION",
+      "Black must have as many stones as White, or one more",
+    );
+  }
+  return { board, toMove: counts.B === counts.W ? "B" : "W" };
+}
+
+// Proves a move of `player` on the engine worker (proveMove in threats.js)
+function prove(rows, player, move, rules, claim) {
+  return runEngine(
+    "proveMove",
+    { board: rows, player, move, config: rules, claim, limits: PUZZLE_LIMITS },
+    PUZZLE_LIMITS.timeMs,
+  );
+}
+
+function isWon(board, rules) {
+  for (let y = 0; y < board.size; y++) {
+    for (let x = 0; x < board.size; x++) {
+      const player = board.at(x, y);
+      if (player && board.checkWin(x, y, player, winRule(rules, player)).winner)
+        return true;
+    }
+  }
+  return false;
+}
+
+// Replays the main line, proving every winning-side move with the moves
+// it has left. Returns the line with players filled in.
+async function verifySolution(board, toMove, rules, claim, line) {
+  const length = 2 * claim.moves - 1;
+  if (line.length !== length) {
+    throw puzzleError(
+      "INVALID_SOLUTION",
+      `A win in ${claim.moves} is ${length} moves long, the solution has ${line.length}`,
+    );
+  }
+  const work = board.clone();
+  const engine = engineRules(rules);
+  const verified = [];
+  for (const [i, { x, y }] of line.entries()) {
+    const player = i % 2 === 0 ? toMove : other(toMove);
+    const at = `Move ${i + 1} (${toCoord({ x, y }, board.size)})`;
+    if (!work.inside(x, y) || !work.isEmpty(x, y)) {
+      throw puzzleError("INVALID_SOLUTION", `${at}: not an empty point`, i);
+    }
+    const rows = work.toRows();
+    if (player === toMove) {
+      const moves = claim.moves - i / 2;
+      const proof = await prove(rows, player, { x, y }, rules, {
+        type: claim.type,
+        moves,
+      });
+      if (!proof.searchComplete) {
+        throw puzzleError(
+          "UNVERIFIED",
+          `${at}: the win could not be verified within the search limits`,
+          i,
+        );
+      }
+      if (!proof.proven) {
+        throw puzzleError(
+          "INVALID_SOLUTION",
+          `${at} does not win in ${moves} against every defence`,
+          i,
+        );
+      }
+    } else if (!engine.isLegal(rows, x, y, player)) {
+      throw puzzleError("INVALID_SOLUTION", `${at}: forbidden point`, i);
+    }
+    work.place(x, y, player);
+    verified.push({ x, y, player });
+  }
+  return verified;
+}
+
+/**
+ * Verifies and publishes a puzzle.
+ * @param {Object} options
+ * @param {Array<Array<"B"|"W"|null>>} options.board - side to move follows
+ *   from the stone counts
+ * @param {{ type: "vcf"|"vct", moves: number }} options.claim
+ * @param {string} options.solution - main line in algebraic notation
+ * @param {string} options.authorId
+ */
+async function createPuzzle({
+  board: rows,
+  ruleSet = "freestyle",
+  winLength = 5,
+  allowOverlines = true,
+  claim,
+  solution,
+  authorId,
+}) {
+  const { board, toMove } = readPosition(rows);
+  const rules = { ruleSet, winLength, allowOverlines };
+  if (winLength > board.size) {
+    throw puzzleError("INVALID_POSITION", "winLength is larger than the board");
+  }
+  if (isWon(board, rules)) {
+    throw puzzleError("INVALID_POSITION", "The position is already won");
+  }
+  const { moves } = parseMoves(solution, "algebraic", board.size);
+  const line = await verifySolution(board, toMove, rules, claim, moves);
+
+  const canonicalKey = board.canonicalKey();
+  if (await findPuzzleByPosition(canonicalKey, rules)) {
+    throw puzzleError("DUPLICATE", "This position is already a puzzle");
+  }
+  const puzzle = {
+    id: randomUUID(),
+    size: board.size,
+    cells: board.cells,
+    toMove,
+    rules,
+    claim: { type: claim.type, moves: claim.moves },
+    solution: line,
+    positionKey: board.positionKey(),
+    canonicalKey,
+    authorId,
+    rating: INITIAL_RATING,
+    plays: 0,
+    solves: 0,
+    createdAt: Date.now(),
+  };
+  await insertPuzzle(puzzle);
+  return toPuzzleDTO(puzzle);
+}
+
+// ===== Browsing =====
+async function getPuzzle(puzzleId) {
+  return toPuzzleDTO(await requirePuzzle(puzzleId));
+}
+
+/**
+ * Published puzzles, newest first, optionally within a rating range.
+ */
+async function listPuzzles({
+  limit = 20,
+  offset = 0,
+  minRating = null,
+  maxRating = null,
+}) {
+  let puzzles;
+  if (!isUsingMongoDB()) {
+    puzzles = puzzleDb
+      .getAllPuzzles()
+      .filter(
+        (p) =>
+          (minRating === null || p.rating >= minRating) &&
+          (maxRating === null || p.rating <= maxRating),
+      )
+      .slice(offset, offset + limit);
+  } else {
+    const rating = {};
+    if (minRating !== null) rating.$gte = minRating;
+    if (maxRating !== null) rating.$lte = maxRating;
+    const filter = minRating !== null || maxRating !== null ? { rating } : {};
+    const docs = await PuzzleModel.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+    puzzles = docs.map(({ _id, cells, ...rest }) => ({
+      id: _id,
+      ...rest,
+      cells: Uint8Array.from(binaryBytes(cells)),
+    }));
+  }
+  return { puzzles: puzzles.map(toPuzzleDTO), limit, offset };
+}
+
+// ===== Solving =====
+/**
+ * Starts an attempt, or resumes the user's unfinished one. Only the first
+ * attempt at a puzzle is rated, and never the author's.
+ */
+async function startAttempt({ puzzleId, userId }) {
+  const puzzle = await requirePuzzle(puzzleId);
+  const attempts = await findAttempts(userId, puzzleId);
+  const ongoing = attempts.find((a) => a.status === "ongoing");
+  if (ongoing) return toAttemptDTO(ongoing, puzzle);
+
+  const now = Date.now();
+  const attempt = {
+    id: randomUUID(),
+    puzzleId,
+    userId,
+    moves: [],
+    status: "ongoing",
+    rated: attempts.length === 0 && puzzle.authorId !== userId,
+    ratingChange: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await saveAttempt(attempt);
+  await incrementPuzzle(puzzle, { plays: 1 });
+  await incrementPlayer(await loadPlayer(userId), { attempts: 1 });
+  return toAttemptDTO(attempt, puzzle);
+}
+
+async function finishAttempt(attempt, puzzle, solved) {
+  attempt.status = solved ? "solved" : "failed";
+  const player = await loadPlayer(attempt.userId);
+  const counters = solved ? { solved: 1 } : { failed: 1 };
+  if (attempt.rated) {
+    const change = ratingChange(player.rating, puzzle.rating, solved);
+    attempt.ratingChange = change;
+    await incrementPlayer(player, { ...counters, rating: change });
+    await incrementPuzzle(puzzle, { rating: -change, solves: solved ? 1 : 0 });
+  } else {
+    await incrementPlayer(player, counters);
+    if (solved) await incrementPuzzle(puzzle, { solves: 1 });
+  }
+  return player;
+}
+
+/**
+ * Plays the solver's move. A right move gets the defender's answer, or
+ * solves the puzzle when it wins; a wrong one fails the attempt.
+ * @returns {Promise<Object>} the attempt, plus correct, reply and, once
+ *   finished, the user's puzzle rating
+ */
+async function playPuzzleMove({ puzzleId, attemptId, userId, x, y }) {
+  const puzzle = await requirePuzzle(puzzleId);
+  const attempt = await loadAttempt(attemptId);
+  if (!attempt || attempt.puzzleId !== puzzleId) {
+    throw puzzleError("NOT_FOUND", "Attempt not found");
+  }
+  if (attempt.userId !== userId) {
+    throw puzzleError("FORBIDDEN", "This attempt belongs to another user");
+  }
+  if (attempt.status !== "ongoing") {
+    throw puzzleError("INVALID_STATE", `Attempt is ${attempt.status}`);
+  }
+
+  const board = puzzleBoard(puzzle);
+  for (const m of attempt.moves) board.place(m.x, m.y, m.player);
+  if (!board.inside(x, y) || !board.isEmpty(x, y)) {
+    throw puzzleError("INVALID_MOVE", "Not an empty point");
+  }
+
+  const { toMove: player, solution, claim, rules } = puzzle;
+  const ply = attempt.moves.length;
+  const onMainLine =
+    attempt.moves.every(
+      (m, i) => m.x === solution[i].x && m.y === solution[i].y,
+    ) &&
+    solution[ply].x === x &&
+    solution[ply].y === y;
+
+  let correct = onMainLine;
+  let reply = onMainLine ? solution[ply + 1] || null : null;
+  if (!onMainLine) {
+    const proof = await prove(board.toRows(), player, { x, y }, rules, {
+      type: claim.type,
+      moves: claim.moves - ply / 2,
+    });
+    correct = proof.proven;
+    reply = proof.proven ? proof.line[1] || null : null;
+  }
+
+  attempt.moves.push({ x, y, player });
+  attempt.updatedAt = Date.now();
+  board.place(x, y, player);
+  const won = board.checkWin(x, y, player, winRule(rules, player)).winner;
+  const result = { correct, reply: null };
+  // A correct move the defender has no answer to solves the puzzle
+  if (!correct || won || !reply) {
+    const { rating } = await finishAttempt(attempt, puzzle, correct);
+    result.rating = rating;
+  } else {
+    attempt.moves.push({ x: reply.x, y: reply.y, player: other(player) });
+    result.reply = { x: reply.x, y: reply.y, player: other(player) };
+  }
+  await saveAttempt(attempt);
+  return { ...toAttemptDTO(attempt, puzzle), ...result };
+}
+
+/** A user's puzzle rating and counters */
+async function getPuzzlePlayer(userId) {
+  const { id, ...player } = await loadPlayer(userId);
+  return { userId: id, ...player };
+}
+
+export {
+  PUZZLE_LIMITS,
+  createPuzzle,
+  getPuzzle,
+  listPuzzles,
+  startAttempt,
+  playPuzzleMove,
+  getPuzzlePlayer,
+};
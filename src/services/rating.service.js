@@ -0,0 +1,449 @@
+/**
+ * Player ratings: Glicko-2 (utils/glicko2.js), kept apart per rule set and
+ * time-control category ("speed"), so a renju bullet rating says nothing
+ * about freestyle classical.
+ *
+ * A rated game is an online game created with `rated` whose two seats hold
+ * different users. When it reaches a decided end (won, draw, resigned,
+ * timeout) commitGame rates it once, as a rating period of one game for
+ * each player. A player's deviation also grows for every RATING_PERIOD_MS
+ * they went without a rated game in that category.
+ *
+ * Every rated game leaves one history entry per player, which the rating
+ * history and the period leaderboards read.
+ *
+ * Rating records carry a version and are only written over the version
+ * they were read at. When two games of a player end at once, the one that
+ * loses the race rates that player again from the stored record.
+ */
+
+import { DEFAULT_RATING, inflate, rate } from "../utils/glicko2.js";
+import PlayerRatingModel from "../models/playerRating.model.js";
+import RatingHistoryModel from "../models/ratingHistory.model.js";
+import ratingDb from "../models/ratingdb.js";
+import { isUsingMongoDB } from "../config/database.js";
+
+const SPEEDS = ["bullet", "blitz", "rapid", "classical", "untimed"];
+const RATED_STATUSES = ["won", "draw", "resigned", "timeout"];
+const COLORS = ["B", "W"];
+const RATING_PERIOD_MS = 24 * 60 * 60 * 1000;
+const MAX_RATING_ATTEMPTS = 5;
+// Ratings with a larger deviation are provisional and kept off leaderboards
+const PROVISIONAL_RD = 110;
+const LEADERBOARD_PERIODS = {
+  all: null,
+  day: RATING_PERIOD_MS,
+  week: 7 * RATING_PERIOD_MS,
+  month: 30 * RATING_PERIOD_MS,
+};
+
+/**
+ * Time-control category, from the expected length of a game of 40 moves
+ * per player.
+ * @param {Object|null} timeControl - see utils/gameClock.js
+ */
+function speedOf(timeControl) {
+  if (!timeControl) return "untimed";
+  const perMove =
+    timeControl.type === "fischer"
+      ? timeControl.incrementMs
+      : timeControl.type === "byoyomi"
+        ? timeControl.periodMs
+        : 0;
+  const minutes = (timeControl.initialMs + 40 * perMove) / 60000;
+  if (minutes < 3) return "bullet";
+  if (minutes < 8) return "blitz";
+  if (minutes < 25) return "rapid";
+  return "classical";
+}
+
+const gameCategory = (game) => ({
+  ruleSet: game.config.ruleSet,
+  speed: speedOf(game.clock?.timeControl),
+});
+
+const ratingId = (userId, { ruleSet, speed }) =>
+  `${userId}:${ruleSet}:${speed}`;
+
+function ratingError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// ===== Storage =====
+const fromDoc = (doc) => doc && { id: doc._id, ...doc };
+
+async function loadRecord(userId, category) {
+  const id = ratingId(userId, category);
+  const record = isUsingMongoDB()
+    ? fromDoc(await PlayerRatingModel.findById(id).lean())
+    : ratingDb.getRating(id);
+  return (
+    record || {
+      id,
+      userId,
+      ...category,
+      ...DEFAULT_RATING,
+      games: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      lastGameAt: null,
+      version: 0,
+    }
+  );
+}
+
+// Writes a record over the version it was read at; false when it has
+// changed since
+async function writeRecord({ id, _id, ...doc }) {
+  const prev = doc.version - 1;
+  if (!isUsingMongoDB()) return ratingDb.saveRating({ id, ...doc }, prev);
+  if (prev > 0) {
+    const { matchedCount } = await PlayerRatingModel.replaceOne(
+      { _id: id, version: prev },
+      doc,
+    );
+    return matchedCount === 1;
+  }
+  try {
+    await PlayerRatingModel.create({ _id: id, ...doc });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+async function addHistory(entry) {
+  if (!isUsingMongoDB()) ratingDb.addHistory([entry]);
+  else await RatingHistoryModel.create(entry);
+}
+
+// ===== DTOs & helpers =====
+// The rating as of `now`, with the deviation grown over idle periods
+function current(record, now = Date.now()) {
+  if (record.lastGameAt === null) return record;
+  const periods = Math.floor((now - record.lastGameAt) / RATING_PERIOD_MS);
+  return { ...record, ...inflate(record, periods) };
+}
+
+function toRatingDTO(record, now) {
+  const { rating, rd } = current(record, now);
+  return {
+    userId: record.userId,
+    ruleSet: record.ruleSet,
+    speed: record.speed,
+    rating: Math.round(rating),
+    rd: Math.round(rd),
+    provisional: rd > PROVISIONAL_RD,
+    games: record.games,
+    wins: record.wins,
+    losses: record.losses,
+    draws: record.draws,
+    lastGameAt: record.lastGameAt,
+  };
+}
+
+function toHistoryDTO(entry) {
+  return {
+    gameId: entry.gameId,
+    opponentId: entry.opponentId,
+    result: entry.result,
+    rating: Math.round(entry.rating),
+    rd: Math.round(entry.rd),
+    change: Math.round(entry.change),
+    createdAt: entry.createdAt,
+  };
+}
+
+// ===== Rating games =====
+// User playing `color`, from the seat that ended up with it
+function colorUser(game, color) {
+  const seat = game.colors.first === color ? "first" : "second";
+  return game.seats[seat];
+}
+
+/**
+ * Whether a finished game changes ratings and has not been rated yet.
+ */
+function isRatedGame(game) {
+  return (
+    Boolean(game.config.rated) &&
+    !game.ratingChanges &&
+    RATED_STATUSES.includes(game.status) &&
+    Boolean(game.colors.first) &&
+    Boolean(game.seats?.first) &&
+    Boolean(game.seats?.second) &&
+    game.seats.first !== game.seats.second
+  );
+}
+
+// One player's side of a rated game, from both players' ratings before it:
+// their new record, history entry and rating change
+function rateSide(game, color, before, now) {
+  const o = color === "B" ? "W" : "B";
+  const score = game.status === "draw" ? 0.5 : game.winner === color ? 1 : 0;
+  const result = score === 1 ? "win" : score === 0 ? "loss" : "draw";
+  const mine = before[color];
+  const after = rate(mine, [
+    { rating: before[o].rating, rd: before[o].rd, score },
+  ]);
+  const change = after.rating - mine.rating;
+  return {
+    record: {
+      ...mine,
+      ...after,
+      games: mine.games + 1,
+      wins: mine.wins + (result === "win" ? 1 : 0),
+      losses: mine.losses + (result === "loss" ? 1 : 0),
+      draws: mine.draws + (result === "draw" ? 1 : 0),
+      lastGameAt: now,
+      version: mine.version + 1,
+    },
+    entry: {
+      userId: mine.userId,
+      ...gameCategory(game),
+      gameId: game.id,
+      opponentId: before[o].userId,
+      result,
+      rating: after.rating,
+      rd: after.rd,
+      change,
+      createdAt: now,
+    },
+    change: {
+      userId: mine.userId,
+      before: Math.round(mine.rating),
+      after: Math.round(after.rating),
+      change: Math.round(change),
+    },
+  };
+}
+
+// Current ratings of the players of `colors`, as stored now
+async function loadBefore(game, colors, now) {
+  const before = {};
+  for (const c of colors) {
+    const record = await loadRecord(colorUser(game, c), gameCategory(game));
+    before[c] = current(record, now);
+  }
+  return before;
+}
+
+/**
+ * New ratings of both players of a finished rated game. Nothing is stored:
+ * commitGame keeps `changes` on the game and calls saveRatings once the
+ * game is saved.
+ * @returns {Promise<{ changes: Object, before: Object, sides: Object }>}
+ */
+async function computeRatings(game, now = Date.now()) {
+  const before = await loadBefore(game, COLORS, now);
+  const sides = {};
+  for (const c of COLORS) sides[c] = rateSide(game, c, before, now);
+  const changes = { ...gameCategory(game) };
+  for (const c of COLORS) changes[c] = sides[c].change;
+  return { changes, before, sides };
+}
+
+/**
+ * Stores the ratings and history entries computeRatings produced. A player
+ * whose rating changed in the meantime is rated again from the new one,
+ * against the opponent's rating before the game.
+ * @returns {Promise<Object>} the ratings as stored: `ratings` itself, or a
+ *   copy with the sides that were rated again
+ */
+async function saveRatings(game, ratings) {
+  let pending = COLORS;
+  for (let attempt = 1; ; attempt++) {
+    const stale = [];
+    for (const c of pending) {
+      const { record, entry } = ratings.sides[c];
+      if (await writeRecord(record)) await addHistory(entry);
+      else stale.push(c);
+    }
+    if (stale.length === 0) return ratings;
+    if (attempt === MAX_RATING_ATTEMPTS) {
+      throw ratingError("CONFLICT", "Ratings kept changing, gave up");
+    }
+
+    const now = Date.now();
+    const before = {
+      ...ratings.before,
+      ...(await loadBefore(game, stale, now)),
+    };
+    ratings = {
+      changes: { ...ratings.changes },
+      before,
+      sides: { ...ratings.sides },
+    };
+    for (const c of stale) {
+      ratings.sides[c] = rateSide(game, c, before, now);
+      ratings.changes[c] = ratings.sides[c].change;
+    }
+    pending = stale;
+  }
+}
+
+// ===== Reads =====
+/**
+ * A user's rating in one category; the default rating before their first
+ * rated game there.
+ */
+async function getRating(userId, category) {
+  return toRatingDTO(await loadRecord(userId, category));
+}
+
+/**
+ * All of a user's ratings, most played category first.
+ */
+async function getPlayerRatings(userId) {
+  const records = isUsingMongoDB()
+    ? (await PlayerRatingModel.find({ userId }).lean()).map(fromDoc)
+    : ratingDb.findRatingsByUser(userId);
+  const now = Date.now();
+  return records
+    .map((r) => toRatingDTO(r, now))
+    .sort((a, b) => b.games - a.games);
+}
+
+/**
+ * A user's rated games in one category, newest first.
+ */
+async function getRatingHistory({
+  userId,
+  ruleSet = "freestyle",
+  speed,
+  limit = 50,
+  offset = 0,
+}) {
+  const fields = { userId, ruleSet, speed };
+  const entries = isUsingMongoDB()
+    ? await RatingHistoryModel.find(fields)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean()
+    : ratingDb.findHistory(fields).slice(offset, offset + limit);
+  return {
+    rating: await getRating(userId, { ruleSet, speed }),
+    history: entries.map(toHistoryDTO),
+  };
+}
+
+// Rating change and number of games per user in a category since `since`
+async function periodActivity(category, since) {
+  if (!isUsingMongoDB()) {
+    const activity = new Map();
+    for (const h of ratingDb.findHistory(category, since)) {
+      const a = activity.get(h.userId) || { change: 0, games: 0 };
+      a.change += h.change;
+      a.games += 1;
+      activity.set(h.userId, a);
+    }
+    return activity;
+  }
+  const rows = await RatingHistoryModel.aggregate([
+    { $match: { ...category, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: "$userId",
+        change: { $sum: "$change" },
+        games: { $sum: 1 },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [r._id, r]));
+}
+
+/**
+ * One page of a category's leaderboard, highest rating first. Provisional
+ * ratings are left out. With a period other than "all" only players with
+ * rated games in that period are ranked, with their rating change and games
+ * over it.
+ */
+async function getLeaderboard({
+  ruleSet = "freestyle",
+  speed = "blitz",
+  period = "all",
+  limit = 20,
+  offset = 0,
+}) {
+  const category = { ruleSet, speed };
+  const now = Date.now();
+  // The deviation grows while a player is idle, so stored ones only narrow
+  // the search
+  const established = (r) => current(r, now).rd <= PROVISIONAL_RD;
+
+  let records;
+  let total;
+  let activity = null;
+  if (LEADERBOARD_PERIODS[period]) {
+    activity = await periodActivity(
+      category,
+      now - LEADERBOARD_PERIODS[period],
+    );
+    const userIds = [...activity.keys()];
+    const all = isUsingMongoDB()
+      ? (
+          await PlayerRatingModel.find({
+            ...category,
+            userId: { $in: userIds },
+          })
+            .sort({ rating: -1, _id: 1 })
+            .lean()
+        ).map(fromDoc)
+      : userIds
+          .map((id) => ratingDb.getRating(ratingId(id, category)))
+          .filter(Boolean)
+          .sort((a, b) => b.rating - a.rating);
+    const ranked = all.filter(established);
+    total = ranked.length;
+    records = ranked.slice(offset, offset + limit);
+  } else {
+    const all = isUsingMongoDB()
+      ? (
+          await PlayerRatingModel.find({
+            ...category,
+            rd: { $lte: PROVISIONAL_RD },
+          })
+            .sort({ rating: -1, _id: 1 })
+            .lean()
+        ).map(fromDoc)
+      : ratingDb.findRatingsByCategory(category);
+    const ranked = all.filter(established);
+    total = ranked.length;
+    records = ranked.slice(offset, offset + limit);
+  }
+
+  return {
+    ruleSet,
+    speed,
+    period,
+    total,
+    players: records.map((r, i) => {
+      const entry = { rank: offset + i + 1, ...toRatingDTO(r, now) };
+      if (activity) {
+        const { change, games } = activity.get(r.userId);
+        entry.periodChange = Math.round(change);
+        entry.periodGames = games;
+      }
+      return entry;
+    }),
+  };
+}
+
+export {
+  SPEEDS,
+  LEADERBOARD_PERIODS,
+  PROVISIONAL_RD,
+  speedOf,
+  isRatedGame,
+  computeRatings,
+  saveRatings,
+  getRating,
+  getPlayerRatings,
+  getRatingHistory,
+  getLeaderboard,
+};
@@ -0,0 +1,578 @@
+/**
+ * Tournaments: admins set up a format, a registration window and the game
+ * settings; players register while the window is open. When it closes (or
+ * an admin starts the tournament early) players are seeded by rating, each
+ * round is paired (utils/tournamentPairing.js) and its games are created as
+ * online games with both seats filled.
+ *
+ * The tournament follows its games through gameEvents: when the last game
+ * of a round ends, the next round is paired, until the format is done. A
+ * timer starts it when registration closes. The same checks run whenever a
+ * tournament is read, so a result or start missed while the server was down
+ * is picked up later. Tournament games are timed and their clocks run from
+ * the start, so a player who does not show up loses on time rather than
+ * holding up the round.
+ *
+ * Formats:
+ *   round_robin        - everyone meets everyone once
+ *   swiss              - totalRounds rounds, ranked by points then Buchholz
+ *   single_elimination - a loss knocks a player out
+ *   double_elimination - a second loss does, with a losers' bracket
+ * Drawn elimination games are replayed with the seats swapped.
+ */
+
+import { randomUUID } from "node:crypto";
+import { createGame, getGameDTO, gameEvents } from "./game.service.js";
+import { getRating, speedOf } from "./rating.service.js";
+import {
+  roundRobinPairings,
+  roundRobinRounds,
+  swissPairings,
+  swissRounds,
+  startBracket,
+  bracketChampion,
+  eliminationPairings,
+  advanceBracket,
+  computeStandings,
+} from "../utils/tournamentPairing.js";
+import TournamentModel from "../models/tournament.model.js";
+import tournamentDb from "../models/tournamentdb.js";
+import { isUsingMongoDB } from "../config/database.js";
+
+const FORMATS = [
+  "round_robin",
+  "swiss",
+  "single_elimination",
+  "double_elimination",
+];
+const TOURNAMENT_STATUSES = [
+  "registration",
+  "running",
+  "finished",
+  "cancelled",
+];
+// Tournament games cannot be aborted (abortMoveLimit 0), so these are all
+// the ways they end
+const ENDED = ["won", "draw", "resigned", "timeout"];
+const LIVES = { single_elimination: 1, double_elimination: 2 };
+// Setting a timer longer than this makes Node fire it right away
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const isElimination = (t) => t.format in LIVES;
+
+function tournamentError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// ===== Storage =====
+async function loadTournament(tournamentId) {
+  if (!isUsingMongoDB()) return tournamentDb.getTournament(tournamentId);
+  const doc = await TournamentModel.findById(tournamentId).lean();
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+async function saveTournament(tournament) {
+  const prev = tournament.version;
+  tournament.version = prev + 1;
+  let saved;
+  if (!isUsingMongoDB()) {
+    saved = tournamentDb.saveTournament(tournament, prev);
+  } else {
+    const { id, ...doc } = tournament;
+    saved =
+      prev === 0
+        ? await TournamentModel.create({ _id: id, ...doc })
+        : await TournamentModel.findOneAndUpdate(
+            { _id: id, version: prev },
+            doc,
+          );
+  }
+  if (!saved) {
+    throw tournamentError(
+      "CONFLICT",
+      "Tournament was modified concurrently, retry",
+    );
+  }
+}
+
+// Updates of one tournament run one at a time, so a round is never paired
+// twice when its last games end together
+const locks = new Map();
+
+function withLock(tournamentId, fn) {
+  const run = (locks.get(tournamentId) || Promise.resolve()).then(fn);
+  const done = run.catch(() => {});
+  locks.set(tournamentId, done);
+  done.then(() => {
+    if (locks.get(tournamentId) === done) locks.delete(tournamentId);
+  });
+  return run;
+}
+
+// ===== Start timers =====
+const startTimers = new Map();
+
+// Starts the tournament when registration closes. Timers are re-armed
+// whenever a tournament is loaded (updateTournament) and on startup
+// (scheduleTournamentStarts).
+function scheduleStart(t) {
+  clearTimeout(startTimers.get(t.id));
+  startTimers.delete(t.id);
+  if (t.status !== "registration") return;
+
+  const delay = Math.min(
+    Math.max(0, t.registration.closesAt - Date.now()),
+    MAX_TIMER_MS,
+  );
+  const timer = setTimeout(() => {
+    startTimers.delete(t.id);
+    updateTournament(t.id).catch((err) => {
+      console.error("Tournament start failed:", err);
+    });
+  }, delay);
+  timer.unref();
+  startTimers.set(t.id, timer);
+}
+
+// ===== DTO & helpers =====
+function toTournamentDTO(t) {
+  return {
+    tournamentId: t.id,
+    name: t.name,
+    format: t.format,
+    settings: t.settings,
+    totalRounds: t.totalRounds,
+    registration: t.registration,
+    maxPlayers: t.maxPlayers,
+    status: t.status,
+    players: t.players,
+    rounds: t.rounds,
+    currentRound: t.rounds.length,
+    bracket: t.bracket,
+    winnerId: t.winnerId,
+    createdBy: t.createdBy,
+    createdAt: t.createdAt,
+    startedAt: t.startedAt,
+    finishedAt: t.finishedAt,
+  };
+}
+
+const toSummary = (t) => ({
+  tournamentId: t.id,
+  name: t.name,
+  format: t.format,
+  status: t.status,
+  playerCount: t.players.length,
+  maxPlayers: t.maxPlayers,
+  currentRound: t.rounds.length,
+  totalRounds: t.totalRounds,
+  registration: t.registration,
+  winnerId: t.winnerId,
+  createdAt: t.createdAt,
+});
+
+const seeded = (t) =>
+  [...t.players].sort((a, b) => a.seed - b.seed).map((p) => p.userId);
+
+// Winner of a decided pairing
+const winnerOf = (p) => (p.result === "second" ? p.second : p.first);
+
+/**
+ * Standings of a tournament. Round robin and Swiss rank by points, then
+ * Buchholz; elimination formats by how far each player got.
+ */
+function standingsOf(t) {
+  const rows = computeStandings(t.players, t.rounds);
+  if (!isElimination(t)) return rows;
+
+  const byUser = new Map(t.players.map((p) => [p.userId, p]));
+  const reached = (row) =>
+    row.userId === t.winnerId
+      ? Infinity
+      : (byUser.get(row.userId).eliminatedInRound ?? t.rounds.length + 1);
+  return rows
+    .map(({ points, buchholz, ...row }) => ({
+      ...row,
+      eliminatedInRound: byUser.get(row.userId).eliminatedInRound ?? null,
+    }))
+    .sort((a, b) => reached(b) - reached(a) || a.seed - b.seed)
+    .map((row, i) => ({ ...row, rank: i + 1 }));
+}
+
+// ===== Rounds =====
+async function startPairingGame(t, pairing, swapSeats = false) {
+  const [first, second] = swapSeats
+    ? [pairing.second, pairing.first]
+    : [pairing.first, pairing.second];
+  const game = await createGame({
+    ...t.settings,
+    mode: "online",
+    // Tournament games count, so they cannot be called off
+    abortMoveLimit: 0,
+    userId: first,
+    seat: "first",
+    opponentId: second,
+    tournamentId: t.id,
+  });
+  pairing.games.push(game.gameId);
+}
+
+async function pairNextRound(t) {
+  let pairings;
+  if (t.format === "round_robin") {
+    pairings = roundRobinPairings(seeded(t), t.rounds.length);
+  } else if (t.format === "swiss") {
+    pairings = swissPairings(computeStandings(t.players, t.rounds), t.rounds);
+  } else {
+    pairings = eliminationPairings(t.bracket);
+  }
+
+  const round = {
+    number: t.rounds.length + 1,
+    pairings: pairings.map((p) => ({
+      first: p.first,
+      second: p.second,
+      bracket: p.bracket || null,
+      games: [],
+      // A bye is a win for the player who sits out
+      result: p.second === null ? "first" : null,
+    })),
+  };
+  t.rounds.push(round);
+  for (const pairing of round.pairings) {
+    if (pairing.second !== null) await startPairingGame(t, pairing);
+  }
+}
+
+function finish(t, winnerId) {
+  t.status = "finished";
+  t.winnerId = winnerId;
+  t.finishedAt = Date.now();
+}
+
+// Closes a round whose pairings are all decided; true when the tournament
+// goes on
+function closeRound(t) {
+  const round = t.rounds[t.rounds.length - 1];
+  if (isElimination(t)) {
+    const { bracket, eliminated } = advanceBracket(
+      t.bracket,
+      round.pairings,
+      winnerOf,
+    );
+    t.bracket = bracket;
+    for (const p of t.players) {
+      if (eliminated.includes(p.userId)) p.eliminatedInRound = round.number;
+    }
+    const champion = bracketChampion(bracket);
+    if (champion) finish(t, champion);
+    return !champion;
+  }
+
+  if (t.rounds.length < t.totalRounds) return true;
+  finish(t, computeStandings(t.players, t.rounds)[0].userId);
+  return false;
+}
+
+/**
+ * Records the results of finished games of the current round and pairs the
+ * next round once all are in. Returns whether anything changed.
+ */
+async function advance(t) {
+  if (t.status !== "running") return false;
+  let changed = false;
+  for (;;) {
+    const round = t.rounds[t.rounds.length - 1];
+    for (const pairing of round.pairings) {
+      if (pairing.result) continue;
+      const game = await getGameDTO(pairing.games[pairing.games.length - 1]);
+      if (!ENDED.includes(game.status)) continue;
+
+      // Seats swap on replays, so map the winning color back to the player
+      const swapped = pairing.games.length % 2 === 0;
+      const winner = game.winner
+        ? game.seats[game.colors.first === game.winner ? "first" : "second"]
+        : null;
+      if (!winner && isElimination(t)) {
+        await startPairingGame(t, pairing, !swapped);
+      } else {
+        pairing.result = !winner
+          ? "draw"
+          : winner === pairing.first
+            ? "first"
+            : "second";
+      }
+      changed = true;
+    }
+
+    if (round.pairings.some((p) => !p.result)) return changed;
+    changed = true;
+    if (!closeRound(t)) return changed;
+    await pairNextRound(t);
+  }
+}
+
+async function requireTournament(tournamentId) {
+  const t = await loadTournament(tournamentId);
+  if (!t) throw tournamentError("NOT_FOUND", "Tournament not found");
+  return t;
+}
+
+// Loads a tournament under its lock and brings it up to date: started once
+// registration has closed, results of finished games recorded. Then runs
+// `fn`, if given, and saves what it changed.
+function updateTournament(tournamentId, fn = null) {
+  return withLock(tournamentId, async () => {
+    const t = await requireTournament(tournamentId);
+    let changed = false;
+    if (t.status === "registration" && Date.now() >= t.registration.closesAt) {
+      await start(t);
+      changed = true;
+    }
+    if (await advance(t)) changed = true;
+    // Saved on its own so a failing `fn` does not lose the games just created
+    if (changed) await saveTournament(t);
+    if (fn) {
+      await fn(t);
+      await saveTournament(t);
+    }
+    if (changed || fn || !startTimers.has(t.id)) scheduleStart(t);
+    return t;
+  });
+}
+
+async function start(t) {
+  t.startedAt = Date.now();
+  if (t.players.length < 2) {
+    t.status = "cancelled";
+    t.finishedAt = t.startedAt;
+    return;
+  }
+
+  // Seeds by rating in the tournament's category, then registration order
+  const category = {
+    ruleSet: t.settings.ruleSet,
+    speed: speedOf(t.settings.timeControl),
+  };
+  for (const p of t.players) {
+    p.rating = (await getRating(p.userId, category)).rating;
+  }
+  t.players
+    .sort((a, b) => b.rating - a.rating || a.registeredAt - b.registeredAt)
+    .forEach((p, i) => {
+      p.seed = i + 1;
+      p.eliminatedInRound = null;
+    });
+
+  t.status = "running";
+  if (t.format === "swiss") {
+    t.totalRounds = Math.min(
+      t.totalRounds ?? swissRounds(t.players.length),
+      t.players.length - 1,
+    );
+  } else if (t.format === "round_robin") {
+    t.totalRounds = roundRobinRounds(t.players.length);
+  }
+  if (isElimination(t)) {
+    t.bracket = startBracket(seeded(t), LIVES[t.format]);
+  }
+  await pairNextRound(t);
+}
+
+// Finished tournament games move their tournament on
+gameEvents.on("update", (dto) => {
+  if (!dto.tournamentId || !ENDED.includes(dto.status)) return;
+  updateTournament(dto.tournamentId).catch((err) => {
+    console.error("Tournament update failed:", err);
+  });
+});
+
+// ===== Service API =====
+/**
+ * Creates a tournament open for registration.
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} params.format - one of FORMATS
+ * @param {Object} params.settings - game settings (readGameSettings)
+ * @param {number} params.opensAt - registration window, ms since epoch
+ * @param {number} params.closesAt
+ * @param {number|null} [params.maxPlayers]
+ * @param {number|null} [params.totalRounds] - Swiss only
+ * @param {string} params.createdBy
+ */
+async function createTournament({
+  name,
+  format,
+  settings,
+  opensAt,
+  closesAt,
+  maxPlayers = null,
+  totalRounds = null,
+  createdBy,
+}) {
+  const t = {
+    id: randomUUID(),
+    name,
+    format,
+    settings: { ...settings, mode: "online", ai: null },
+    totalRounds: format === "swiss" ? totalRounds : null,
+    registration: { opensAt, closesAt },
+    maxPlayers,
+    status: "registration",
+    players: [],
+    rounds: [],
+    bracket: null,
+    winnerId: null,
+    createdBy,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    version: 0,
+  };
+  await saveTournament(t);
+  scheduleStart(t);
+  return toTournamentDTO(t);
+}
+
+/**
+ * Arms the start timers of the tournaments still open for registration;
+ * called once on startup.
+ */
+async function scheduleTournamentStarts() {
+  const open = isUsingMongoDB()
+    ? (await TournamentModel.find({ status: "registration" }).lean()).map(
+        ({ _id, ...rest }) => ({ id: _id, ...rest }),
+      )
+    : tournamentDb
+        .getAllTournaments()
+        .filter((t) => t.status === "registration");
+  for (const t of open) scheduleStart(t);
+}
+
+async function getTournament(tournamentId) {
+  return toTournamentDTO(await updateTournament(tournamentId));
+}
+
+async function getStandings(tournamentId) {
+  const t = await updateTournament(tournamentId);
+  return {
+    tournamentId: t.id,
+    format: t.format,
+    status: t.status,
+    round: t.rounds.length,
+    winnerId: t.winnerId,
+    standings: standingsOf(t),
+  };
+}
+
+/**
+ * Tournaments newest first, optionally only those with one of `status`.
+ */
+async function listTournaments({ status = [], limit = 20, offset = 0 } = {}) {
+  const query = status.length ? { status: { $in: status } } : {};
+  const all = isUsingMongoDB()
+    ? (
+        await TournamentModel.find(query)
+          .sort({ createdAt: -1 })
+          .skip(offset)
+          .limit(limit)
+          .lean()
+      ).map(({ _id, ...rest }) => ({ id: _id, ...rest }))
+    : tournamentDb
+        .getAllTournaments()
+        .filter((t) => !status.length || status.includes(t.status))
+        .slice(offset, offset + limit);
+  return all.map(toSummary);
+}
+
+function requireRegistration(t, now) {
+  if (t.status !== "registration") {
+    throw tournamentError("INVALID_STATE", `Tournament is ${t.status}`);
+  }
+  if (now < t.registration.opensAt) {
+    throw tournamentError(
+      "REGISTRATION_CLOSED",
+      "Registration is not open yet",
+    );
+  }
+}
+
+async function register({ tournamentId, userId }) {
+  const t = await updateTournament(tournamentId, (t) => {
+    const now = Date.now();
+    requireRegistration(t, now);
+    if (t.players.some((p) => p.userId === userId)) {
+      throw tournamentError("ALREADY_REGISTERED", "You are already registered");
+    }
+    if (t.maxPlayers !== null && t.players.length >= t.maxPlayers) {
+      throw tournamentError("TOURNAMENT_FULL", "The tournament is full");
+    }
+    t.players.push({
+      userId,
+      seed: null,
+      rating: null,
+      registeredAt: now,
+      eliminatedInRound: null,
+    });
+  });
+  return toTournamentDTO(t);
+}
+
+async function withdraw({ tournamentId, userId }) {
+  const t = await updateTournament(tournamentId, (t) => {
+    requireRegistration(t, Date.now());
+    const before = t.players.length;
+    t.players = t.players.filter((p) => p.userId !== userId);
+    if (t.players.length === before) {
+      throw tournamentError("NOT_REGISTERED", "You are not registered");
+    }
+  });
+  return toTournamentDTO(t);
+}
+
+/**
+ * Closes registration now and pairs the first round.
+ */
+async function startTournament(tournamentId) {
+  const t = await updateTournament(tournamentId, async (t) => {
+    if (t.status !== "registration") {
+      throw tournamentError("INVALID_STATE", `Tournament is ${t.status}`);
+    }
+    t.registration.closesAt = Date.now();
+    await start(t);
+  });
+  return toTournamentDTO(t);
+}
+
+/**
+ * Calls off a tournament that has not finished; games already being played
+ * go on but no longer count for it.
+ */
+async function cancelTournament(tournamentId) {
+  const t = await updateTournament(tournamentId, (t) => {
+    if (!["registration", "running"].includes(t.status)) {
+      throw tournamentError("INVALID_STATE", `Tournament is ${t.status}`);
+    }
+    t.status = "cancelled";
+    t.finishedAt = Date.now();
+  });
+  return toTournamentDTO(t);
+}
+
+export {
+  FORMATS,
+  TOURNAMENT_STATUSES,
+  createTournament,
+  getTournament,
+  getStandings,
+  listTournaments,
+  register,
+  withdraw,
+  startTournament,
+  cancelTournament,
+  scheduleTournamentStarts,
+};
@@ -1,12 +1,211 @@
 let rooms = {};
 
 import validateMove from "../utils/validateMove.js";
+import jwtService from "../services/jwt.service.js";
+import UserModel from "../models/user.model.js";
+import userDb from "../models/userdb.js";
+import { isUsingMongoDB } from "../config/database.js";
+import {
+  checkWin,
+  getGameDTO,
+  gameEvents,
+  resign,
+  offerDraw,
+  respondToDraw,
+  abort,
+  offerRematch,
+  respondToRematch,
+  requestTakeback,
+  respondToTakeback,
+  RULE_SETS,
+} from "../services/game.service.js";
+import { challengeEvents } from "../services/challenge.service.js";
+import {
+  matchEvents,
+  joinQueue,
+  leaveQueue,
+  findMatches,
+} from "../services/matchmaking.service.js";
+import { validateTimeControl } from "../utils/gameClock.js";
 
 let boards = {};
 
 export function setupSocket(io) {
+  // Push every change to a REST game (moves, clocks, results) to its room
+  gameEvents.on("update", (dto) => {
+    io.to(`game:${dto.gameId}`).emit("game:update", dto);
+  });
+
+  // Everyone in a finished game's room follows it into its rematch
+  gameEvents.on("rematch", ({ previousGameId, game }) => {
+    const room = `game:${game.gameId}`;
+    io.in(`game:${previousGameId}`).socketsJoin(room);
+    io.to(room).emit("game:rematch", {
+      previousGameId,
+      gameId: game.gameId,
+      room,
+      game,
+    });
+  });
+
+  // Challenges reach the challenger and the challenged user
+  challengeEvents.on("update", (dto) => {
+    for (const userId of [dto.challengerId, dto.opponentId]) {
+      if (userId) io.to(`user:${userId}`).emit("challenge:update", dto);
+    }
+  });
+
+  // Matched players are moved into their game's room by the server
+  matchEvents.on("match", ({ game, players }) => {
+    const room = `game:${game.gameId}`;
+    for (const { userId, socketId } of players) {
+      const seat = game.seats.first === userId ? "first" : "second";
+      io.sockets.sockets.get(socketId)?.join(room);
+      io.to(socketId).emit("match:found", {
+        gameId: game.gameId,
+        room,
+        seat,
+        color: game.colors[seat],
+        game,
+      });
+    }
+  });
+
+  // Sockets may connect without a token to watch games; a token given in
+  // the handshake must be valid and binds the socket to its user, whose
+  // seats the game actions are checked against. Like the HTTP middleware,
+  // inactive and locked accounts are turned away.
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (!token) return next();
+    let decoded;
+    try {
+      decoded = jwtService.verifyAccessToken(token);
+    } catch {
+      return next(new Error("Invalid access token"));
+    }
+    try {
+      const user = isUsingMongoDB()
+        ? await UserModel.findById(decoded.userId)
+        : await userDb.findUserByEmail(decoded.email);
+      if (!user || !user.isActive) {
+        return next(new Error("User not found or inactive"));
+      }
+      const isLocked = isUsingMongoDB()
+        ? user.isLocked
+        : userDb.isAccountLocked(user);
+      if (isLocked) return next(new Error("Account is locked"));
+      socket.data.userId = String(user.id || user._id);
+      next();
+    } catch (err) {
+      console.error("Socket auth error:", err.message);
+      next(new Error("Authentication failed"));
+    }
+  });
+
   io.on("connection", (socket) => {
     console.log("🔌 Player connected:", socket.id);
+    if (socket.data.userId) socket.join(`user:${socket.data.userId}`);
+
+    socket.on("game:join", async (gameId) => {
+      try {
+        const dto = await getGameDTO(gameId);
+        socket.join(`game:${gameId}`);
+        socket.emit("game:update", dto);
+      } catch (err) {
+        socket.emit("game:error", { gameId, error: err.code || "INTERNAL" });
+      }
+    });
+
+    // In-game actions; the new state reaches the room through "game:update"
+    const gameActions = {
+      "game:resign": resign,
+      "game:draw-offer": offerDraw,
+      "game:draw-accept": (p) => respondToDraw({ ...p, accept: true }),
+      "game:draw-decline": (p) => respondToDraw({ ...p, accept: false }),
+      "game:abort": abort,
+      "game:rematch-offer": offerRematch,
+      "game:rematch-accept": (p) => respondToRematch({ ...p, accept: true }),
+      "game:rematch-decline": (p) => respondToRematch({ ...p, accept: false }),
+      "game:takeback-request": requestTakeback,
+      "game:takeback-accept": (p) => respondToTakeback({ ...p, accept: true }),
+      "game:takeback-decline": (p) =>
+        respondToTakeback({ ...p, accept: false }),
+    };
+    // Actions taken for the seat rather than for a color
+    const seatActions = [
+      "game:abort",
+      "game:rematch-offer",
+      "game:rematch-accept",
+      "game:rematch-decline",
+    ];
+    for (const [event, action] of Object.entries(gameActions)) {
+      socket.on(event, async ({ gameId, player } = {}) => {
+        try {
+          if (!seatActions.includes(event) && !["B", "W"].includes(player)) {
+            const e = new Error("player must be 'B' or 'W'");
+            e.code = "INVALID_PLAYER";
+            throw e;
+          }
+          await action({ gameId, player, userId: socket.data.userId });
+        } catch (err) {
+          socket.emit("game:error", {
+            gameId,
+            event,
+            error: err.code || "INTERNAL",
+            message: err.message,
+          });
+        }
+      });
+    }
+
+    // Matchmaking queue; "match:found" names the game room to play in
+    socket.on(
+      "queue:join",
+      async ({ ruleSet = "freestyle", timeControl = null } = {}) => {
+        try {
+          if (!socket.data.userId) {
+            const e = new Error("Sign in to play rated games");
+            e.code = "UNAUTHORIZED";
+            throw e;
+          }
+          if (!RULE_SETS.includes(ruleSet)) {
+            const e = new Error(
+              `ruleSet must be one of: ${RULE_SETS.join(", ")}`,
+            );
+            e.code = "INVALID_RULE_SET";
+            throw e;
+          }
+          const timeControlError =
+            timeControl !== null && validateTimeControl(timeControl);
+          if (timeControlError) {
+            const e = new Error(timeControlError);
+            e.code = "INVALID_TIME_CONTROL";
+            throw e;
+          }
+          const entry = await joinQueue({
+            userId: socket.data.userId,
+            socketId: socket.id,
+            ruleSet,
+            timeControl,
+          });
+          socket.emit("queue:joined", entry);
+          // Pair right away when an opponent is already waiting
+          await findMatches();
+        } catch (err) {
+          socket.emit("queue:error", {
+            error: err.code || "INTERNAL",
+            message: err.message,
+          });
+        }
+      },
+    );
+
+    socket.on("queue:leave", () => {
+      if (socket.data.userId && leaveQueue(socket.data.userId, socket.id)) {
+        socket.emit("queue:left");
+      }
+    });
 
     socket.on("join", (roomId) => {
       socket.join(roomId);
@@ -46,12 +245,27 @@ export function setupSocket(io) {
         currentPlayer,
         lastPlayer,
       });
-      socket.emit("moveResult", result);
-      if (result.valid) {
-        board[row][col] = playerColor;
-
-        socket.to(roomId).emit("move", { row, col, by: playerColor });
+      if (!result.valid) {
+        socket.emit("moveResult", result);
+        return;
       }
+
+      board[row][col] = playerColor;
+      const { winner, line } = checkWin(board, {
+        x: col,
+        y: row,
+        player: playerColor,
+        winLength: 5,
+        allowOverlines: true,
+      });
+      const winningLine = line
+        ? line.map(({ x, y }) => ({ row: y, col: x }))
+        : null;
+
+      socket.emit("moveResult", { ...result, winner, winningLine });
+      socket
+        .to(roomId)
+        .emit("move", { row, col, by: playerColor, winner, winningLine });
     });
 
     socket.on("attack", ({ roomId, damage, attacker }) => {
@@ -60,6 +274,7 @@ export function setupSocket(io) {
 
     socket.on("disconnect", () => {
       console.log("🔌 Player disconnected:", socket.id);
+      if (socket.data.userId) leaveQueue(socket.data.userId, socket.id);
       for (const roomId in rooms) {
         rooms[roomId].players = rooms[roomId].players.filter(
           (p) => p !== socket.id,
@@ -0,0 +1,210 @@
+/**
+ * Compact game board: one byte per cell in a Uint8Array, row-major
+ * (index = y * size + x), with a running stone count.
+ *
+ * Stones are placed and removed in place, so a move costs O(1), the full
+ * board check is O(1) and a win check only walks the lines through the new
+ * stone, O(winLength) per direction. APIs and DTOs keep using the 2D
+ * "B" | "W" | null rows, which toRows() and fromRows() convert from and to.
+ *
+ * The board also keeps the Zobrist hash of the position under each of the 8
+ * board symmetries, updated with every stone. positionKey() identifies the
+ * exact position; canonicalKey(), the smallest of the 8, is the same for all
+ * rotations and reflections of it. Keys do not include the side to move,
+ * which follows from the stone counts.
+ */
+
+import { DIRS } from "./lines.js";
+import {
+  SYMMETRIES,
+  INVERSE_SYMMETRIES,
+  stoneKey,
+  sizeKey,
+  toHex,
+} from "./zobrist.js";
+
+const EMPTY = 0;
+const CODES = { B: 1, W: 2 };
+const PLAYERS = [null, "B", "W"];
+
+class Board {
+  /**
+   * @param {number} size
+   * @param {Uint8Array} [cells] - taken over, not copied
+   */
+  constructor(size, cells = new Uint8Array(size * size)) {
+    this.size = size;
+    this.cells = cells;
+    this.stones = 0;
+    this.hashes = new BigUint64Array(SYMMETRIES.length).fill(sizeKey(size));
+    cells.forEach((c, i) => {
+      if (c === EMPTY) return;
+      this.stones++;
+      this.toggleKeys(i % size, Math.floor(i / size), PLAYERS[c]);
+    });
+  }
+
+  static fromRows(rows) {
+    const board = new Board(rows.length);
+    rows.forEach((row, y) =>
+      row.forEach((player, x) => {
+        if (player !== null) board.place(x, y, player);
+      }),
+    );
+    return board;
+  }
+
+  toRows() {
+    return Array.from({ length: this.size }, (_, y) =>
+      Array.from({ length: this.size }, (_, x) => this.at(x, y)),
+    );
+  }
+
+  clone() {
+    const board = Object.create(Board.prototype);
+    board.size = this.size;
+    board.cells = this.cells.slice();
+    board.stones = this.stones;
+    board.hashes = this.hashes.slice();
+    return board;
+  }
+
+  inside(x, y) {
+    return x >= 0 && y >= 0 && x < this.size && y < this.size;
+  }
+
+  /** "B", "W" or null */
+  at(x, y) {
+    return PLAYERS[this.cells[y * this.size + x]];
+  }
+
+  isEmpty(x, y) {
+    return this.cells[y * this.size + x] === EMPTY;
+  }
+
+  place(x, y, player) {
+    const i = y * this.size + x;
+    if (this.cells[i] !== EMPTY) throw new Error("OCCUPIED");
+    this.cells[i] = CODES[player];
+    this.stones++;
+    this.toggleKeys(x, y, player);
+  }
+
+  remove(x, y) {
+    const i = y * this.size + x;
+    if (this.cells[i] === EMPTY) return;
+    this.toggleKeys(x, y, PLAYERS[this.cells[i]]);
+    this.cells[i] = EMPTY;
+    this.stones--;
+  }
+
+  // XORs the stone in or out of the hash under every symmetry
+  toggleKeys(x, y, player) {
+    SYMMETRIES.forEach((transform, s) => {
+      const [tx, ty] = transform(x, y, this.size);
+      this.hashes[s] ^= stoneKey(tx, ty, player);
+    });
+  }
+
+  /** Zobrist hash of this exact position, as 16 hex digits */
+  positionKey() {
+    return toHex(this.hashes[0]);
+  }
+
+  /** Hash shared by all rotations and reflections of the position */
+  canonicalKey() {
+    return toHex(this.minHash());
+  }
+
+  minHash() {
+    return this.hashes.reduce((min, h) => (h < min ? h : min));
+  }
+
+  // Symmetries that turn the position into its canonical form; more than
+  // one when the position is symmetric itself
+  canonicalSymmetries() {
+    const min = this.minHash();
+    return SYMMETRIES.map((_, s) => s).filter((s) => this.hashes[s] === min);
+  }
+
+  /**
+   * Maps a point into the frame of canonicalKey(). Points that the
+   * position's own symmetries make equivalent map to the same point.
+   * @returns {{ x: number, y: number }}
+   */
+  toCanonical(x, y) {
+    let best = null;
+    for (const s of this.canonicalSymmetries()) {
+      const [tx, ty] = SYMMETRIES[s](x, y, this.size);
+      if (!best || ty * this.size + tx < best.y * this.size + best.x) {
+        best = { x: tx, y: ty };
+      }
+    }
+    return best;
+  }
+
+  /** Maps a canonical-frame point back onto this board */
+  fromCanonical(x, y) {
+    const [s] = this.canonicalSymmetries();
+    const [tx, ty] = SYMMETRIES[INVERSE_SYMMETRIES[s]](x, y, this.size);
+    return { x: tx, y: ty };
+  }
+
+  isFull() {
+    return this.stones === this.size * this.size;
+  }
+
+  // Consecutive stones of `player` from (x, y) along (dx, dy), (x, y) excluded
+  countDir(x, y, dx, dy, player) {
+    const code = CODES[player];
+    let n = 0;
+    let cx = x + dx;
+    let cy = y + dy;
+    while (this.inside(cx, cy) && this.cells[cy * this.size + cx] === code) {
+      n++;
+      cx += dx;
+      cy += dy;
+    }
+    return n;
+  }
+
+  /**
+   * Checks whether the stone at (x, y) completes a winning run. Same options
+   * and result as checkWin in lines.js.
+   * @returns {{ winner: "B"|"W"|null, line: Array<{x, y}>|null }}
+   */
+  checkWin(
+    x,
+    y,
+    player,
+    { winLength, allowOverlines, requireOpenEnd = false },
+  ) {
+    for (const [dx, dy] of DIRS) {
+      const back = this.countDir(x, y, -dx, -dy, player);
+      const fwd = this.countDir(x, y, dx, dy, player);
+      const total = 1 + back + fwd;
+      if (allowOverlines ? total < winLength : total !== winLength) continue;
+      // Caro: a run with opponent stones right past both of its ends is blocked
+      if (requireOpenEnd) {
+        const isOpponent = (cx, cy) =>
+          this.inside(cx, cy) &&
+          !this.isEmpty(cx, cy) &&
+          this.at(cx, cy) !== player;
+        if (
+          isOpponent(x - (back + 1) * dx, y - (back + 1) * dy) &&
+          isOpponent(x + (fwd + 1) * dx, y + (fwd + 1) * dy)
+        ) {
+          continue;
+        }
+      }
+      const line = [];
+      for (let i = -back; i <= fwd; i++) {
+        line.push({ x: x + i * dx, y: y + i * dy });
+      }
+      return { winner: player, line };
+    }
+    return { winner: null, line: null };
+  }
+}
+
+export { Board };
@@ -0,0 +1,30 @@
+/**
+ * Worker thread entry for the engines; services/engine.service.js starts
+ * it and sends it one task at a time: { id, task, args } in,
+ * { id, result } or { id, error } out.
+ *
+ * Functions do not cross threads, so tasks carry the game config and the
+ * rule callbacks are rebuilt here (utils/rules/engine.js).
+ */
+
+import { parentPort } from "node:worker_threads";
+import { chooseMove } from "./gomokuAi.js";
+import { analyzePosition, proveMove } from "./threats.js";
+import { engineRules } from "./rules/engine.js";
+
+const TASKS = {
+  chooseMove: ({ board, player, config, options }) =>
+    chooseMove(board, player, engineRules(config), options),
+  analyzePosition: ({ board, config, limits }) =>
+    analyzePosition(board, engineRules(config), limits),
+  proveMove: ({ board, player, move, config, claim, limits }) =>
+    proveMove(board, player, move, engineRules(config), claim, limits),
+};
+
+parentPort.on("message", ({ id, task, args }) => {
+  try {
+    parentPort.postMessage({ id, result: TASKS[task](args) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -0,0 +1,147 @@
+/**
+ * Game clock helpers. All times are in milliseconds.
+ *
+ * Supported time controls:
+ * - { type: "sudden", initialMs }
+ * - { type: "fischer", initialMs, incrementMs }
+ * - { type: "byoyomi", initialMs, periods, periodMs }
+ *
+ * The clock stores each player's time as of the start of the current turn;
+ * the running player's elapsed time is only charged when they move.
+ */
+
+const TIME_CONTROL_TYPES = ["sudden", "fischer", "byoyomi"];
+
+/**
+ * Validates a time control from a request body.
+ * @param {Object} tc
+ * @returns {string|null} an error message, or null when valid
+ */
+function validateTimeControl(tc) {
+  const isInt = (n) => Number.isInteger(n);
+  if (!tc || typeof tc !== "object") return "timeControl must be an object";
+  if (!TIME_CONTROL_TYPES.includes(tc.type))
+    return `type must be one of: ${TIME_CONTROL_TYPES.join(", ")}`;
+  if (!isInt(tc.initialMs) || tc.initialMs < 0)
+    return "initialMs must be an integer >= 0";
+  if (tc.type !== "byoyomi" && tc.initialMs === 0)
+    return "initialMs must be > 0";
+  if (tc.type === "fischer" && (!isInt(tc.incrementMs) || tc.incrementMs < 0))
+    return "incrementMs must be an integer >= 0";
+  if (tc.type === "byoyomi") {
+    if (!isInt(tc.periods) || tc.periods < 1)
+      return "periods must be an integer >= 1";
+    if (!isInt(tc.periodMs) || tc.periodMs < 1000)
+      return "periodMs must be an integer >= 1000";
+  }
+  return null;
+}
+
+function createClock(tc) {
+  const timeControl =
+    tc.type === "fischer"
+      ? { type: tc.type, initialMs: tc.initialMs, incrementMs: tc.incrementMs }
+      : tc.type === "byoyomi"
+        ? {
+            type: tc.type,
+            initialMs: tc.initialMs,
+            periods: tc.periods,
+            periodMs: tc.periodMs,
+          }
+        : { type: tc.type, initialMs: tc.initialMs };
+  const periods = tc.type === "byoyomi" ? tc.periods : 0;
+  return {
+    timeControl,
+    remaining: { B: tc.initialMs, W: tc.initialMs },
+    periods: { B: periods, W: periods },
+    running: null,
+    turnStartedAt: null,
+  };
+}
+
+// Total time the player may still use this turn, byo-yomi periods included
+function budget(clock, player) {
+  const { type, periodMs } = clock.timeControl;
+  const extra = type === "byoyomi" ? clock.periods[player] * periodMs : 0;
+  return clock.remaining[player] + extra;
+}
+
+/**
+ * Timestamp at which the running player's flag falls, or null when stopped.
+ */
+function flagDeadline(clock) {
+  if (clock.running === null) return null;
+  return clock.turnStartedAt + budget(clock, clock.running);
+}
+
+/**
+ * Charges the running player for the time spent on this turn and stops the
+ * clock. Returns true when the player ran out of time.
+ */
+function stopClock(clock, now) {
+  const player = clock.running;
+  if (player === null) return false;
+  const elapsed = now - clock.turnStartedAt;
+  const { type, incrementMs, periodMs } = clock.timeControl;
+  clock.running = null;
+  clock.turnStartedAt = null;
+
+  if (elapsed >= budget(clock, player)) {
+    clock.remaining[player] = 0;
+    clock.periods[player] = 0;
+    return true;
+  }
+  if (type === "byoyomi" && elapsed > clock.remaining[player]) {
+    // A period is only lost when it runs out completely
+    const over = elapsed - clock.remaining[player];
+    clock.remaining[player] = 0;
+    clock.periods[player] -= Math.floor(over / periodMs);
+  } else {
+    clock.remaining[player] -= elapsed;
+    if (type === "fischer") clock.remaining[player] += incrementMs;
+  }
+  return false;
+}
+
+function startClock(clock, player, now) {
+  clock.running = player;
+  clock.turnStartedAt = now;
+}
+
+/**
+ * Clock state as of `now`, for the DTO and socket events. In byo-yomi,
+ * remainingMs is the time left in the current period once main time is over.
+ */
+function clockView(clock, now) {
+  const { type, periodMs } = clock.timeControl;
+  const view = (player) => {
+    let remainingMs = clock.remaining[player];
+    let periods = clock.periods[player];
+    const elapsed = clock.running === player ? now - clock.turnStartedAt : 0;
+    if (type === "byoyomi" && elapsed >= remainingMs && periods > 0) {
+      const over = elapsed - remainingMs;
+      periods = Math.max(0, periods - Math.floor(over / periodMs));
+      remainingMs = periods > 0 ? periodMs - (over % periodMs) : 0;
+      return { remainingMs, periods, inByoyomi: true };
+    }
+    remainingMs = Math.max(0, remainingMs - elapsed);
+    return { remainingMs, periods, inByoyomi: false };
+  };
+  return {
+    timeControl: clock.timeControl,
+    B: view("B"),
+    W: view("W"),
+    running: clock.running,
+    serverTime: now,
+  };
+}
+
+export {
+  TIME_CONTROL_TYPES,
+  validateTimeControl,
+  createClock,
+  flagDeadline,
+  stopClock,
+  startClock,
+  clockView,
+};
@@ -0,0 +1,92 @@
+/**
+ * Text notations understood by common Gomoku tools.
+ *
+ * - algebraic: space separated coordinates such as "h8 i9 j10". Columns are
+ *   letters from "a" on the left, rows are numbered from 1 at the bottom.
+ * - renlib: the same coordinates without separators ("h8i9j10"), the form
+ *   RenLib copies and pastes move lists in.
+ * - psq: Piskvork's format, a "Piskvorky WxH, ..." header followed by one
+ *   "x,y,ms" line per move with 1-based coordinates and thinking time.
+ */
+
+const NOTATION_FORMATS = ["algebraic", "psq", "renlib"];
+
+const parseError = (message) => {
+  const e = new Error(message);
+  e.code = "PARSE_ERROR";
+  return e;
+};
+
+const toCoord = ({ x, y }, size) => `${String.fromCharCode(97 + x)}${size - y}`;
+
+function fromCoord(token, size) {
+  const x = token.toLowerCase().charCodeAt(0) - 97;
+  const y = size - Number(token.slice(1));
+  return { x, y };
+}
+
+/**
+ * Serializes a game's moves.
+ * @param {{ size: number, moves: Array, createdAt: number }} game
+ * @param {"algebraic"|"psq"|"renlib"} format
+ * @returns {string}
+ */
+function formatMoves({ size, moves, createdAt }, format) {
+  if (format === "algebraic") {
+    return moves.map((m) => toCoord(m, size)).join(" ");
+  }
+  if (format === "renlib") {
+    return moves.map((m) => toCoord(m, size)).join("");
+  }
+  const lines = [`Piskvorky ${size}x${size}, 11:11, 0`];
+  let prevTs = createdAt;
+  for (const m of moves) {
+    lines.push(`${m.x + 1},${m.y + 1},${Math.max(0, m.ts - prevTs)}`);
+    prevTs = m.ts;
+  }
+  lines.push("-1");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Parses a move list. Coordinates are not range checked here; replaying the
+ * moves through the game rules reports those errors with the move number.
+ * @param {string} text
+ * @param {"algebraic"|"psq"|"renlib"} format
+ * @param {number} [size=15] - board size for formats that do not carry one
+ * @returns {{ size: number, moves: Array<{ x: number, y: number, timeMs?: number }> }}
+ */
+function parseMoves(text, format, size = 15) {
+  if (typeof text !== "string" || text.trim() === "") {
+    throw parseError("content is empty");
+  }
+
+  if (format === "algebraic" || format === "renlib") {
+    // Move numbers ("1.") and other separators are skipped
+    const tokens = text.match(/[a-z]\d{1,2}/gi) || [];
+    if (tokens.length === 0) throw parseError("No moves found");
+    return { size, moves: tokens.map((t) => fromCoord(t, size)) };
+  }
+
+  const lines = text.split(/\r?\n/).map((l) => l.trim());
+  const header = /^Piskvorky\s+(\d+)x(\d+)/i.exec(lines[0]);
+  if (!header) throw parseError("Missing 'Piskvorky WxH' header");
+  const [width, height] = [Number(header[1]), Number(header[2])];
+  if (width !== height) throw parseError("Only square boards are supported");
+
+  const moves = [];
+  // The move list ends at the first line that is not "x,y[,ms]"
+  for (const line of lines.slice(1)) {
+    const m = /^(\d+),\s*(\d+)(?:,\s*(\d+))?$/.exec(line);
+    if (!m) break;
+    moves.push({
+      x: Number(m[1]) - 1,
+      y: Number(m[2]) - 1,
+      timeMs: m[3] === undefined ? 0 : Number(m[3]),
+    });
+  }
+  if (moves.length === 0) throw parseError("No moves found");
+  return { size: width, moves };
+}
+
+export { NOTATION_FORMATS, formatMoves, parseMoves, toCoord };
@@ -0,0 +1,106 @@
+/**
+ * Glicko-2 rating updates (Glickman, "Example of the Glicko-2 system").
+ *
+ * Ratings are { rating, rd, volatility } on the Glicko scale (1500 / 350).
+ * The service rates every game on its own, as a rating period with a single
+ * result, and stretches the deviation of players who sat out whole periods
+ * with inflate() first.
+ */
+
+const SCALE = 173.7178;
+// Constrains how fast volatility changes; Glickman suggests 0.3 to 1.2
+const TAU = 0.5;
+const EPSILON = 0.000001;
+
+const DEFAULT_RATING = { rating: 1500, rd: 350, volatility: 0.06 };
+const MAX_RD = DEFAULT_RATING.rd;
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+const expectedScore = (mu, muJ, phiJ) =>
+  1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+
+/**
+ * Deviation after `periods` rating periods without games, capped at the
+ * deviation of a new player.
+ */
+function inflate({ rating, rd, volatility }, periods) {
+  if (periods <= 0) return { rating, rd, volatility };
+  const phi = rd / SCALE;
+  const grown = Math.sqrt(phi * phi + periods * volatility * volatility);
+  return { rating, rd: Math.min(MAX_RD, grown * SCALE), volatility };
+}
+
+// Step 5: the new volatility, by the Illinois algorithm
+function newVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (
+      (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) -
+      (x - a) / (TAU * TAU)
+    );
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rates a player over one rating period.
+ * @param {{ rating: number, rd: number, volatility: number }} player
+ * @param {Array<{ rating: number, rd: number, score: number }>} results -
+ *   opponents as they were before the period; score 1, 0.5 or 0
+ * @returns {{ rating: number, rd: number, volatility: number }}
+ */
+function rate(player, results) {
+  if (results.length === 0) return inflate(player, 1);
+
+  const mu = (player.rating - 1500) / SCALE;
+  const phi = player.rd / SCALE;
+  const opponents = results.map((r) => {
+    const muJ = (r.rating - 1500) / SCALE;
+    const phiJ = r.rd / SCALE;
+    return { gJ: g(phiJ), E: expectedScore(mu, muJ, phiJ), score: r.score };
+  });
+
+  const v =
+    1 / opponents.reduce((sum, o) => sum + o.gJ * o.gJ * o.E * (1 - o.E), 0);
+  const sum = opponents.reduce((s, o) => s + o.gJ * (o.score - o.E), 0);
+  const delta = v * sum;
+
+  const sigma = newVolatility(phi, player.volatility, delta, v);
+  const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+  const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muNew = mu + phiNew * phiNew * sum;
+
+  return {
+    rating: muNew * SCALE + 1500,
+    rd: Math.min(MAX_RD, phiNew * SCALE),
+    volatility: sigma,
+  };
+}
+
+export { DEFAULT_RATING, inflate, rate };
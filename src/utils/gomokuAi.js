@@ -0,0 +1,264 @@
+/**
+ * Computer opponent for pve games.
+ *
+ * Moves are picked in three steps:
+ * 1. threats: a winning move is always played, and an opponent's winning
+ *    point is blocked before anything else is considered;
+ * 2. candidates: empty cells near stones, ranked by how many of the
+ *    winLength-long windows through them they build up or break;
+ * 3. search: negamax with alpha-beta pruning over the best candidates,
+ *    deepened one ply at a time until the level's depth or time runs out.
+ *    The clock is checked at every node and before every legality check,
+ *    which can be slow (renju), so the search keeps to the level's budget.
+ *
+ * The engine does not know the rule set itself; the caller passes `rules`:
+ * {
+ *   winLength,
+ *   isWin(board, x, y, player)   would a stone at (x, y) win?
+ *   isLegal(board, x, y, player) may the player put a stone there?
+ * }
+ * Both may place and remove stones on the board but must leave it as it was.
+ */
+
+// depth: plies searched, breadth: candidates tried per node,
+// timeMs: search budget, noise: chance to pick a lesser candidate
+const LEVELS = {
+  easy: { depth: 1, breadth: 6, timeMs: 200, noise: 0.4 },
+  medium: { depth: 2, breadth: 10, timeMs: 600, noise: 0 },
+  hard: { depth: 4, breadth: 12, timeMs: 2000, noise: 0 },
+};
+
+const DIFFICULTIES = Object.keys(LEVELS);
+
+const DIRS = [
+  [1, 0],
+  [0, 1],
+  [1, 1],
+  [1, -1],
+];
+
+const WIN_SCORE = 1e9;
+
+const other = (p) => (p === "B" ? "W" : "B");
+
+// Weight of a window holding c stones of one color and none of the other
+const windowWeights = (n) =>
+  Array.from({ length: n + 1 }, (_, c) =>
+    c === 0 ? 0 : c === n ? WIN_SCORE / 1000 : 8 ** (c - 1),
+  );
+
+function candidateCells(board, radius = 2) {
+  const size = board.length;
+  const seen = new Uint8Array(size * size);
+  const cells = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (board[y][x] === null) continue;
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const cx = x + dx;
+          const cy = y + dy;
+          if (cx < 0 || cy < 0 || cx >= size || cy >= size) continue;
+          if (board[cy][cx] !== null || seen[cy * size + cx]) continue;
+          seen[cy * size + cx] = 1;
+          cells.push({ x: cx, y: cy });
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+// Sum of the window weights a stone of `player` at (x, y) would reach
+function cellScore(board, x, y, player, weights) {
+  const size = board.length;
+  const n = weights.length - 1;
+  let score = 0;
+  for (const [dx, dy] of DIRS) {
+    for (let k = 0; k < n; k++) {
+      const sx = x - k * dx;
+      const sy = y - k * dy;
+      const ex = sx + (n - 1) * dx;
+      const ey = sy + (n - 1) * dy;
+      if (sx < 0 || sy < 0 || sx >= size || sy >= size) continue;
+      if (ex < 0 || ey < 0 || ex >= size || ey >= size) continue;
+      let own = 0;
+      let blocked = false;
+      for (let i = 0; i < n; i++) {
+        const c = board[sy + i * dy][sx + i * dx];
+        if (c === player) own++;
+        else if (c !== null) {
+          blocked = true;
+          break;
+        }
+      }
+      if (!blocked) score += weights[own + 1];
+    }
+  }
+  return score;
+}
+
+// Static evaluation from `player`'s point of view
+function evaluate(board, player, weights) {
+  const size = board.length;
+  const n = weights.length - 1;
+  let score = 0;
+  for (const [dx, dy] of DIRS) {
+    for (let sy = 0; sy < size; sy++) {
+      for (let sx = 0; sx < size; sx++) {
+        const ex = sx + (n - 1) * dx;
+        const ey = sy + (n - 1) * dy;
+        if (ex >= size || ey < 0 || ey >= size) continue;
+        let b = 0;
+        let w = 0;
+        for (let i = 0; i < n; i++) {
+          const c = board[sy + i * dy][sx + i * dx];
+          if (c === "B") b++;
+          else if (c === "W") w++;
+        }
+        if (b > 0 && w === 0) score += weights[b];
+        else if (w > 0 && b === 0) score -= weights[w];
+      }
+    }
+  }
+  return player === "B" ? score : -score;
+}
+
+const TIMEOUT = Symbol("timeout");
+
+function checkTime(ctx) {
+  if (Date.now() > ctx.deadline) throw TIMEOUT;
+}
+
+// Legal candidates for `player`, best first, with winning moves flagged.
+// `timed` inside the search, where running out of time aborts it.
+function rankMoves(ctx, player, limit, timed = false) {
+  const { board, rules, weights } = ctx;
+  const opponent = other(player);
+  const n = weights.length - 1;
+  const ranked = candidateCells(board)
+    .map(({ x, y }) => {
+      const attack = cellScore(board, x, y, player, weights);
+      const defense = cellScore(board, x, y, opponent, weights);
+      // A filled window only wins if the rule set agrees
+      const wins = attack >= weights[n] && rules.isWin(board, x, y, player);
+      return { x, y, wins, score: wins ? Infinity : attack + 0.8 * defense };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const moves = [];
+  for (const m of ranked) {
+    if (moves.length >= limit) break;
+    if (timed) checkTime(ctx);
+    if (rules.isLegal(board, m.x, m.y, player)) moves.push(m);
+  }
+  return moves;
+}
+
+function negamax(ctx, player, depth, alpha, beta, ply) {
+  checkTime(ctx);
+  const moves = rankMoves(ctx, player, ctx.level.breadth, true);
+  if (moves.length === 0) return 0;
+  if (moves[0].wins) return WIN_SCORE - ply;
+  if (depth === 0) return evaluate(ctx.board, player, ctx.weights);
+
+  let best = -Infinity;
+  for (const { x, y } of moves) {
+    ctx.board[y][x] = player;
+    const score = -negamax(
+      ctx,
+      other(player),
+      depth - 1,
+      -beta,
+      -alpha,
+      ply + 1,
+    );
+    ctx.board[y][x] = null;
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+/**
+ * Picks a move for `player`.
+ * @param {Array<Array<"B"|"W"|null>>} board - not modified
+ * @param {"B"|"W"} player
+ * @param {Object} rules - see the module comment
+ * @param {Object} [options]
+ * @param {"easy"|"medium"|"hard"} [options.difficulty="medium"]
+ * @param {() => number} [options.random=Math.random]
+ * @returns {{ x: number, y: number } | null} null when no move is left
+ */
+function chooseMove(board, player, rules, options = {}) {
+  const { difficulty = "medium", random = Math.random } = options;
+  const level = LEVELS[difficulty];
+  const size = board.length;
+  const ctx = {
+    board: board.map((row) => row.slice()),
+    rules,
+    level,
+    weights: windowWeights(rules.winLength),
+    deadline: Date.now() + level.timeMs,
+  };
+
+  if (board.every((row) => row.every((c) => c === null))) {
+    const mid = Math.floor(size / 2);
+    return { x: mid, y: mid };
+  }
+
+  const moves = rankMoves(ctx, player, Infinity);
+  if (moves.length === 0) return null;
+  const pick = ({ x, y }) => ({ x, y });
+  if (moves[0].wins) return pick(moves[0]);
+
+  // Block the opponent's winning point, if it is a legal move for us
+  const threats = rankMoves(ctx, other(player), Infinity).filter((m) => m.wins);
+  const block = threats.find((t) =>
+    moves.some((m) => m.x === t.x && m.y === t.y),
+  );
+  if (block) return pick(block);
+
+  const roots = moves.slice(0, level.breadth);
+  if (level.depth <= 1) {
+    const i =
+      random() < level.noise
+        ? Math.floor(random() * Math.min(roots.length, 4))
+        : 0;
+    return pick(roots[i]);
+  }
+
+  let best = roots[0];
+  for (let depth = 2; depth <= level.depth; depth++) {
+    let alpha = -Infinity;
+    let bestAtDepth = null;
+    try {
+      // The previous iteration's best move is searched first
+      for (const m of [best, ...roots.filter((r) => r !== best)]) {
+        ctx.board[m.y][m.x] = player;
+        const score = -negamax(
+          ctx,
+          other(player),
+          depth - 1,
+          -Infinity,
+          -alpha,
+          1,
+        );
+        ctx.board[m.y][m.x] = null;
+        if (score > alpha) {
+          alpha = score;
+          bestAtDepth = m;
+        }
+      }
+    } catch (err) {
+      if (err !== TIMEOUT) throw err;
+      break;
+    }
+    if (bestAtDepth) best = bestAtDepth;
+    if (alpha >= WIN_SCORE - depth) break;
+  }
+  return pick(best);
+}
+
+export { LEVELS, DIFFICULTIES, chooseMove };
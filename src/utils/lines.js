@@ -0,0 +1,91 @@
+// Directional scanning shared by the rules, the computer opponent and the
+// position analysis. Boards are arrays of rows holding "B", "W" or null.
+
+const DIRS = [
+  [1, 0], // horizontal
+  [0, 1], // vertical
+  [1, 1], // diag ↘
+  [1, -1], // diag ↗
+];
+
+// Consecutive stones of `player` from (x, y) along (dx, dy), (x, y) excluded
+function countDir(board, x, y, dx, dy, player) {
+  let n = 0;
+  let cx = x + dx,
+    cy = y + dy;
+  while (
+    cy >= 0 &&
+    cy < board.length &&
+    cx >= 0 &&
+    cx < board.length &&
+    board[cy][cx] === player
+  ) {
+    n++;
+    cx += dx;
+    cy += dy;
+  }
+  return n;
+}
+
+// Collect the cells of the run through (x, y) along (dx, dy), ordered from
+// the far end in the negative direction to the far end in the positive one.
+function collectLine(board, x, y, dx, dy, player) {
+  const back = countDir(board, x, y, -dx, -dy, player);
+  const fwd = countDir(board, x, y, dx, dy, player);
+  const line = [];
+  for (let i = -back; i <= fwd; i++) {
+    line.push({ x: x + i * dx, y: y + i * dy });
+  }
+  return line;
+}
+
+const isOpponentAt = (board, x, y, player) =>
+  y >= 0 &&
+  y < board.length &&
+  x >= 0 &&
+  x < board.length &&
+  board[y][x] !== null &&
+  board[y][x] !== player;
+
+// Caro: a run with opponent stones right past both of its ends is blocked
+function isBlockedLine(board, line, dx, dy, player) {
+  const first = line[0];
+  const last = line[line.length - 1];
+  return (
+    isOpponentAt(board, first.x - dx, first.y - dy, player) &&
+    isOpponentAt(board, last.x + dx, last.y + dy, player)
+  );
+}
+
+// Checks whether the stone at (x, y) completes a winning run, optionally
+// only along the given directions
+function checkWin(
+  board,
+  {
+    x,
+    y,
+    player,
+    winLength,
+    allowOverlines,
+    requireOpenEnd = false,
+    dirs = DIRS,
+  },
+) {
+  for (const [dx, dy] of dirs) {
+    const total =
+      1 +
+      countDir(board, x, y, dx, dy, player) +
+      countDir(board, x, y, -dx, -dy, player);
+    if (allowOverlines ? total >= winLength : total === winLength) {
+      // With overlines allowed the whole run is reported, not just winLength cells
+      const line = collectLine(board, x, y, dx, dy, player);
+      if (requireOpenEnd && isBlockedLine(board, line, dx, dy, player)) {
+        continue;
+      }
+      return { winner: player, line };
+    }
+  }
+  return { winner: null, line: null };
+}
+
+export { DIRS, countDir, collectLine, checkWin };
@@ -0,0 +1,112 @@
+// Renju forbidden-move detection for Black.
+//
+// A Black move is forbidden when it forms an overline (six or more), two or
+// more fours, or two or more open threes, unless it also completes an exact
+// five, which always wins.
+
+const DIRS = [
+  [1, 0], // horizontal
+  [0, 1], // vertical
+  [1, 1], // diag ↘
+  [1, -1], // diag ↗
+];
+
+const inside = (board, x, y) =>
+  y >= 0 && y < board.length && x >= 0 && x < board.length;
+
+function runLength(board, x, y, dx, dy) {
+  let n = 1;
+  for (const s of [1, -1]) {
+    let cx = x + s * dx,
+      cy = y + s * dy;
+    while (inside(board, cx, cy) && board[cy][cx] === "B") {
+      n++;
+      cx += s * dx;
+      cy += s * dy;
+    }
+  }
+  return n;
+}
+
+// Offsets of the empty cells that would complete an exact five through (x, y).
+// Such a cell must be the first empty cell on either side of the run, so there
+// are at most two of them.
+function fivePoints(board, x, y, dx, dy) {
+  const points = [];
+  for (const s of [1, -1]) {
+    let k = 1;
+    while (
+      inside(board, x + s * k * dx, y + s * k * dy) &&
+      board[y + s * k * dy][x + s * k * dx] === "B"
+    ) {
+      k++;
+    }
+    const cx = x + s * k * dx,
+      cy = y + s * k * dy;
+    if (!inside(board, cx, cy) || board[cy][cx] !== null) continue;
+    board[cy][cx] = "B";
+    if (runLength(board, cx, cy, dx, dy) === 5) points.push(s * k);
+    board[cy][cx] = null;
+  }
+  return points;
+}
+
+// _BBBB_ has two five points but is a single (straight) four.
+function countFours(board, x, y, dx, dy) {
+  const points = fivePoints(board, x, y, dx, dy);
+  if (points.length === 2 && Math.abs(points[0] - points[1]) === 5) return 1;
+  return points.length;
+}
+
+const isStraightFour = (board, x, y, dx, dy) => {
+  const points = fivePoints(board, x, y, dx, dy);
+  return points.length === 2 && Math.abs(points[0] - points[1]) === 5;
+};
+
+// A three is open when one more stone turns it into a straight four and that
+// stone is itself a legal move for Black.
+function hasOpenThree(board, x, y, dx, dy) {
+  for (let k = -4; k <= 4; k++) {
+    const cx = x + k * dx,
+      cy = y + k * dy;
+    if (k === 0 || !inside(board, cx, cy) || board[cy][cx] !== null) continue;
+    board[cy][cx] = "B";
+    const straight = isStraightFour(board, x, y, dx, dy);
+    board[cy][cx] = null;
+    if (straight && !findForbiddenPattern(board, { x: cx, y: cy })) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks whether placing a Black stone at (x, y) is forbidden under Renju.
+ * The board is used as scratch space and restored before returning.
+ * @param {Array<Array<string|null>>} board - 2D array, (x, y) must be empty
+ * @param {{ x: number, y: number }} move
+ * @returns {"overline"|"double-four"|"double-three"|null} the pattern, or null when legal
+ */
+function findForbiddenPattern(board, { x, y }) {
+  board[y][x] = "B";
+  try {
+    const lengths = DIRS.map(([dx, dy]) => runLength(board, x, y, dx, dy));
+    if (lengths.includes(5)) return null;
+    if (lengths.some((n) => n > 5)) return "overline";
+
+    let fours = 0;
+    let threes = 0;
+    for (const [dx, dy] of DIRS) {
+      const f = countFours(board, x, y, dx, dy);
+      fours += f;
+      if (f === 0 && hasOpenThree(board, x, y, dx, dy)) threes++;
+    }
+    if (fours >= 2) return "double-four";
+    if (threes >= 2) return "double-three";
+    return null;
+  } finally {
+    board[y][x] = null;
+  }
+}
+
+export { findForbiddenPattern };
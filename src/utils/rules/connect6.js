@@ -0,0 +1,27 @@
+/**
+ * Connect6: the first player opens with a single stone, after which both
+ * players place two stones per turn. Six or more in a row wins.
+ */
+
+const next = (p) => (p === "B" ? "W" : "B");
+
+const winRule = () => ({ winLength: 6, allowOverlines: true });
+
+export default {
+  ruleSet: "connect6",
+  winLength: 6,
+  plain: false,
+  winRule,
+  forbiddenMove: null,
+  afterMove: null,
+  checkWin(board, { x, y }, player) {
+    const result = board.checkWin(x, y, player, winRule());
+    return result.winner ? { ...result, reason: "six_in_a_row" } : null;
+  },
+  // Stone n (0-based) is played in turn ceil(n / 2): turn 0 is the opening
+  // stone, odd turns belong to the second player
+  nextPlayer(moves) {
+    const first = moves[0].player;
+    return Math.floor((moves.length + 1) / 2) % 2 ? next(first) : first;
+  },
+};
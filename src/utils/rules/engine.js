@@ -0,0 +1,31 @@
+/**
+ * Rule callbacks for the engines (gomokuAi.js, threats.js), matching what
+ * playMove enforces for a game's config ({ ruleSet, winLength,
+ * allowOverlines }). The engines see one stone at a time and no captures,
+ * so only plain rule sets are played or analyzed by them.
+ *
+ * Built from the config alone, so the engine worker (utils/engineWorker.js)
+ * can rebuild them on its side.
+ */
+
+import { checkWin } from "../lines.js";
+import { rulesFor } from "./index.js";
+
+function engineRules(config) {
+  const rules = rulesFor(config.ruleSet);
+  const winRule = (player) => rules.winRule(config, player);
+  return {
+    winLength: config.winLength,
+    winRule,
+    isWin(board, x, y, player) {
+      board[y][x] = player;
+      const { winner } = checkWin(board, { x, y, player, ...winRule(player) });
+      board[y][x] = null;
+      return winner !== null;
+    },
+    isLegal: (board, x, y, player) =>
+      !rules.forbiddenMove?.(board, { x, y }, player),
+  };
+}
+
+export { engineRules };
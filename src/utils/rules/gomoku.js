@@ -0,0 +1,43 @@
+/**
+ * Gomoku rule sets: one stone per turn, a run of winLength wins.
+ *   freestyle - overlines win unless the game turns them off
+ *   renju     - White wins with five or more, Black only with an exact five
+ *               and never by a forbidden 3-3, 4-4 or overline (utils/renju.js)
+ *   caro      - a run blocked by the opponent at both ends does not win
+ */
+
+import { findForbiddenPattern } from "../renju.js";
+
+const next = (p) => (p === "B" ? "W" : "B");
+
+function gomokuRules(ruleSet) {
+  const winRule = ({ winLength, allowOverlines }, player) => ({
+    winLength,
+    allowOverlines: ruleSet === "renju" ? player === "W" : allowOverlines,
+    requireOpenEnd: ruleSet === "caro",
+  });
+
+  return {
+    ruleSet,
+    winLength: null,
+    plain: true,
+    winRule,
+    forbiddenMove:
+      ruleSet === "renju"
+        ? (rows, move, player) =>
+            player === "B" ? findForbiddenPattern(rows, move) : null
+        : null,
+    afterMove: null,
+    checkWin(board, { x, y }, player, config) {
+      const result = board.checkWin(x, y, player, winRule(config, player));
+      return result.winner ? { ...result, reason: "five_in_a_row" } : null;
+    },
+    nextPlayer: (moves) => next(moves[moves.length - 1].player),
+  };
+}
+
+const freestyle = gomokuRules("freestyle");
+const renju = gomokuRules("renju");
+const caro = gomokuRules("caro");
+
+export { freestyle, renju, caro };
@@ -0,0 +1,40 @@
+/**
+ * Rule modules: everything that differs between the games played on a
+ * Gomoku board. A game's config.ruleSet names its module; playMove asks it,
+ * in this order:
+ *
+ *   forbiddenMove(rows, { x, y }, player) - the forbidden pattern a move
+ *       would make, or null when it is legal; null instead of a function
+ *       when every empty cell is legal. Boards are 2D rows ("B" | "W" | null).
+ *   afterMove(board, { x, y }, player) - effects of a stone once placed on
+ *       the Board (utils/board.js), e.g. captures; returns the cells it
+ *       cleared. null when a stone has no effect.
+ *   checkWin(board, { x, y }, player, config, moves) - { winner, line,
+ *       reason } when the move wins, otherwise null. `moves` is the game's
+ *       move list, the new move included.
+ *   nextPlayer(moves) - who places the next stone after `moves` (non-empty).
+ *
+ * Modules also carry:
+ *   winLength - the run length the rule set is played to; null when the
+ *       game picks it
+ *   winRule(config, player) - the checkWin options (utils/lines.js) a
+ *       player wins by, for the engines and puzzles
+ *   plain - one stone per turn and stones never leave the board. Opening
+ *       protocols, the opening book, puzzles, the threat analysis and the
+ *       computer player assume this and are only offered for plain rule
+ *       sets.
+ */
+
+import { freestyle, renju, caro } from "./gomoku.js";
+import connect6 from "./connect6.js";
+import pente from "./pente.js";
+
+const RULES = { freestyle, renju, caro, connect6, pente };
+
+const RULE_SETS = Object.keys(RULES);
+const PLAIN_RULE_SETS = RULE_SETS.filter((r) => RULES[r].plain);
+
+// Games stored before a rule set was recorded are freestyle
+const rulesFor = (ruleSet) => RULES[ruleSet] || RULES.freestyle;
+
+export { RULE_SETS, PLAIN_RULE_SETS, rulesFor };
@@ -0,0 +1,59 @@
+/**
+ * Pente: a stone that brackets exactly two opponent stones in a line
+ * (X O O X) captures them. Five or more in a row wins, and so does the
+ * fifth capture.
+ */
+
+import { DIRS } from "../lines.js";
+
+const CAPTURES_TO_WIN = 5;
+
+const next = (p) => (p === "B" ? "W" : "B");
+
+const winRule = () => ({ winLength: 5, allowOverlines: true });
+
+// Pairs `player` has captured, from the cells their moves cleared
+const capturedPairs = (moves, player) =>
+  moves
+    .filter((m) => m.player === player && m.captures)
+    .reduce((n, m) => n + m.captures.length / 2, 0);
+
+export default {
+  ruleSet: "pente",
+  winLength: 5,
+  plain: false,
+  winRule,
+  forbiddenMove: null,
+  // Captures only happen to the pairs the new stone closes; moving into a
+  // bracket is safe
+  afterMove(board, { x, y }, player) {
+    const opponent = next(player);
+    const captured = [];
+    for (const [dx, dy] of DIRS) {
+      for (const s of [1, -1]) {
+        const cells = [1, 2, 3].map((i) => ({
+          x: x + s * i * dx,
+          y: y + s * i * dy,
+        }));
+        if (!cells.every((c) => board.inside(c.x, c.y))) continue;
+        const [a, b, c] = cells.map((c) => board.at(c.x, c.y));
+        if (a === opponent && b === opponent && c === player) {
+          captured.push(cells[0], cells[1]);
+        }
+      }
+    }
+    for (const c of captured) board.remove(c.x, c.y);
+    return captured;
+  },
+  checkWin(board, { x, y }, player, config, moves) {
+    const result = board.checkWin(x, y, player, winRule());
+    if (result.winner) return { ...result, reason: "five_in_a_row" };
+    if (capturedPairs(moves, player) >= CAPTURES_TO_WIN) {
+      return { winner: player, line: null, reason: "captures" };
+    }
+    return null;
+  },
+  nextPlayer: (moves) => next(moves[moves.length - 1].player),
+};
+
+export { CAPTURES_TO_WIN, capturedPairs };
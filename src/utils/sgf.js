@@ -0,0 +1,283 @@
+/**
+ * SGF (Smart Game Format, FF[4]) reading and writing for Gomoku, GM[4].
+ *
+ * Besides the standard properties (SZ, RU, PB, PW, RE, DT, C, B, W) the
+ * writer emits a few private ones so our rule config and timing survive a
+ * round trip:
+ * - WINLEN[5]    stones needed to win
+ * - OVERLINES[1] whether longer runs win (1) or not (0)
+ * - MT[1500]     thinking time of a move in milliseconds
+ *
+ * Games are exchanged as plain objects:
+ * {
+ *   size, rules: { ruleSet, winLength, allowOverlines },
+ *   playerNames: { B, W }, result: { winner, reason } | null, comment, date,
+ *   moves: [{ player, x, y, timeMs, comment }],
+ *   variations: [{ at, moves, variations }]
+ * }
+ * A variation replaces the line it hangs off from ply `at` (0-based, counted
+ * from the first move of the game) and may carry variations of its own.
+ */
+
+// Deepest nesting of game trees read; every level costs a stack frame here
+// and in the replay of the variations
+const MAX_TREE_DEPTH = 1000;
+// Most nodes read in all, variations included; the import plays every one
+const MAX_NODES = 2000;
+
+const parseError = (message) => {
+  const e = new Error(message);
+  e.code = "PARSE_ERROR";
+  return e;
+};
+
+// ===== Writing =====
+const escapeValue = (v) => String(v).replace(/[\\\]]/g, (c) => `\\${c}`);
+
+const toPoint = ({ x, y }) =>
+  String.fromCharCode(97 + x) + String.fromCharCode(97 + y);
+
+function moveNode(m) {
+  let node = `;${m.player}[${toPoint(m)}]`;
+  if (m.timeMs) node += `MT[${m.timeMs}]`;
+  if (m.comment) node += `C[${escapeValue(m.comment)}]`;
+  return node;
+}
+
+// Writes the moves of a line starting at ply `startPly`, branching wherever
+// one of its variations starts
+function writeLine(moves, startPly, variations) {
+  let out = "";
+  for (let i = 0; i < moves.length; i++) {
+    const ply = startPly + i;
+    const branches = variations.filter((v) => v.at === ply);
+    if (branches.length > 0) {
+      const rest = variations.filter((v) => v.at > ply);
+      out += `(${writeLine(moves.slice(i), ply, rest)})`;
+      for (const b of branches) {
+        out += `(${writeLine(b.moves, b.at, b.variations || [])})`;
+      }
+      return out;
+    }
+    out += moveNode(moves[i]);
+  }
+  return out;
+}
+
+const RESULT_SUFFIX = { resignation: "R", timeout: "T" };
+
+function resultValue(result) {
+  if (!result) return null;
+  if (result.reason === "aborted") return "Void";
+  if (!result.winner) return "0";
+  return `${result.winner}+${RESULT_SUFFIX[result.reason] || ""}`;
+}
+
+/**
+ * Serializes a game to SGF text.
+ * @param {Object} game - see the module comment for the shape
+ * @returns {string}
+ */
+function formatSgf(game) {
+  const { size, rules, playerNames = {}, comment, date } = game;
+  let root =
+    `;GM[4]FF[4]CA[UTF-8]AP[fwk-22-a-backend]SZ[${size}]` +
+    `RU[${escapeValue(rules.ruleSet)}]WINLEN[${rules.winLength}]` +
+    `OVERLINES[${rules.allowOverlines ? 1 : 0}]`;
+  if (playerNames.B) root += `PB[${escapeValue(playerNames.B)}]`;
+  if (playerNames.W) root += `PW[${escapeValue(playerNames.W)}]`;
+  const re = resultValue(game.result);
+  if (re) root += `RE[${re}]`;
+  if (date) root += `DT[${date}]`;
+  if (comment) root += `C[${escapeValue(comment)}]`;
+
+  return `(${root}${writeLine(game.moves, 0, game.variations || [])})\n`;
+}
+
+// ===== Reading =====
+function parseCollection(text) {
+  let i = 0;
+  let nodeCount = 0;
+  const skipWs = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+  const expect = (c) => {
+    skipWs();
+    if (text[i] !== c) throw parseError(`Expected '${c}' at offset ${i}`);
+    i++;
+  };
+
+  function readValue() {
+    i++; // "["
+    let v = "";
+    while (i < text.length && text[i] !== "]") {
+      if (text[i] === "\\") {
+        i++;
+        // Escaped line breaks are soft breaks and dropped
+        if (text[i] === "\n" || text[i] === "\r") {
+          if (text[i] === "\r" && text[i + 1] === "\n") i++;
+          i++;
+          continue;
+        }
+      }
+      v += text[i++];
+    }
+    if (i >= text.length) throw parseError("Unterminated property value");
+    i++; // "]"
+    return v;
+  }
+
+  function readNode() {
+    if (++nodeCount > MAX_NODES) {
+      throw parseError(`Games of more than ${MAX_NODES} nodes are not read`);
+    }
+    i++; // ";"
+    const props = {};
+    for (;;) {
+      skipWs();
+      const m = /^[A-Za-z]+/.exec(text.slice(i, i + 32));
+      if (!m) return props;
+      i += m[0].length;
+      // FF[3] allowed lowercase letters in identifiers; they are ignored
+      const ident = m[0].replace(/[a-z]/g, "");
+      const values = [];
+      skipWs();
+      while (text[i] === "[") {
+        values.push(readValue());
+        skipWs();
+      }
+      if (values.length === 0)
+        throw parseError(`Property ${ident} has no value`);
+      props[ident] = values;
+    }
+  }
+
+  function readTree(depth) {
+    if (depth > MAX_TREE_DEPTH) {
+      throw parseError(`Variations are nested deeper than ${MAX_TREE_DEPTH}`);
+    }
+    expect("(");
+    const nodes = [];
+    const children = [];
+    skipWs();
+    while (text[i] === ";") {
+      nodes.push(readNode());
+      skipWs();
+    }
+    while (text[i] === "(") {
+      children.push(readTree(depth + 1));
+      skipWs();
+    }
+    expect(")");
+    return { nodes, children };
+  }
+
+  skipWs();
+  if (text[i] !== "(") throw parseError("Not an SGF file");
+  return readTree(1);
+}
+
+function fromPoint(value, size) {
+  if (!/^[a-z]{2}$/.test(value)) throw parseError(`Bad point '${value}'`);
+  const x = value.charCodeAt(0) - 97;
+  const y = value.charCodeAt(1) - 97;
+  if (x >= size || y >= size)
+    throw parseError(`Point '${value}' is off the board`);
+  return { x, y };
+}
+
+function moveFromNode(props, size) {
+  if (props.AB || props.AW || props.AE) {
+    throw parseError("Setup stones (AB/AW/AE) are not supported");
+  }
+  const player = props.B ? "B" : props.W ? "W" : null;
+  if (!player) return null;
+  const move = { player, ...fromPoint(props[player][0], size) };
+  const timeMs = props.MT ? Number(props.MT[0]) : 0;
+  move.timeMs = Number.isFinite(timeMs) && timeMs > 0 ? timeMs : 0;
+  if (props.C) move.comment = props.C[0];
+  return move;
+}
+
+// Follows the first child as the main line; other children become variations
+function readLine(tree, startPly, size) {
+  const moves = [];
+  const variations = [];
+  let t = tree;
+  for (;;) {
+    for (const node of t.nodes) {
+      const move = moveFromNode(node, size);
+      if (move) moves.push(move);
+    }
+    if (t.children.length === 0) break;
+    const at = startPly + moves.length;
+    for (const alt of t.children.slice(1)) {
+      variations.push({ at, ...readLine(alt, at, size) });
+    }
+    t = t.children[0];
+  }
+  return { moves, variations };
+}
+
+function parseResult(value) {
+  if (!value) return null;
+  if (/^void$/i.test(value)) return { winner: null, reason: "aborted" };
+  if (/^(0|draw|jigo)$/i.test(value)) {
+    return { winner: null, reason: "agreement" };
+  }
+  const m = /^([BW])\+(R|T|Resign|Time)?/i.exec(value);
+  if (!m) return null;
+  const suffix = (m[2] || "").charAt(0).toUpperCase();
+  const reason =
+    suffix === "R" ? "resignation" : suffix === "T" ? "timeout" : null;
+  return { winner: m[1].toUpperCase(), reason };
+}
+
+/**
+ * Parses the first game of an SGF collection.
+ * @param {string} text
+ * @returns {Object} see the module comment for the shape
+ */
+function parseSgf(text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    throw parseError("content is empty");
+  }
+  const tree = parseCollection(text);
+  if (tree.nodes.length === 0) throw parseError("Game has no root node");
+  const root = tree.nodes[0];
+
+  if (root.GM && root.GM[0] !== "4") {
+    throw parseError(`GM[${root.GM[0]}] is not Gomoku (GM[4])`);
+  }
+  const sz = root.SZ ? root.SZ[0].split(":") : ["15"];
+  if (sz.length === 2 && sz[0] !== sz[1]) {
+    throw parseError("Only square boards are supported");
+  }
+  const size = Number(sz[0]);
+  if (!Number.isInteger(size)) throw parseError(`Bad board size '${sz[0]}'`);
+
+  const rules = {
+    ruleSet: root.RU ? root.RU[0].toLowerCase() : "freestyle",
+    winLength: root.WINLEN ? Number(root.WINLEN[0]) : 5,
+    allowOverlines: root.OVERLINES ? root.OVERLINES[0] !== "0" : true,
+  };
+
+  // The root node may already hold the first move
+  const line = readLine(tree, 0, size);
+
+  return {
+    size,
+    rules,
+    playerNames: {
+      B: root.PB ? root.PB[0] : null,
+      W: root.PW ? root.PW[0] : null,
+    },
+    result: parseResult(root.RE && root.RE[0]),
+    comment: root.C ? root.C[0] : null,
+    date: root.DT ? root.DT[0] : null,
+    moves: line.moves,
+    variations: line.variations,
+  };
+}
+
+export { formatSgf, parseSgf };
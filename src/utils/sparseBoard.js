@@ -0,0 +1,141 @@
+/**
+ * Unbounded board for infinite games: only the stones are stored, in a Map
+ * keyed by "x,y", so coordinates may be any safe integer, negative ones
+ * included, and the board grows with its stones.
+ *
+ * It has the interface of Board (utils/board.js) that the game rules use, so
+ * moves, wins and takebacks work the same on both; it is never full. Instead
+ * of 2D rows it lists its stones (toStones()) and their bounding box
+ * (bounds()).
+ *
+ * positionKey() hashes the stones where they are. canonicalKey() is the same
+ * for all rotations, reflections and translations of the position, as there
+ * are no edges to tell them apart; it is computed on demand, O(stones).
+ */
+
+import { Board } from "./board.js";
+import { SYMMETRIES, pointKey, toHex } from "./zobrist.js";
+
+const cellKey = (x, y) => `${x},${y}`;
+
+class SparseBoard {
+  constructor() {
+    this.size = null;
+    // "x,y" -> { x, y, player }
+    this.cells = new Map();
+    this.hash = 0n;
+  }
+
+  /** @param {Array<{ x: number, y: number, player: "B"|"W" }>} stones */
+  static fromStones(stones) {
+    const board = new SparseBoard();
+    for (const { x, y, player } of stones) board.place(x, y, player);
+    return board;
+  }
+
+  /** @returns {Array<{ x: number, y: number, player: "B"|"W" }>} */
+  toStones() {
+    return [...this.cells.values()].map((stone) => ({ ...stone }));
+  }
+
+  clone() {
+    const board = new SparseBoard();
+    board.cells = new Map(this.cells);
+    board.hash = this.hash;
+    return board;
+  }
+
+  /**
+   * Smallest box holding every stone, null while the board is empty
+   * @returns {{ minX: number, minY: number, maxX: number, maxY: number }|null}
+   */
+  bounds() {
+    if (this.cells.size === 0) return null;
+    const xs = [...this.cells.values()].map((s) => s.x);
+    const ys = [...this.cells.values()].map((s) => s.y);
+    return {
+      minX: Math.min(...xs),
+      minY: Math.min(...ys),
+      maxX: Math.max(...xs),
+      maxY: Math.max(...ys),
+    };
+  }
+
+  inside(x, y) {
+    return Number.isSafeInteger(x) && Number.isSafeInteger(y);
+  }
+
+  /** "B", "W" or null */
+  at(x, y) {
+    return this.cells.get(cellKey(x, y))?.player ?? null;
+  }
+
+  isEmpty(x, y) {
+    return !this.cells.has(cellKey(x, y));
+  }
+
+  place(x, y, player) {
+    const key = cellKey(x, y);
+    if (this.cells.has(key)) throw new Error("OCCUPIED");
+    this.cells.set(key, { x, y, player });
+    this.hash ^= pointKey(x, y, player);
+  }
+
+  remove(x, y) {
+    const key = cellKey(x, y);
+    const stone = this.cells.get(key);
+    if (!stone) return;
+    this.hash ^= pointKey(x, y, stone.player);
+    this.cells.delete(key);
+  }
+
+  /** Hash of this exact position, as 16 hex digits */
+  positionKey() {
+    return toHex(this.hash);
+  }
+
+  /** Hash shared by all rotations, reflections and shifts of the position */
+  canonicalKey() {
+    const stones = [...this.cells.values()];
+    let min = null;
+    for (const transform of SYMMETRIES) {
+      // With n = 1 the transforms turn and mirror around the origin; the
+      // shift to the box corner below takes care of the rest
+      const moved = stones.map(({ x, y, player }) => {
+        const [tx, ty] = transform(x, y, 1);
+        return { x: tx, y: ty, player };
+      });
+      const minX = Math.min(...moved.map((s) => s.x));
+      const minY = Math.min(...moved.map((s) => s.y));
+      const hash = moved.reduce(
+        (h, s) => h ^ pointKey(s.x - minX, s.y - minY, s.player),
+        0n,
+      );
+      if (min === null || hash < min) min = hash;
+    }
+    return toHex(min);
+  }
+
+  isFull() {
+    return false;
+  }
+
+  // Consecutive stones of `player` from (x, y) along (dx, dy), (x, y) excluded
+  countDir(x, y, dx, dy, player) {
+    let n = 0;
+    let cx = x + dx;
+    let cy = y + dy;
+    while (this.at(cx, cy) === player) {
+      n++;
+      cx += dx;
+      cy += dy;
+    }
+    return n;
+  }
+}
+
+// Board's win check only reads the board through countDir, inside, isEmpty
+// and at, so it runs unchanged on a sparse board
+SparseBoard.prototype.checkWin = Board.prototype.checkWin;
+
+export { SparseBoard };
@@ -0,0 +1,506 @@
+/**
+ * Threat analysis of a position, for annotating games.
+ *
+ * Threats are found through their five points, the empty cells where one
+ * more stone completes a win along a direction:
+ * - four: stones with a five point; open when they have two of them
+ * - three: stones that one more stone turns into an open (straight) four.
+ *   The three is broken when its stones have a gap, as in X_XX.
+ * - double threat: an empty cell where a stone makes two threats at once,
+ *   a four-four, four-three or three-three
+ *
+ * Forced wins are searched as if the side were to move:
+ * - VCF (victory by continuous fours): every attacking move is a four
+ * - VCT (victory by continuous threats): attacking moves are fours or threes
+ * The defender blocks a four on its five point and answers a three on any
+ * cell that breaks it, or with a four of their own. The search is bounded
+ * by depth (attacking moves) and nodes, and each side's analysis, threats
+ * included, by time; a side that hit a bound is reported with
+ * searchComplete: false and the threats found until then.
+ *
+ * `rules` is what the computer opponent gets (see gomokuAi.js) plus
+ * winRule(player), the checkWin options the player wins by.
+ */
+
+import { DIRS, countDir, checkWin } from "./lines.js";
+
+const DIR_NAMES = ["horizontal", "vertical", "diagonal", "anti-diagonal"];
+
+const SEARCH_LIMITS = {
+  vcfDepth: 10,
+  vctDepth: 4,
+  maxNodes: 2000,
+  timeMs: 500,
+};
+
+const other = (p) => (p === "B" ? "W" : "B");
+
+const inside = (board, x, y) =>
+  y >= 0 && y < board.length && x >= 0 && x < board.length;
+
+const sameCell = (a, b) => a.x === b.x && a.y === b.y;
+
+const byPosition = (a, b) => a.y - b.y || a.x - b.x;
+
+const cellKey = (cells) =>
+  cells
+    .slice()
+    .sort(byPosition)
+    .map((c) => `${c.x},${c.y}`)
+    .join(" ");
+
+// Empty cells on the line through (x, y) along `dir`, up to `reach` away
+function emptyOnLine(board, x, y, [dx, dy], reach) {
+  const cells = [];
+  for (let k = -reach; k <= reach; k++) {
+    const cx = x + k * dx;
+    const cy = y + k * dy;
+    if (k !== 0 && inside(board, cx, cy) && board[cy][cx] === null) {
+      cells.push({ x: cx, y: cy });
+    }
+  }
+  return cells;
+}
+
+// Empty cells within `radius` of a stone of `player`
+function cellsNear(board, player, radius) {
+  const size = board.length;
+  const seen = new Set();
+  const cells = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (board[y][x] !== player) continue;
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const cx = x + dx;
+          const cy = y + dy;
+          const key = cy * size + cx;
+          if (!inside(board, cx, cy) || board[cy][cx] !== null) continue;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          cells.push({ x: cx, y: cy });
+        }
+      }
+    }
+  }
+  return cells.sort(byPosition);
+}
+
+// Five points of `player` along `dir` whose winning run includes (x, y)
+function fivePointsThrough(board, x, y, player, dir, rules) {
+  const [dx, dy] = dir;
+  const rule = { player, ...rules.winRule(player), dirs: [dir] };
+  const points = [];
+  for (const c of emptyOnLine(board, x, y, dir, rules.winLength)) {
+    // Too short a run cannot win, whatever the rule set
+    const run =
+      1 +
+      countDir(board, c.x, c.y, dx, dy, player) +
+      countDir(board, c.x, c.y, -dx, -dy, player);
+    if (run < rules.winLength) continue;
+    board[c.y][c.x] = player;
+    const { line } = checkWin(board, { ...rule, x: c.x, y: c.y });
+    board[c.y][c.x] = null;
+    if (line && line.some((p) => sameCell(p, { x, y }))) {
+      points.push({ ...c, line });
+    }
+  }
+  return points;
+}
+
+// Cells that turn the stones through (x, y) into a straight four along
+// `dir`, each with the stones of that four
+function straightFourPoints(board, x, y, player, dir, rules) {
+  const points = [];
+  for (const c of emptyOnLine(board, x, y, dir, rules.winLength - 1)) {
+    if (!rules.isLegal(board, c.x, c.y, player)) continue;
+    board[c.y][c.x] = player;
+    const fives = fivePointsThrough(board, x, y, player, dir, rules);
+    board[c.y][c.x] = null;
+    if (fives.length >= 2) {
+      const [f] = fives;
+      const stones = f.line.filter((p) => !sameCell(p, f) && !sameCell(p, c));
+      points.push({ ...c, stones });
+    }
+  }
+  return points;
+}
+
+// Stones of `player` on the line through (x, y) that could share a run with it
+function stonesInReach(board, x, y, player, [dx, dy], reach) {
+  let n = 0;
+  for (const s of [1, -1]) {
+    for (let k = 1; k <= reach; k++) {
+      const cx = x + s * k * dx;
+      const cy = y + s * k * dy;
+      if (!inside(board, cx, cy) || board[cy][cx] === other(player)) break;
+      if (board[cy][cx] === player) n++;
+    }
+  }
+  return n;
+}
+
+// ===== Static threats =====
+// `budget` is { deadline, exhausted }; scans stop once it runs out
+function outOfTime(budget) {
+  if (Date.now() > budget.deadline) budget.exhausted = true;
+  return budget.exhausted;
+}
+
+function sideThreats(board, player, rules, budget) {
+  const fours = new Map();
+  const threes = new Map();
+  const size = board.length;
+
+  for (const [d, dir] of DIRS.entries()) {
+    for (let y = 0; y < size; y++) {
+      if (outOfTime(budget)) break;
+      for (let x = 0; x < size; x++) {
+        if (board[y][x] !== player) continue;
+        const fives = fivePointsThrough(board, x, y, player, dir, rules);
+        for (const f of fives) {
+          const stones = f.line.filter((p) => !sameCell(p, f));
+          const key = `${d}:${cellKey(stones)}`;
+          if (!fours.has(key)) {
+            fours.set(key, { direction: DIR_NAMES[d], stones, points: [] });
+          }
+          const four = fours.get(key);
+          if (!four.points.some((p) => sameCell(p, f))) {
+            four.points.push({ x: f.x, y: f.y });
+          }
+        }
+        if (fives.length > 0) continue;
+
+        for (const p of straightFourPoints(board, x, y, player, dir, rules)) {
+          const key = `${d}:${cellKey(p.stones)}`;
+          if (!threes.has(key)) {
+            threes.set(key, {
+              direction: DIR_NAMES[d],
+              stones: p.stones,
+              points: [],
+            });
+          }
+          const three = threes.get(key);
+          if (!three.points.some((q) => sameCell(q, p))) {
+            three.points.push({ x: p.x, y: p.y });
+          }
+        }
+      }
+    }
+  }
+
+  const sorted = (t) => ({
+    ...t,
+    stones: t.stones.slice().sort(byPosition),
+    points: t.points.sort(byPosition),
+  });
+  // A gap inside the stones' span makes the three a broken one
+  const isBroken = ({ stones }) => {
+    const first = stones[0];
+    const last = stones[stones.length - 1];
+    const span = Math.max(
+      Math.abs(last.x - first.x),
+      Math.abs(last.y - first.y),
+    );
+    return span + 1 > stones.length;
+  };
+
+  const allThrees = [...threes.values()].map(sorted);
+  return {
+    fours: [...fours.values()]
+      .map(sorted)
+      .map((f) => ({ ...f, open: f.points.length >= 2 })),
+    openThrees: allThrees.filter((t) => !isBroken(t)),
+    brokenThrees: allThrees.filter((t) => isBroken(t)),
+  };
+}
+
+// Threats a stone of `player` at (x, y) makes, per direction
+function threatsAt(board, x, y, player, rules, withThrees = true) {
+  const fivePoints = [];
+  const threeDirs = [];
+  board[y][x] = player;
+  for (const dir of DIRS) {
+    const need = rules.winLength - (withThrees ? 3 : 2);
+    if (stonesInReach(board, x, y, player, dir, rules.winLength - 1) < need) {
+      continue;
+    }
+    const fives = fivePointsThrough(board, x, y, player, dir, rules);
+    if (fives.length > 0) {
+      fivePoints.push(...fives.map((f) => ({ x: f.x, y: f.y, dir })));
+    } else if (
+      withThrees &&
+      straightFourPoints(board, x, y, player, dir, rules).length > 0
+    ) {
+      threeDirs.push(dir);
+    }
+  }
+  board[y][x] = null;
+  return { fivePoints, threeDirs };
+}
+
+function doubleThreats(board, player, rules, budget) {
+  const points = [];
+  for (const c of cellsNear(board, player, Math.max(2, rules.winLength - 3))) {
+    if (outOfTime(budget)) break;
+    if (!rules.isLegal(board, c.x, c.y, player)) continue;
+    if (rules.isWin(board, c.x, c.y, player)) continue;
+    const { fivePoints, threeDirs } = threatsAt(board, c.x, c.y, player, rules);
+    const fours = new Set(fivePoints.map((f) => f.dir)).size;
+    const threes = threeDirs.length;
+    const kind =
+      fours >= 2
+        ? "four-four"
+        : fours === 1 && threes >= 1
+          ? "four-three"
+          : threes >= 2
+            ? "three-three"
+            : null;
+    if (kind) points.push({ x: c.x, y: c.y, kind });
+  }
+  return points.sort(byPosition);
+}
+
+// ===== Forced wins =====
+const OUT_OF_BUDGET = Symbol("out of budget");
+
+function findFivePoint(board, player, rules) {
+  for (const c of cellsNear(board, player, rules.winLength - 1)) {
+    if (rules.isWin(board, c.x, c.y, player)) return c;
+  }
+  return null;
+}
+
+function attackingMoves(ctx, attacker, withThrees) {
+  const { board, rules } = ctx;
+  const moves = [];
+  const radius = Math.max(2, rules.winLength - 3);
+  for (const c of cellsNear(board, attacker, radius)) {
+    if (!rules.isLegal(board, c.x, c.y, attacker)) continue;
+    const t = threatsAt(board, c.x, c.y, attacker, rules, withThrees);
+    if (t.fivePoints.length > 0 || t.threeDirs.length > 0) {
+      moves.push({ ...c, ...t });
+    }
+  }
+  // Fours first; they leave the defender a single answer
+  return moves.sort((a, b) => b.fivePoints.length - a.fivePoints.length);
+}
+
+function tick(ctx) {
+  ctx.nodes++;
+  if (ctx.nodes > ctx.limits.maxNodes || Date.now() > ctx.deadline) {
+    throw OUT_OF_BUDGET;
+  }
+}
+
+// Winning line for `attacker` to move, or null
+function attack(ctx, attacker, depth, withThrees) {
+  tick(ctx);
+  const { board, rules } = ctx;
+  const win = findFivePoint(board, attacker, rules);
+  if (win) return [{ ...win, player: attacker }];
+  if (depth === 0) return null;
+
+  // A four of the defender's has to be blocked, and the block has to be a
+  // threat itself for the attack to go on
+  const threat = findFivePoint(board, other(attacker), rules);
+  let moves = attackingMoves(ctx, attacker, withThrees);
+  if (threat) moves = moves.filter((m) => sameCell(m, threat));
+
+  for (const m of moves) {
+    board[m.y][m.x] = attacker;
+    const rest = defend(ctx, attacker, m, depth - 1, withThrees);
+    board[m.y][m.x] = null;
+    if (rest) return [{ x: m.x, y: m.y, player: attacker }, ...rest];
+  }
+  return null;
+}
+
+// Winning line for `attacker` against every answer to `move`, or null
+function defend(ctx, attacker, move, depth, withThrees) {
+  tick(ctx);
+  const { board, rules } = ctx;
+  const defender = other(attacker);
+  if (findFivePoint(board, defender, rules)) return null;
+
+  let replies;
+  if (move.fivePoints.length > 0) {
+    replies = move.fivePoints;
+  } else {
+    replies = [];
+    for (const dir of move.threeDirs) {
+      for (const c of emptyOnLine(
+        board,
+        move.x,
+        move.y,
+        dir,
+        rules.winLength,
+      )) {
+        board[c.y][c.x] = defender;
+        const broken =
+          straightFourPoints(board, move.x, move.y, attacker, dir, rules)
+            .length === 0;
+        board[c.y][c.x] = null;
+        if (broken) replies.push(c);
+      }
+    }
+    replies.push(...attackingMoves(ctx, defender, false));
+  }
+
+  const seen = new Set();
+  let line = null;
+  for (const r of replies) {
+    const key = `${r.x},${r.y}`;
+    if (seen.has(key) || !rules.isLegal(board, r.x, r.y, defender)) continue;
+    seen.add(key);
+    board[r.y][r.x] = defender;
+    const rest = attack(ctx, attacker, depth, withThrees);
+    board[r.y][r.x] = null;
+    if (!rest) return null;
+    if (!line) line = [{ x: r.x, y: r.y, player: defender }, ...rest];
+  }
+  // No legal answer: the attacker completes the four
+  if (!line) {
+    const [f] = move.fivePoints;
+    return f ? [{ x: f.x, y: f.y, player: attacker }] : null;
+  }
+  return line;
+}
+
+function forcedWin(board, player, rules, limits, deadline) {
+  const ctx = { rules, limits, nodes: 0, deadline };
+  // Shallow wins first, so the reported line is the shortest one found
+  for (const [type, maxDepth, withThrees] of [
+    ["vcf", limits.vcfDepth, false],
+    ["vct", limits.vctDepth, true],
+  ]) {
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      // A search cut short leaves stones behind, so each gets a fresh copy
+      ctx.board = board.map((row) => row.slice());
+      try {
+        const line = attack(ctx, player, depth, withThrees);
+        if (line) return { forcedWin: { type, line }, searchComplete: true };
+      } catch (err) {
+        if (err !== OUT_OF_BUDGET) throw err;
+        return { forcedWin: null, searchComplete: false };
+      }
+    }
+  }
+  return { forcedWin: null, searchComplete: true };
+}
+
+/**
+ * Checks that `player`, to move, wins by playing `move` within `moves`
+ * attacking moves, the winning one included. Every attacking move has to be
+ * a four (type "vcf") or a four or a three ("vct"), and the win has to hold
+ * against every defence the search knows (see the module comment).
+ * @param {Array<Array<"B"|"W"|null>>} board - not modified
+ * @param {"B"|"W"} player
+ * @param {{ x: number, y: number }} move
+ * @param {Object} rules - see the module comment
+ * @param {{ type: "vcf"|"vct", moves: number }} claim
+ * @param {Object} [limits] - overrides for SEARCH_LIMITS
+ * @returns {{ proven: boolean, line: Array|null, searchComplete: boolean }}
+ *   line starts with the move, then a defence and the winning answer to it
+ */
+function proveMove(board, player, move, rules, { type, moves }, limits = {}) {
+  const bounds = { ...SEARCH_LIMITS, ...limits };
+  const ctx = {
+    board: board.map((row) => row.slice()),
+    rules,
+    limits: bounds,
+    nodes: 0,
+    deadline: Date.now() + bounds.timeMs,
+  };
+  const { x, y } = move;
+  const first = { x, y, player };
+  const notProven = { proven: false, line: null, searchComplete: true };
+  if (ctx.board[y][x] !== null || !rules.isLegal(ctx.board, x, y, player)) {
+    return notProven;
+  }
+  if (rules.isWin(ctx.board, x, y, player)) {
+    return { proven: true, line: [first], searchComplete: true };
+  }
+  if (moves < 2) return notProven;
+
+  const withThrees = type === "vct";
+  const t = threatsAt(ctx.board, x, y, player, rules, withThrees);
+  if (t.fivePoints.length === 0 && t.threeDirs.length === 0) return notProven;
+  ctx.board[y][x] = player;
+  try {
+    const rest = defend(ctx, player, { x, y, ...t }, moves - 2, withThrees);
+    return rest
+      ? { proven: true, line: [first, ...rest], searchComplete: true }
+      : notProven;
+  } catch (err) {
+    if (err !== OUT_OF_BUDGET) throw err;
+    return { proven: false, line: null, searchComplete: false };
+  }
+}
+
+/**
+ * Analyses a position for both sides.
+ * @param {Array<Array<"B"|"W"|null>>} board - not modified
+ * @param {Object} rules - see the module comment
+ * @param {Object} [limits] - overrides for SEARCH_LIMITS
+ * @returns {{ B: Object, W: Object }} per side: fours, openThrees,
+ *   brokenThrees, doubleThreats, forcedWin ({ type, line } or null) and
+ *   searchComplete
+ */
+function analyzePosition(board, rules, limits = {}) {
+  const work = board.map((row) => row.slice());
+  const bounds = { ...SEARCH_LIMITS, ...limits };
+  const report = (player) => {
+    const budget = { deadline: Date.now() + bounds.timeMs, exhausted: false };
+    const threats = sideThreats(work, player, rules, budget);
+    const doubles = doubleThreats(work, player, rules, budget);
+    const search = budget.exhausted
+      ? { forcedWin: null, searchComplete: false }
+      : forcedWin(work, player, rules, bounds, budget.deadline);
+    return { ...threats, doubleThreats: doubles, ...search };
+  };
+  return { B: report("B"), W: report("W") };
+}
+
+// Direction name of the line along `name` once `map` has moved it; DIRS
+// point right, or down when they are vertical
+function mapDirection(name, { x, y }, map) {
+  const [dx, dy] = DIRS[DIR_NAMES.indexOf(name)];
+  const a = map(x, y);
+  const b = map(x + dx, y + dy);
+  let [mx, my] = [b.x - a.x, b.y - a.y];
+  if (mx < 0 || (mx === 0 && my < 0)) [mx, my] = [-mx, -my];
+  return DIR_NAMES[DIRS.findIndex(([ex, ey]) => ex === mx && ey === my)];
+}
+
+/**
+ * Moves an analysis onto a rotated or reflected board, e.g. into the frame
+ * of the position's canonical key and back.
+ * @param {Object} analysis - as analyzePosition returns it
+ * @param {(x: number, y: number) => { x: number, y: number }} map - one of
+ *   the board symmetries
+ * @returns {Object} the analysis of the mapped position
+ */
+function mapAnalysis(analysis, map) {
+  const point = (p) => ({ ...p, ...map(p.x, p.y) });
+  const threat = (t) => ({
+    ...t,
+    direction: mapDirection(t.direction, t.stones[0], map),
+    stones: t.stones.map(point).sort(byPosition),
+    points: t.points.map(point).sort(byPosition),
+  });
+  const side = (a) => ({
+    ...a,
+    fours: a.fours.map(threat),
+    openThrees: a.openThrees.map(threat),
+    brokenThrees: a.brokenThrees.map(threat),
+    doubleThreats: a.doubleThreats.map(point).sort(byPosition),
+    forcedWin: a.forcedWin && {
+      ...a.forcedWin,
+      line: a.forcedWin.line.map(point),
+    },
+  });
+  return { B: side(analysis.B), W: side(analysis.W) };
+}
+
+export { SEARCH_LIMITS, analyzePosition, mapAnalysis, proveMove };
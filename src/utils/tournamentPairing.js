@@ -0,0 +1,303 @@
+/**
+ * Tournament pairing and standings. Pure functions over player ids; the
+ * tournament service stores rounds and creates the games.
+ *
+ * A pairing is { first, second } with the seat each player takes ("first"
+ * opens the game). A bye is a pairing whose second is null.
+ */
+
+// Players each Swiss pairing may try before giving up on avoiding rematches
+const SWISS_SEARCH_LIMIT = 20000;
+
+/**
+ * Round `round` (0-based) of a round robin by the circle method: the first
+ * player stays put while the others rotate. With an odd number of players
+ * the one drawn against the empty slot has a bye.
+ * @param {string[]} players - in seed order
+ * @returns {Array<{ first: string, second: string|null }>}
+ */
+function roundRobinPairings(players, round) {
+  const slots = players.length % 2 ? [...players, null] : [...players];
+  const n = slots.length;
+  const rest = slots.slice(1);
+  const shift = round % (n - 1);
+  const order = [
+    slots[0],
+    ...rest.slice(n - 1 - shift),
+    ...rest.slice(0, n - 1 - shift),
+  ];
+
+  const pairings = [];
+  for (let i = 0; i < n / 2; i++) {
+    let [a, b] = [order[i], order[n - 1 - i]];
+    // Alternate seats so nobody opens every game
+    if ((round + i) % 2) [a, b] = [b, a];
+    if (a === null) [a, b] = [b, a];
+    pairings.push({ first: a, second: b });
+  }
+  return pairings;
+}
+
+const roundRobinRounds = (count) => (count % 2 ? count : count - 1);
+
+// Pairs `list` top-down with someone not met yet, backtracking when the
+// rest cannot be paired; null when no such pairing exists within budget
+function pairWithoutRematches(list, met, budget) {
+  if (list.length === 0) return [];
+  const [a, ...others] = list;
+  for (let i = 0; i < others.length; i++) {
+    if (--budget.left < 0) return null;
+    const b = others[i];
+    if (met(a, b)) continue;
+    const rest = pairWithoutRematches(
+      others.filter((_, j) => j !== i),
+      met,
+      budget,
+    );
+    if (rest) return [[a, b], ...rest];
+  }
+  return null;
+}
+
+/**
+ * Next Swiss round: players are ranked by points, then seed, and paired
+ * top-down with the nearest player they have not met. With an odd number,
+ * the lowest ranked player who has not had a bye sits out. Rematches are
+ * only allowed when no pairing avoids them.
+ * @param {Object[]} standings - from computeStandings, best first
+ * @param {Array} rounds - the rounds played so far
+ */
+function swissPairings(standings, rounds) {
+  const met = new Set();
+  const byes = new Set();
+  const seatBalance = new Map(standings.map((s) => [s.userId, 0]));
+  for (const round of rounds) {
+    for (const { first, second } of round.pairings) {
+      if (second === null) {
+        byes.add(first);
+        continue;
+      }
+      met.add(`${first}|${second}`).add(`${second}|${first}`);
+      seatBalance.set(first, seatBalance.get(first) + 1);
+      seatBalance.set(second, seatBalance.get(second) - 1);
+    }
+  }
+
+  let ranked = standings.map((s) => s.userId);
+  let bye = null;
+  if (ranked.length % 2) {
+    bye =
+      [...ranked].reverse().find((id) => !byes.has(id)) ??
+      ranked[ranked.length - 1];
+    ranked = ranked.filter((id) => id !== bye);
+  }
+
+  const pairs =
+    pairWithoutRematches(ranked, (a, b) => met.has(`${a}|${b}`), {
+      left: SWISS_SEARCH_LIMIT,
+    }) ?? ranked.flatMap((id, i) => (i % 2 ? [] : [[id, ranked[i + 1]]]));
+
+  const pairings = pairs.map(([a, b]) =>
+    // The player who has opened fewer games opens this one
+    seatBalance.get(b) < seatBalance.get(a)
+      ? { first: b, second: a }
+      : { first: a, second: b },
+  );
+  if (bye !== null) pairings.push({ first: bye, second: null });
+  return pairings;
+}
+
+const swissRounds = (count) =>
+  Math.min(Math.max(1, Math.ceil(Math.log2(count))), count - 1);
+
+/**
+ * Bracket slots for `players` in seed order, padded to a power of two: seed
+ * 1 meets the lowest seed, and the top seeds get the byes.
+ */
+function seedBracket(players) {
+  let order = [1];
+  while (order.length < players.length) {
+    const size = order.length * 2;
+    order = order.flatMap((s) => [s, size + 1 - s]);
+  }
+  return order.map((s) => players[s - 1] ?? null);
+}
+
+// Consecutive entries play each other; a lone last entry or a null
+// opponent makes a bye
+function pairInOrder(entries, bracket) {
+  const pairings = [];
+  for (let i = 0; i < entries.length; i += 2) {
+    const [a, b = null] = [entries[i], entries[i + 1]];
+    pairings.push(
+      a === null
+        ? { first: b, second: null, bracket }
+        : { first: a, second: b, bracket },
+    );
+  }
+  return pairings;
+}
+
+function interleave(a, b) {
+  const out = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (i < a.length) out.push(a[i]);
+    if (i < b.length) out.push(b[i]);
+  }
+  return out;
+}
+
+/**
+ * Elimination state at the start: everyone in the winners' bracket.
+ * `lives` is 1 for single and 2 for double elimination.
+ */
+const startBracket = (players, lives) => ({
+  lives,
+  winners: seedBracket(players),
+  losers: [],
+});
+
+/**
+ * The champion once the bracket is decided, otherwise null.
+ */
+function bracketChampion({ lives, winners, losers }) {
+  const alive = [...winners, ...losers].filter((id) => id !== null);
+  if (lives === 1) return winners.length === 1 ? winners[0] : null;
+  return alive.length === 1 ? alive[0] : null;
+}
+
+/**
+ * Pairings of the next elimination round. In double elimination the
+ * winners' and losers' brackets play side by side; the last player of each
+ * meet in the final, which is played again when the winners' bracket
+ * player loses it (both then have one loss).
+ */
+function eliminationPairings({ lives, winners, losers }) {
+  if (
+    lives === 2 &&
+    winners.length < 2 &&
+    winners.length + losers.length === 2
+  ) {
+    const [a, b] = [...winners, ...losers];
+    return [{ first: a, second: b, bracket: "final" }];
+  }
+  const pairings = [];
+  if (winners.length > 1) pairings.push(...pairInOrder(winners, "winners"));
+  if (losers.length > 1 || (losers.length === 1 && winners.length > 1)) {
+    pairings.push(...pairInOrder(losers, "losers"));
+  }
+  return pairings;
+}
+
+/**
+ * Bracket after a round. `winnerOf(pairing)` names the pairing's winner.
+ * @returns {{ bracket: Object, eliminated: string[] }}
+ */
+function advanceBracket(state, pairings, winnerOf) {
+  const { lives } = state;
+  const loserOf = (p) => (winnerOf(p) === p.first ? p.second : p.first);
+  const played = (name) => pairings.filter((p) => p.bracket === name);
+  const eliminated = [];
+
+  const final = played("final")[0];
+  if (final) {
+    const winner = winnerOf(final);
+    // The winners' bracket player losing the final forces a second final
+    if (state.winners.includes(loserOf(final))) {
+      return {
+        bracket: { lives, winners: [], losers: [winner, loserOf(final)] },
+        eliminated,
+      };
+    }
+    eliminated.push(loserOf(final));
+    return { bracket: { lives, winners: [winner], losers: [] }, eliminated };
+  }
+
+  const wb = played("winners");
+  const lb = played("losers");
+  const winners = wb.length ? wb.map(winnerOf) : state.winners;
+  const dropped = wb.map(loserOf).filter((id) => id !== null);
+  const survivors = lb.length ? lb.map(winnerOf) : state.losers;
+  for (const p of lb) if (p.second !== null) eliminated.push(loserOf(p));
+
+  if (lives === 1) {
+    eliminated.push(...dropped);
+    return { bracket: { lives, winners, losers: [] }, eliminated };
+  }
+  return {
+    bracket: { lives, winners, losers: interleave(survivors, dropped) },
+    eliminated,
+  };
+}
+
+/**
+ * Points standings for round robin and Swiss: a win or bye is 1, a draw
+ * 1/2. Ties are broken by Buchholz (the sum of the opponents' points), then
+ * by seed.
+ * @param {Array<{ userId: string, seed: number }>} players
+ * @param {Array} rounds - rounds with pairing results ("first", "second", "draw")
+ */
+function computeStandings(players, rounds) {
+  const rows = new Map(
+    players.map((p) => [
+      p.userId,
+      {
+        userId: p.userId,
+        seed: p.seed,
+        points: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        byes: 0,
+        opponents: [],
+      },
+    ]),
+  );
+  for (const round of rounds) {
+    for (const p of round.pairings) {
+      if (!p.result) continue;
+      const a = rows.get(p.first);
+      if (p.second === null) {
+        a.points += 1;
+        a.byes += 1;
+        continue;
+      }
+      const b = rows.get(p.second);
+      a.opponents.push(b.userId);
+      b.opponents.push(a.userId);
+      if (p.result === "draw") {
+        a.points += 0.5;
+        b.points += 0.5;
+        a.draws++;
+        b.draws++;
+      } else {
+        const [w, l] = p.result === "first" ? [a, b] : [b, a];
+        w.points += 1;
+        w.wins++;
+        l.losses++;
+      }
+    }
+  }
+
+  const table = [...rows.values()].map(({ opponents, ...row }) => ({
+    ...row,
+    buchholz: opponents.reduce((sum, id) => sum + rows.get(id).points, 0),
+  }));
+  table.sort(
+    (x, y) => y.points - x.points || y.buchholz - x.buchholz || x.seed - y.seed,
+  );
+  return table.map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+export {
+  roundRobinPairings,
+  roundRobinRounds,
+  swissPairings,
+  swissRounds,
+  seedBracket,
+  startBracket,
+  bracketChampion,
+  eliminationPairings,
+  advanceBracket,
+  computeStandings,
+};
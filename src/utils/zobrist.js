@@ -0,0 +1,85 @@
+/**
+ * Zobrist keys for board positions.
+ *
+ * Every (cell, color) pair has a fixed random 64-bit key and a position's
+ * hash is the XOR of the keys of its stones, so placing or removing a stone
+ * updates the hash with one XOR. The board size has a key of its own, so
+ * equal stones on different board sizes hash differently.
+ *
+ * The keys come from a seeded generator and must never change: hashes are
+ * stored with games, opening books and puzzles.
+ *
+ * Unbounded boards have no cell table to draw from; their stone keys are
+ * mixed from the coordinates themselves (pointKey).
+ */
+
+const MAX_SIZE = 25;
+const MASK = (1n << 64n) - 1n;
+const SEED = 0x676f6d6f6b75n; // "gomoku"
+
+// The splitmix64 finalizer: scrambles a 64-bit value
+function mix(z) {
+  z = ((z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n) & MASK;
+  z = ((z ^ (z >> 27n)) * 0x94d049bb133111ebn) & MASK;
+  return z ^ (z >> 31n);
+}
+
+function* splitmix64(seed) {
+  let state = seed;
+  for (;;) {
+    state = (state + 0x9e3779b97f4a7c15n) & MASK;
+    yield mix(state);
+  }
+}
+
+const random = splitmix64(SEED);
+const take = (n) =>
+  BigUint64Array.from({ length: n }, () => random.next().value);
+// Stone keys first, then one key per board size; the order is part of the keys
+const STONE_KEYS = take(MAX_SIZE * MAX_SIZE * 2);
+const SIZE_KEYS = take(MAX_SIZE + 1);
+
+const COLOR_OFFSET = { B: 0, W: 1 };
+
+const stoneKey = (x, y, player) =>
+  STONE_KEYS[(y * MAX_SIZE + x) * 2 + COLOR_OFFSET[player]];
+
+const sizeKey = (size) => SIZE_KEYS[size];
+
+// Any safe integer coordinate, negative ones included
+const coordinate = (v) => BigInt.asUintN(64, BigInt(v));
+
+const pointKey = (x, y, player) =>
+  mix(
+    (mix(coordinate(x) ^ SEED) +
+      coordinate(y) * 2n +
+      BigInt(COLOR_OFFSET[player])) &
+      MASK,
+  );
+
+// The 8 rotations and reflections of an n x n board, identity first
+const SYMMETRIES = [
+  (x, y) => [x, y],
+  (x, y, n) => [n - 1 - y, x], // rotate 90°
+  (x, y, n) => [n - 1 - x, n - 1 - y], // rotate 180°
+  (x, y, n) => [y, n - 1 - x], // rotate 270°
+  (x, y, n) => [n - 1 - x, y], // mirror left-right
+  (x, y) => [y, x], // mirror on the main diagonal
+  (x, y, n) => [x, n - 1 - y], // mirror top-bottom
+  (x, y, n) => [n - 1 - y, n - 1 - x], // mirror on the anti-diagonal
+];
+
+// Index of the transform that undoes each of SYMMETRIES
+const INVERSE_SYMMETRIES = [0, 3, 2, 1, 4, 5, 6, 7];
+
+const toHex = (hash) => hash.toString(16).padStart(16, "0");
+
+export {
+  MAX_SIZE,
+  SYMMETRIES,
+  INVERSE_SYMMETRIES,
+  stoneKey,
+  sizeKey,
+  pointKey,
+  toHex,
+};
@@ -0,0 +1,1375 @@
+import { test, mock } from "node:test";
+import { strict as assert } from "node:assert";
+import { Worker } from "node:worker_threads";
+
+import {
+  createGame,
+  applyMove,
+  placeOpeningStones,
+  chooseColor,
+  undo,
+  redo,
+  requestTakeback,
+  respondToTakeback,
+  exportGame,
+  importGame,
+  exportSgf,
+  importSgf,
+  getGameDTO,
+  listGames,
+  resign,
+  offerDraw,
+  respondToDraw,
+  abort,
+  checkWin,
+  analyzeGame,
+  positionKeys,
+  joinGame,
+  offerRematch,
+  respondToRematch,
+} from "../src/services/game.service.js";
+import { getOpenings, importBook } from "../src/services/openingBook.service.js";
+import { readGameSettings } from "../src/controllers/games.controller.js";
+import {
+  createTournament,
+  register,
+  startTournament,
+  getTournament,
+  getStandings,
+} from "../src/services/tournament.service.js";
+import {
+  createPuzzle,
+  startAttempt,
+  playPuzzleMove,
+  getPuzzlePlayer,
+} from "../src/services/puzzle.service.js";
+import {
+  createChallenge,
+  acceptChallenge,
+  acceptInvite,
+  declineChallenge,
+  cancelChallenge,
+  listChallenges,
+} from "../src/services/challenge.service.js";
+import {
+  joinQueue,
+  leaveQueue,
+  findMatches,
+  getQueueEntry,
+  RATING_WINDOW,
+} from "../src/services/matchmaking.service.js";
+import {
+  getPlayerRatings,
+  getRatingHistory,
+  getLeaderboard,
+  speedOf,
+} from "../src/services/rating.service.js";
+import userDb from "../src/models/userdb.js";
+import ratingDb from "../src/models/ratingdb.js";
+import tournamentDb from "../src/models/tournamentdb.js";
+import gameDb from "../src/models/gamedb.js";
+import { findForbiddenPattern } from "../src/utils/renju.js";
+import { chooseMove } from "../src/utils/gomokuAi.js";
+import { Board } from "../src/utils/board.js";
+import {
+  createClock,
+  startClock,
+  stopClock,
+  clockView,
+} from "../src/utils/gameClock.js";
+
+const play = async (gameId, moves) => {
+  let dto;
+  for (const [x, y] of moves) {
+    dto = await applyMove({ gameId, x, y });
+  }
+  return dto;
+};
+
+// Builds a board from rows of "B", "W" and "." (top row is y = 0)
+const boardFrom = (rows) =>
+  rows.map((r) => [...r].map((c) => (c === "." ? null : c)));
+
+test("checkWin reports the ordered winning line", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+  });
+
+  // Black fills (3..7, 7) out of order, White plays on row 0
+  const dto = await play(gameId, [
+    [5, 7], [0, 0],
+    [3, 7], [1, 0],
+    [7, 7], [2, 0],
+    [4, 7], [3, 0],
+    [6, 7],
+  ]);
+
+  assert.equal(dto.status, "won");
+  assert.equal(dto.winner, "B");
+  assert.deepEqual(dto.winningLine, [
+    { x: 3, y: 7 },
+    { x: 4, y: 7 },
+    { x: 5, y: 7 },
+    { x: 6, y: 7 },
+    { x: 7, y: 7 },
+  ]);
+});
+
+test("Overlines report the full run when allowed", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+  });
+
+  // Diagonal ↗ with a gap at (4, 4), filled last to make six in a row
+  const dto = await play(gameId, [
+    [1, 7], [0, 0],
+    [2, 6], [1, 0],
+    [3, 5], [2, 0],
+    [5, 3], [3, 0],
+    [6, 2], [5, 0],
+    [4, 4],
+  ]);
+
+  assert.equal(dto.status, "won");
+  assert.equal(dto.winningLine.length, 6);
+  assert.deepEqual(dto.winningLine[0], { x: 1, y: 7 });
+  assert.deepEqual(dto.winningLine[5], { x: 6, y: 2 });
+});
+
+test("Overlines do not win when disallowed", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: false,
+  });
+
+  const dto = await play(gameId, [
+    [0, 7], [0, 0],
+    [1, 7], [1, 0],
+    [2, 7], [2, 0],
+    [4, 7], [3, 0],
+    [5, 7], [5, 0],
+    [3, 7],
+  ]);
+
+  assert.equal(dto.status, "ongoing");
+  assert.equal(dto.winningLine, null);
+});
+
+test("Renju flags double-three, double-four and overline for Black", () => {
+  const board = boardFrom([
+    "BBB.BB...",
+    ".........",
+    ".........",
+    ".........",
+    ".....BB..",
+    "....B....",
+    "....B....",
+    ".........",
+    ".........",
+  ]);
+
+  // (4, 4) opens the horizontal three on row 4 and the vertical one on column 4
+  assert.equal(findForbiddenPattern(board, { x: 4, y: 4 }), "double-three");
+  assert.equal(findForbiddenPattern(board, { x: 7, y: 4 }), null);
+  assert.equal(findForbiddenPattern(board, { x: 3, y: 0 }), "overline");
+  assert.equal(board[4][4], null);
+
+  const fours = boardFrom([
+    ".......",
+    "...B...",
+    "...B...",
+    "...B...",
+    ".......",
+    "BBB....",
+    ".......",
+  ]);
+  assert.equal(findForbiddenPattern(fours, { x: 3, y: 5 }), "double-four");
+  assert.equal(findForbiddenPattern(fours, { x: 3, y: 4 }), null);
+});
+
+test("Renju exact five wins for Black even when it makes a four too", () => {
+  const board = boardFrom([
+    ".......",
+    "...B...",
+    "...B...",
+    "...B...",
+    "...B...",
+    ".......",
+    "BBB....",
+    ".......",
+  ]);
+  assert.equal(findForbiddenPattern(board, { x: 3, y: 5 }), null);
+});
+
+test("Renju applyMove rejects forbidden moves and lets White overline", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    ruleSet: "renju",
+  });
+
+  await play(gameId, [
+    [7, 7], [0, 14],
+    [8, 7], [1, 14],
+    [6, 8], [0, 13],
+    [6, 9], [5, 14],
+  ]);
+
+  await assert.rejects(applyMove({ gameId, x: 6, y: 7 }), (err) => {
+    assert.equal(err.code, "FORBIDDEN_MOVE");
+    assert.equal(err.pattern, "double-three");
+    return true;
+  });
+
+  // White completes a six on row 14 while Black plays elsewhere
+  const dto = await play(gameId, [
+    [12, 0], [2, 14],
+    [12, 2], [4, 14],
+    [12, 4], [3, 14],
+  ]);
+  assert.equal(dto.status, "won");
+  assert.equal(dto.winner, "W");
+  assert.equal(dto.winningLine.length, 6);
+});
+
+test("Swap2 lets the second seat place two more stones before choosing", async () => {
+  const { gameId, status, opening } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    opening: "swap2",
+    takebacks: { mode: "free", limit: null },
+  });
+  assert.equal(status, "opening");
+  assert.deepEqual(opening.stones, ["B", "W", "B"]);
+
+  await assert.rejects(applyMove({ gameId, x: 7, y: 7 }), {
+    code: "INVALID_STATE",
+  });
+
+  let dto = await placeOpeningStones({
+    gameId,
+    stones: [
+      { x: 7, y: 7 },
+      { x: 8, y: 8 },
+      { x: 6, y: 8 },
+    ],
+  });
+  assert.equal(dto.status, "color_choice");
+  assert.equal(dto.opening.awaiting, "second");
+  assert.deepEqual(dto.opening.options, ["black", "white", "place2"]);
+
+  dto = await chooseColor({ gameId, choice: "place2" });
+  assert.equal(dto.status, "opening");
+  assert.deepEqual(dto.opening.stones, ["W", "B"]);
+
+  dto = await placeOpeningStones({
+    gameId,
+    stones: [
+      { x: 9, y: 9 },
+      { x: 5, y: 5 },
+    ],
+  });
+  assert.equal(dto.opening.awaiting, "first");
+
+  dto = await chooseColor({ gameId, choice: "black" });
+  assert.equal(dto.status, "ongoing");
+  assert.deepEqual(dto.colors, { first: "B", second: "W" });
+  assert.equal(dto.nextPlayer, "W");
+  assert.equal(dto.moves.length, 5);
+
+  // Only the move after the opening can be taken back
+  await applyMove({ gameId, x: 0, y: 0 });
+  dto = await undo({ gameId, steps: 3 });
+  assert.equal(dto.undone, 1);
+  assert.equal(dto.moves.length, 5);
+});
+
+test("Pro opening restricts Black's first two stones", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    opening: "longpro",
+  });
+
+  await assert.rejects(applyMove({ gameId, x: 0, y: 0 }), {
+    code: "OPENING_VIOLATION",
+  });
+  await play(gameId, [
+    [7, 7],
+    [8, 7],
+  ]);
+  await assert.rejects(applyMove({ gameId, x: 10, y: 10 }), {
+    code: "OPENING_VIOLATION",
+  });
+  const dto = await applyMove({ gameId, x: 11, y: 7 });
+  assert.equal(dto.moves.length, 3);
+});
+
+test("Caro five blocked at both ends does not win", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    ruleSet: "caro",
+  });
+
+  // White caps row 7 at (2, 7) and (8, 7); Black fills (3..7, 7)
+  let dto = await play(gameId, [
+    [3, 7], [2, 7],
+    [4, 7], [8, 7],
+    [5, 7], [0, 0],
+    [6, 7], [1, 0],
+    [7, 7],
+  ]);
+  assert.equal(dto.status, "ongoing");
+
+  // An open-ended five on column 10 still wins
+  dto = await play(gameId, [
+    [10, 3], [0, 14],
+    [10, 4], [1, 14],
+    [10, 5], [3, 14],
+    [10, 6], [5, 14],
+    [10, 7],
+  ]);
+  assert.equal(dto.status, "won");
+  assert.equal(dto.winner, "W");
+});
+
+test("Fischer clocks add the increment after each move", () => {
+  const clock = createClock({
+    type: "fischer",
+    initialMs: 10000,
+    incrementMs: 2000,
+  });
+  startClock(clock, "B", 0);
+  assert.equal(stopClock(clock, 3000), false);
+  assert.equal(clock.remaining.B, 9000);
+
+  startClock(clock, "W", 3000);
+  assert.equal(clockView(clock, 4000).W.remainingMs, 9000);
+  assert.equal(stopClock(clock, 13000), true);
+  assert.equal(clock.remaining.W, 0);
+});
+
+test("Byo-yomi only loses periods that run out completely", () => {
+  const clock = createClock({
+    type: "byoyomi",
+    initialMs: 1000,
+    periods: 3,
+    periodMs: 5000,
+  });
+  startClock(clock, "B", 0);
+  // 1s main time + 7s: one full period used, move made within the second
+  assert.equal(stopClock(clock, 8000), false);
+  assert.deepEqual([clock.remaining.B, clock.periods.B], [0, 2]);
+
+  startClock(clock, "B", 8000);
+  const view = clockView(clock, 11000).B;
+  assert.deepEqual(view, { remainingMs: 2000, periods: 2, inByoyomi: true });
+  assert.equal(stopClock(clock, 18000), true);
+});
+
+test("A player who runs out of time loses by timeout", async () => {
+  const { gameId, clock } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    timeControl: { type: "sudden", initialMs: 50 },
+  });
+  assert.equal(clock.running, null);
+
+  const dto = await applyMove({ gameId, x: 7, y: 7 });
+  assert.equal(dto.clock.running, "W");
+
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  const ended = await getGameDTO(gameId);
+  assert.equal(ended.status, "timeout");
+  assert.equal(ended.winner, "B");
+  assert.equal(ended.clock.W.remainingMs, 0);
+  await assert.rejects(applyMove({ gameId, x: 8, y: 8 }), {
+    code: "INVALID_STATE",
+  });
+});
+
+test("Resignation, draw agreement and abort end the game with a reason", async () => {
+  const options = {
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+  };
+
+  const a = await createGame({
+    ...options,
+    takebacks: { mode: "free", limit: null },
+  });
+  await applyMove({ gameId: a.gameId, x: 7, y: 7 });
+  let dto = await resign({ gameId: a.gameId, player: "W" });
+  assert.deepEqual([dto.status, dto.reason, dto.winner], [
+    "resigned",
+    "resignation",
+    "B",
+  ]);
+  await assert.rejects(undo({ gameId: a.gameId }), { code: "INVALID_STATE" });
+
+  const b = await createGame(options);
+  await offerDraw({ gameId: b.gameId, player: "B" });
+  await assert.rejects(
+    respondToDraw({ gameId: b.gameId, player: "B", accept: true }),
+    { code: "NO_DRAW_OFFER" },
+  );
+  dto = await respondToDraw({ gameId: b.gameId, player: "W", accept: false });
+  assert.equal(dto.drawOffer, null);
+  await offerDraw({ gameId: b.gameId, player: "W" });
+  dto = await respondToDraw({ gameId: b.gameId, player: "B", accept: true });
+  assert.deepEqual([dto.status, dto.reason, dto.winner], [
+    "draw",
+    "agreement",
+    null,
+  ]);
+
+  const c = await createGame(options);
+  await play(c.gameId, [
+    [7, 7],
+    [8, 8],
+  ]);
+  await assert.rejects(abort({ gameId: c.gameId }), {
+    code: "ABORT_NOT_ALLOWED",
+  });
+  const d = await createGame(options);
+  dto = await abort({ gameId: d.gameId });
+  assert.deepEqual([dto.status, dto.reason], ["aborted", "aborted"]);
+});
+
+test("Takebacks need the opponent's approval and respect the limit", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    takebacks: { mode: "request", limit: 1 },
+  });
+  await play(gameId, [
+    [7, 7],
+    [8, 8],
+    [9, 9],
+  ]);
+
+  await assert.rejects(undo({ gameId }), { code: "TAKEBACK_NOT_ALLOWED" });
+
+  // White asks with Black to move: White's move and Black's reply come off
+  let dto = await requestTakeback({ gameId, player: "W" });
+  assert.deepEqual(dto.takeback, { requestedBy: "W", steps: 2 });
+  await assert.rejects(
+    respondToTakeback({ gameId, player: "W", accept: true }),
+    { code: "NO_TAKEBACK_REQUEST" },
+  );
+  dto = await respondToTakeback({ gameId, player: "B", accept: true });
+  assert.equal(dto.moves.length, 1);
+  assert.equal(dto.nextPlayer, "W");
+  assert.deepEqual(dto.takebacksUsed, { B: 0, W: 1 });
+
+  await applyMove({ gameId, x: 8, y: 8 });
+  await assert.rejects(requestTakeback({ gameId, player: "W" }), {
+    code: "TAKEBACK_LIMIT",
+  });
+});
+
+test("Undone moves can be redone until a new move is played", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    takebacks: { mode: "free", limit: null },
+  });
+  await play(gameId, [
+    [3, 7], [0, 0],
+    [4, 7], [1, 0],
+    [5, 7], [2, 0],
+    [6, 7], [3, 0],
+    [7, 7],
+  ]);
+
+  let dto = await undo({ gameId, steps: 3 });
+  assert.equal(dto.status, "ongoing");
+  assert.equal(dto.redoCount, 3);
+
+  dto = await redo({ gameId, steps: 5 });
+  assert.equal(dto.redone, 3);
+  assert.equal(dto.status, "won");
+  assert.deepEqual([dto.moves.at(-1).x, dto.moves.at(-1).y], [7, 7]);
+
+  await undo({ gameId, steps: 2 });
+  dto = await applyMove({ gameId, x: 10, y: 10 });
+  assert.equal(dto.redoCount, 0);
+  await assert.rejects(redo({ gameId }), { code: "NOTHING_TO_REDO" });
+});
+
+test("Undoing every move gives the turn back to the game's first player", async () => {
+  const { gameId } = await createGame({
+    size: 15,
+    firstPlayer: "W",
+    winLength: 5,
+    allowOverlines: true,
+    takebacks: { mode: "free", limit: null },
+  });
+  await play(gameId, [[7, 7], [8, 8], [9, 9]]);
+
+  const dto = await undo({ gameId, steps: 3 });
+  assert.equal(dto.moves.length, 0);
+  assert.equal(dto.nextPlayer, "W");
+});
+
+test("Games export to and import from algebraic, RenLib and PSQ text", async () => {
+  const rules = { winLength: 5, allowOverlines: true, ruleSet: "freestyle" };
+  const a = await importGame({
+    ...rules,
+    format: "algebraic",
+    content: "1. h8 i9 2. h9 i10",
+  });
+  assert.deepEqual(
+    a.moves.map(({ x, y, player }) => [x, y, player]),
+    [
+      [7, 7, "B"],
+      [8, 6, "W"],
+      [7, 6, "B"],
+      [8, 5, "W"],
+    ],
+  );
+  assert.equal(
+    await exportGame({ gameId: a.gameId, format: "renlib" }),
+    "h8i9h9i10",
+  );
+
+  const b = await importGame({
+    ...rules,
+    format: "psq",
+    content: "Piskvorky 20x20, 11:11, 0\n10,10,0\n11,11,1500\n10,11,250\n-1\nAI\n",
+  });
+  assert.equal(b.size, 20);
+  assert.deepEqual([b.moves[1].x, b.moves[1].y], [10, 10]);
+  const psq = await exportGame({ gameId: b.gameId, format: "psq" });
+  assert.equal(
+    psq,
+    "Piskvorky 20x20, 11:11, 0\n10,10,0\n11,11,1500\n10,11,250\n-1\n",
+  );
+});
+
+test("Import rejects files with illegal moves", async () => {
+  await assert.rejects(
+    importGame({
+      winLength: 5,
+      allowOverlines: true,
+      ruleSet: "freestyle",
+      format: "algebraic",
+      content: "h8 i9 h8",
+    }),
+    (err) => {
+      assert.equal(err.code, "INVALID_MOVE");
+      assert.equal(err.moveIndex, 2);
+      return true;
+    },
+  );
+  await assert.rejects(
+    importGame({ format: "psq", content: "10,10,0" }),
+    { code: "PARSE_ERROR" },
+  );
+});
+
+test("SGF round-trips rules, players, result, times, comments and variations", async () => {
+  const sgf =
+    "(;GM[4]FF[4]SZ[15]RU[renju]WINLEN[5]OVERLINES[0]PB[Alice]PW[Bob]" +
+    "RE[W+R]C[Club game]" +
+    ";B[hh]MT[1000];W[ii]MT[2500]C[Solid \\] reply]" +
+    "(;B[hi]MT[500];W[gg])" +
+    "(;B[jj]C[Sharper](;W[kk])(;W[gg])))";
+  const dto = await importSgf({ content: sgf });
+
+  assert.equal(dto.config.ruleSet, "renju");
+  assert.equal(dto.config.allowOverlines, false);
+  assert.deepEqual(dto.playerNames, { B: "Alice", W: "Bob" });
+  assert.equal(dto.status, "resigned");
+  assert.equal(dto.winner, "W");
+  assert.equal(dto.moves.length, 4);
+  assert.equal(dto.moves[1].comment, "Solid ] reply");
+  assert.equal(dto.moves[1].ts - dto.moves[0].ts, 2500);
+  assert.equal(dto.variations.length, 1);
+  assert.equal(dto.variations[0].at, 2);
+  assert.equal(dto.variations[0].variations[0].at, 3);
+
+  const out = await exportSgf({ gameId: dto.gameId });
+  assert.match(out, /RU\[renju\]WINLEN\[5\]OVERLINES\[0\]PB\[Alice\]PW\[Bob\]RE\[W\+R\]/);
+  assert.match(out, /;B\[hh\]MT\[1000\];W\[ii\]MT\[2500\]C\[Solid \\\] reply\]/);
+  assert.match(out, /\(;B\[hi\]MT\[500\];W\[gg\]\)\(;B\[jj\]C\[Sharper\]\(;W\[kk\]\)\(;W\[gg\]\)\)\)/);
+
+  const again = await importSgf({ content: out });
+  assert.deepEqual(again.board, dto.board);
+  assert.deepEqual(again.variations, dto.variations);
+  assert.equal(again.status, "resigned");
+});
+
+test("SGF import rejects illegal variations and other games", async () => {
+  await assert.rejects(
+    importSgf({ content: "(;GM[4]SZ[15];B[hh];W[ii](;B[jj])(;B[hh]))" }),
+    (err) => {
+      assert.equal(err.code, "INVALID_MOVE");
+      assert.match(err.message, /^Variation at move 3/);
+      return true;
+    },
+  );
+  await assert.rejects(importSgf({ content: "(;GM[4];B[hh];B[ii])" }), {
+    code: "INVALID_MOVE",
+  });
+  await assert.rejects(importSgf({ content: "(;GM[1]SZ[19];B[dd])" }), {
+    code: "PARSE_ERROR",
+  });
+  await assert.rejects(importSgf({ content: "(;".repeat(33000) }), {
+    code: "PARSE_ERROR",
+  });
+  // Thousands of sibling variations off a long main line
+  const line = Array.from({ length: 200 }, (_, i) => `;${"BW"[i % 2]}[${String.fromCharCode(97 + (i % 15), 97 + Math.floor(i / 15))}]`).join("");
+  await assert.rejects(importSgf({ content: `(;GM[4]SZ[15]${line}${"(;B[oo])".repeat(3000)})` }), {
+    code: "PARSE_ERROR",
+  });
+});
+
+test("Games opened by White round-trip through SGF and notation imports", async () => {
+  const { gameId } = await createGame({ size: 9, firstPlayer: "W", winLength: 5, allowOverlines: true });
+  const dto = await play(gameId, [[4, 4], [3, 3], [5, 5]]);
+
+  const sgf = await exportSgf({ gameId });
+  assert.match(sgf, /;W\[ee\](MT\[\d+\])?;B\[dd\]/);
+  const again = await importSgf({ content: sgf });
+  assert.deepEqual([again.board, again.nextPlayer], [dto.board, "B"]);
+
+  const text = await exportGame({ gameId, format: "algebraic" });
+  const imported = await importGame({ format: "algebraic", content: text, size: 9, firstPlayer: "W", winLength: 5, allowOverlines: true });
+  assert.deepEqual(imported.board, dto.board);
+  await assert.rejects(importSgf({ content: "(;GM[4]SZ[15]RU[renju];W[hh])" }), { code: "PARSE_ERROR" });
+});
+
+const freestyleRules = {
+  winLength: 5,
+  isLegal: () => true,
+  isWin(board, x, y, player) {
+    board[y][x] = player;
+    const { winner } = checkWin(board, { x, y, player, winLength: 5, allowOverlines: true });
+    board[y][x] = null;
+    return winner !== null;
+  },
+};
+
+test("AI takes a win, blocks a four and respects illegal points", () => {
+  const board = boardFrom([
+    ".........",
+    ".........",
+    "..BBBB...",
+    ".........",
+    "..WWWW...",
+    ".........",
+    ".........",
+    ".........",
+    ".........",
+  ]);
+  for (const difficulty of ["easy", "medium", "hard"]) {
+    const win = chooseMove(board, "W", freestyleRules, { difficulty });
+    assert.ok([1, 6].includes(win.x) && win.y === 4, difficulty);
+  }
+
+  // With its own four gone, White has to stop Black's
+  board[4][2] = null;
+  const block = chooseMove(board, "W", freestyleRules, { difficulty: "medium" });
+  assert.ok([1, 6].includes(block.x) && block.y === 2);
+
+  const rules = { ...freestyleRules, isLegal: (_b, x, y) => !(x === 1 && y === 2) };
+  assert.deepEqual(chooseMove(board, "W", rules, { difficulty: "hard" }), { x: 6, y: 2 });
+});
+
+test("pve games answer human moves and accept takebacks", async (t) => {
+  const game = await createGame({
+    size: 15,
+    firstPlayer: "B",
+    winLength: 5,
+    allowOverlines: true,
+    mode: "pve",
+    ai: { player: "B", difficulty: "easy" },
+  });
+  // The computer opens in the center
+  assert.deepEqual([game.moves[0].x, game.moves[0].y, game.nextPlayer], [7, 7, "W"]);
+
+  const after = await applyMove({ gameId: game.gameId, x: 0, y: 0 });
+  assert.equal(after.moves.length, 3);
+  assert.equal(after.moves[2].player, "B");
+  assert.equal(after.nextPlayer, "W");
+
+  const undone = await requestTakeback({ gameId: game.gameId, player: "W" });
+  assert.equal(undone.moves.length, 1);
+  assert.equal(undone.takeback, null);
+  assert.equal(undone.takebacksUsed.W, 1);
+
+  // An engine failure keeps the human's move; loading the game tries again
+  const post = t.mock.method(Worker.prototype, "postMessage", function ({ id }) {
+    setImmediate(() => this.emit("message", { id, error: "engine down" }));
+  });
+  await assert.rejects(applyMove({ gameId: game.gameId, x: 1, y: 1 }), { code: "ENGINE_ERROR", gameId: game.gameId });
+  post.mock.restore();
+  const retried = await getGameDTO(game.gameId);
+  assert.deepEqual([retried.moves.length, retried.moves[1].x, retried.nextPlayer], [3, 1, "W"]);
+});
+
+test("Analysis lists threats, double-threat points and forced wins", async () => {
+  // Black: an open three on row 3, a broken three on the diagonal from (4,3)
+  // and a double-three point at (7,5)
+  const moves = [[5, 5], [2, 9], [6, 5], [9, 9], [7, 6], [4, 10], [7, 7], [12, 12],
+    [4, 3], [13, 13], [5, 3], [13, 12], [6, 3], [12, 13], [9, 12], [0, 0], [11, 12], [0, 14]];
+  const free = await createGame({ size: 15, firstPlayer: "B", winLength: 5, allowOverlines: true });
+  await play(free.gameId, moves);
+  const mirror = await createGame({ size: 15, firstPlayer: "B", winLength: 5, allowOverlines: true });
+  await play(mirror.gameId, moves.map(([x, y]) => [14 - x, y]));
+  // Incomplete analyses are not kept, so both are asked for while one is pending
+  const [a, m] = await Promise.all([analyzeGame({ gameId: free.gameId }), analyzeGame({ gameId: mirror.gameId })]);
+
+  assert.equal(a.toMove, "B");
+  assert.deepEqual(a.B.openThrees.map((t) => t.points), [[{ x: 3, y: 3 }, { x: 7, y: 3 }]]);
+  assert.deepEqual(a.B.brokenThrees.map((t) => t.points), [[{ x: 5, y: 4 }]]);
+  assert.ok(a.B.doubleThreats.some((d) => d.x === 7 && d.y === 5 && d.kind === "three-three"));
+  // The open three becomes an open four: a three-move VCF
+  assert.equal(a.B.forcedWin.type, "vcf");
+  assert.equal(a.B.forcedWin.line.length, 3);
+  // White's two-by-two square makes no threat
+  assert.deepEqual([a.W.fours, a.W.openThrees, a.W.forcedWin], [[], [], null]);
+
+  // The mirrored position shares the analysis, mapped onto its own board
+  assert.deepEqual(new Set(m.B.openThrees[0].points.map((p) => p.x)), new Set([11, 7]));
+  assert.ok(m.B.doubleThreats.some((d) => d.x === 7 && d.y === 5 && d.kind === "three-three"));
+  assert.deepEqual(m.B.forcedWin.line.map((p) => 14 - p.x), a.B.forcedWin.line.map((p) => p.x));
+
+  // Finished games are not analyzed
+  await resign({ gameId: mirror.gameId, player: "W" });
+  await assert.rejects(analyzeGame({ gameId: mirror.gameId }), { code: "INVALID_STATE" });
+
+  // In renju the double three is forbidden for Black
+  const renju = await createGame({ size: 15, firstPlayer: "B", winLength: 5, allowOverlines: false, ruleSet: "renju" });
+  await play(renju.gameId, moves);
+  const r = await analyzeGame({ gameId: renju.gameId });
+  assert.ok(!r.B.doubleThreats.some((d) => d.x === 7 && d.y === 5));
+});
+
+test("Analyses cut short by the time limit are run again", async (t) => {
+  const game = await createGame({ size: 15, firstPlayer: "B", winLength: 5, allowOverlines: true });
+  await play(game.gameId, [[1, 2], [3, 4]]);
+  const side = { fours: [], openThrees: [], brokenThrees: [], doubleThreats: [], forcedWin: null };
+  const post = t.mock.method(Worker.prototype, "postMessage", function ({ id }) {
+    const result = { B: { ...side, searchComplete: false }, W: { ...side, searchComplete: true } };
+    setImmediate(() => this.emit("message", { id, result }));
+  });
+  const a = await analyzeGame({ gameId: game.gameId });
+  assert.equal(a.B.searchComplete, false);
+  await analyzeGame({ gameId: game.gameId });
+  assert.equal(post.mock.callCount(), 2);
+});
+
+test("Board updates in place and checks wins along the new stone's lines", () => {
+  const rows = boardFrom([
+    "W....",
+    ".B...",
+    "..B..",
+    "...B.",
+    ".....",
+  ]);
+  const board = Board.fromRows(rows);
+  assert.deepEqual(board.toRows(), rows);
+  assert.equal(board.stones, 4);
+
+  board.place(4, 4, "B");
+  // Four in a row is an overline when three win
+  assert.deepEqual(board.checkWin(4, 4, "B", { winLength: 3, allowOverlines: false }), {
+    winner: null,
+    line: null,
+  });
+  assert.deepEqual(
+    board.checkWin(4, 4, "B", { winLength: 4, allowOverlines: true }).line,
+    [{ x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }, { x: 4, y: 4 }],
+  );
+
+  board.remove(4, 4);
+  assert.equal(board.stones, 4);
+  assert.throws(() => board.place(1, 1, "W"), /OCCUPIED/);
+
+  const full = new Board(2);
+  [[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([x, y], i) => full.place(x, y, i % 2 ? "W" : "B"));
+  assert.equal(full.isFull(), true);
+});
+
+test("Zobrist keys are stable, incremental and equal across symmetries", async () => {
+  // Stored keys depend on these values never changing
+  assert.equal(new Board(15).positionKey(), "52b292b9c59b5d12");
+  const center = new Board(15);
+  center.place(7, 7, "B");
+  assert.equal(center.positionKey(), "256765489d448258");
+
+  const board = new Board(15);
+  board.place(3, 4, "B");
+  const key = board.positionKey();
+  board.place(9, 2, "W");
+  board.remove(9, 2);
+  assert.equal(board.positionKey(), key);
+
+  // The same shape rotated and mirrored
+  const a = await createGame({ size: 15, firstPlayer: "B", winLength: 5, allowOverlines: true });
+  const b = await createGame({ size: 15, firstPlayer: "B", winLength: 5, allowOverlines: true });
+  const dtoA = await play(a.gameId, [[3, 4], [5, 5], [3, 5]]);
+  const dtoB = await play(b.gameId, [[10, 3], [9, 5], [9, 3]]);
+  assert.notEqual(dtoA.positionKey, dtoB.positionKey);
+  assert.equal(dtoA.canonicalKey, dtoB.canonicalKey);
+  assert.equal(dtoA.moves[2].canonicalKey, dtoA.canonicalKey);
+  assert.deepEqual(positionKeys(dtoB.board), {
+    positionKey: dtoB.positionKey,
+    canonicalKey: dtoB.canonicalKey,
+  });
+});
+
+test("Finished games build the opening book across symmetries", async () => {
+  // A book of its own, so games from other tests do not show up
+  const options = { size: 9, firstPlayer: "B", winLength: 4, allowOverlines: true };
+  const book = { size: 9, ruleSet: "freestyle", winLength: 4 };
+
+  const a = await createGame(options);
+  await play(a.gameId, [[4, 4], [4, 5], [5, 4], [5, 5], [6, 4], [6, 5], [7, 4]]);
+  // The same game mirrored left-right
+  const b = await createGame(options);
+  await play(b.gameId, [[4, 4], [4, 5], [3, 4], [3, 5], [2, 4], [2, 5], [1, 4]]);
+  const c = await createGame(options);
+  await play(c.gameId, [[4, 4], [5, 5]]);
+  await offerDraw({ gameId: c.gameId, player: "B" });
+  await respondToDraw({ gameId: c.gameId, player: "W", accept: true });
+  // Aborted games and games still going are not counted
+  const d = await createGame(options);
+  await abort({ gameId: d.gameId });
+  const e = await createGame(options);
+  await play(e.gameId, [[4, 4], [0, 0]]);
+
+  let view = await getOpenings({ ...book, moves: "" });
+  assert.deepEqual([view.games, view.wins, view.draws], [3, { B: 2, W: 0 }, 1]);
+  assert.deepEqual(view.next.map((n) => [n.move, n.games, n.frequency]), [["e5", 3, 1]]);
+
+  // A lone center stone is symmetric, so e4 and f4 come back as their
+  // equivalents e6 and d6
+  view = await getOpenings({ ...book, moves: "e5" });
+  assert.equal(view.toMove, "W");
+  assert.deepEqual(
+    view.next.map((n) => [n.move, n.games, n.wins.B, n.draws]),
+    [["e6", 2, 2, 0], ["d6", 1, 0, 1]],
+  );
+  assert.equal(view.next[1].frequency, 1 / 3);
+
+  // Both frames of the mirrored games, each answered in its own coordinates
+  view = await getOpenings({ ...book, moves: "e5 e4 f5" });
+  assert.deepEqual(view.next.map((n) => [n.move, n.x, n.y, n.games]), [["f4", 5, 5, 2]]);
+  view = await getOpenings({ ...book, moves: "e5,e4,d5" });
+  assert.deepEqual(view.next.map((n) => [n.move, n.games]), [["d4", 2]]);
+
+  // Curated lines add to the played games
+  const imported = await importBook({ ...book, lines: [{ moves: "e5 f4 d4", wins: { W: 3 } }] });
+  assert.deepEqual(imported, { lines: 1, positions: 4 });
+  view = await getOpenings({ ...book, moves: "e5" });
+  assert.deepEqual([view.games, view.wins.W], [6, 3]);
+  assert.deepEqual(view.next.map((n) => [n.move, n.games]), [["d6", 4], ["e6", 2]]);
+
+  await assert.rejects(getOpenings({ ...book, moves: "e5 e5" }), { code: "INVALID_MOVE", moveIndex: 1 });
+  await assert.rejects(importBook({ ...book, lines: [{ moves: "e5 f4" }] }), {
+    code: "PARSE_ERROR",
+    lineIndex: 0,
+  });
+});
+
+test("Puzzles publish only verified wins and check solvers move by move", async (t) => {
+  // Black to move wins in 3 by VCF: h9 (W h12), h8 (W i8), h7
+  const board = boardFrom([
+    "WW.............",
+    "W......W.......",
+    "W......B.......",
+    "...............",
+    ".......B.......",
+    ".......B.......",
+    "...............",
+    "...WBBB........",
+    ...Array(7).fill("..............."),
+  ]);
+  const claim = { type: "vcf", moves: 3 };
+
+  await assert.rejects(
+    createPuzzle({ board, claim, solution: "h9 h12 i8 j8 h7", authorId: "u0" }),
+    { code: "INVALID_SOLUTION", moveIndex: 2 },
+  );
+  await assert.rejects(
+    createPuzzle({ board, claim: { type: "vcf", moves: 2 }, solution: "h9 h12 h8", authorId: "u0" }),
+    { code: "INVALID_SOLUTION", moveIndex: 0 },
+  );
+  const puzzle = await createPuzzle({ board, claim, solution: "h9 h12 h8 i8 h7", authorId: "u0" });
+  assert.equal(puzzle.title, "Black wins in 3 by VCF");
+  assert.equal(puzzle.toMove, "B");
+  assert.equal(puzzle.solution, undefined);
+  // Mirrored, it is the same puzzle
+  await assert.rejects(
+    createPuzzle({ board: board.map((row) => row.slice().reverse()), claim, solution: "h9 h12 h8 g8 h7", authorId: "u0" }),
+    { code: "DUPLICATE" },
+  );
+
+  // A right move gets the defence, the winning move solves the puzzle
+  let attempt = await startAttempt({ puzzleId: puzzle.puzzleId, userId: "u1" });
+  assert.equal(attempt.rated, true);
+  let dto = await playPuzzleMove({ puzzleId: puzzle.puzzleId, attemptId: attempt.attemptId, userId: "u1", x: 7, y: 6 });
+  assert.deepEqual([dto.correct, dto.reply, dto.status], [true, { x: 7, y: 3, player: "W" }, "ongoing"]);
+  await assert.rejects(
+    playPuzzleMove({ puzzleId: puzzle.puzzleId, attemptId: attempt.attemptId, userId: "u2", x: 7, y: 7 }),
+    { code: "FORBIDDEN" },
+  );
+  dto = await playPuzzleMove({ puzzleId: puzzle.puzzleId, attemptId: attempt.attemptId, userId: "u1", x: 7, y: 7 });
+  dto = await playPuzzleMove({ puzzleId: puzzle.puzzleId, attemptId: attempt.attemptId, userId: "u1", x: 7, y: 8 });
+  assert.equal(dto.status, "solved");
+  assert.equal(dto.solution.length, 5);
+  assert.ok(dto.ratingChange > 0);
+  assert.equal(dto.rating, 1500 + dto.ratingChange);
+
+  // A wrong move fails; later attempts are not rated
+  attempt = await startAttempt({ puzzleId: puzzle.puzzleId, userId: "u2" });
+  dto = await playPuzzleMove({ puzzleId: puzzle.puzzleId, attemptId: attempt.attemptId, userId: "u2", x: 12, y: 12 });
+  assert.deepEqual([dto.correct, dto.status], [false, "failed"]);
+  assert.ok(dto.ratingChange < 0);
+  attempt = await startAttempt({ puzzleId: puzzle.puzzleId, userId: "u2" });
+  assert.equal(attempt.rated, false);
+  assert.deepEqual(await getPuzzlePlayer("u2"), {
+    userId: "u2",
+    rating: 1500 + dto.ratingChange,
+    attempts: 2,
+    solved: 0,
+    failed: 1,
+  });
+
+  // A proven move off the main line that leaves no defence solves the puzzle
+  attempt = await startAttempt({ puzzleId: puzzle.puzzleId, userId: "u3" });
+  t.mock.method(Worker.prototype, "postMessage", function ({ id }) {
+    setImmediate(() => this.emit("message", { id, result: { proven: true, line: [{ x: 14, y: 14 }] } }));
+  });
+  dto = await playPuzzleMove({ puzzleId: puzzle.puzzleId, attemptId: attempt.attemptId, userId: "u3", x: 14, y: 14 });
+  assert.deepEqual([dto.correct, dto.reply, dto.status], [true, null, "solved"]);
+});
+
+test("Game listings filter and page through games by updatedAt", async () => {
+  // Only these games have size 7
+  const options = { size: 7, firstPlayer: "B", winLength: 4, allowOverlines: true };
+  const ids = [];
+  for (let i = 0; i < 5; i++) ids.push((await createGame(options)).gameId);
+  await play(ids[1], [[0, 0], [6, 6], [1, 0], [6, 5], [2, 0], [6, 4], [3, 0]]);
+  await offerDraw({ gameId: ids[3], player: "B" });
+  await respondToDraw({ gameId: ids[3], player: "W", accept: true });
+
+  const seen = [];
+  let page = { nextCursor: undefined };
+  do {
+    page = await listGames({ size: 7, limit: 2, cursor: page.nextCursor });
+    assert.ok(page.games.length <= 2);
+    seen.push(...page.games);
+  } while (page.nextCursor);
+  assert.deepEqual(seen.map((g) => g.gameId).sort(), ids.slice().sort());
+  for (let i = 1; i < seen.length; i++) {
+    assert.ok(seen[i - 1].updatedAt >= seen[i].updatedAt);
+  }
+
+  // Both games may finish in the same millisecond; ties go by game id
+  const finished = [[ids[1], "won", 7], [ids[3], "draw", 0]];
+  const updatedAt = {};
+  for (const [id] of finished) updatedAt[id] = (await getGameDTO(id)).updatedAt;
+  finished.sort(([a], [b]) => updatedAt[a] - updatedAt[b] || (a < b ? -1 : 1));
+  page = await listGames({ size: 7, status: ["won", "draw"], order: "asc" });
+  assert.deepEqual(page.games.map((g) => [g.gameId, g.status, g.moveCount]), finished);
+  assert.equal(page.nextCursor, null);
+  assert.equal((await listGames({ size: 7, ruleSet: "renju" })).games.length, 0);
+  assert.equal((await listGames({ size: 7, from: Date.now() + 60000 })).games.length, 0);
+  await assert.rejects(listGames({ cursor: "nonsense" }), { code: "BAD_CURSOR" });
+});
+
+test("Seated players move only on their turn and act only for their color", async () => {
+  const options = { size: 9, firstPlayer: "B", winLength: 5, allowOverlines: true };
+  const online = await createGame({ ...options, mode: "online", userId: "alice", seat: "second" });
+  assert.deepEqual(online.seats, { first: null, second: "alice" });
+  const gameId = online.gameId;
+
+  // Nobody holds black yet
+  await assert.rejects(applyMove({ gameId, x: 4, y: 4, userId: "alice" }), { code: "NOT_YOUR_TURN" });
+  await assert.rejects(joinGame({ gameId, userId: "alice" }), { code: "ALREADY_SEATED" });
+  assert.deepEqual((await joinGame({ gameId, userId: "bob" })).seats, { first: "bob", second: "alice" });
+  await assert.rejects(joinGame({ gameId, userId: "carol" }), { code: "GAME_FULL" });
+
+  await applyMove({ gameId, x: 4, y: 4, userId: "bob" });
+  await assert.rejects(applyMove({ gameId, x: 5, y: 5, userId: "bob" }), { code: "NOT_YOUR_TURN" });
+  await assert.rejects(applyMove({ gameId, x: 5, y: 5 }), { code: "NOT_YOUR_TURN" });
+  await applyMove({ gameId, x: 5, y: 5, userId: "alice" });
+  await assert.rejects(resign({ gameId, player: "B", userId: "alice" }), { code: "FORBIDDEN" });
+  await assert.rejects(abort({ gameId, userId: "carol" }), { code: "FORBIDDEN" });
+  assert.equal((await resign({ gameId, player: "W", userId: "alice" })).winner, "B");
+
+  const pve = await createGame({ ...options, mode: "pve", ai: { player: "W", difficulty: "easy" }, userId: "dave" });
+  assert.deepEqual(pve.seats, { first: "dave", second: null });
+  await assert.rejects(joinGame({ gameId: pve.gameId, userId: "erin" }), { code: "NOT_JOINABLE" });
+
+  const mine = await listGames({ userId: "alice", size: 9 });
+  assert.deepEqual(mine.games.map((g) => g.gameId), [gameId]);
+  // A player name in an imported file does not pass for the seated user
+  const named = await importSgf({ content: "(;GM[4]SZ[9]PB[alice];B[ee])" });
+  assert.deepEqual((await listGames({ userId: "alice", size: 9 })).games.map((g) => g.gameId), [gameId]);
+  assert.deepEqual((await listGames({ player: "alice", size: 9 })).games.map((g) => g.gameId), [named.gameId]);
+});
+
+test("Challenges create a seated game only once accepted", async () => {
+  const host = await userDb.createUser({ email: "host@example.com", username: "host", password: "Host123!@#" });
+  const guest = await userDb.createUser({ email: "guest@example.com", username: "guest", password: "Guest123!@#" });
+  const settings = { size: 9, firstPlayer: "B", winLength: 5, allowOverlines: true };
+
+  const direct = await createChallenge({ challengerId: host.id, opponent: "guest", settings, color: "white" });
+  assert.equal(direct.opponentId, guest.id);
+  assert.equal(direct.gameId, null);
+  await assert.rejects(acceptChallenge({ challengeId: direct.challengeId, userId: host.id }), { code: "FORBIDDEN" });
+  const { challenge, game } = await acceptChallenge({ challengeId: direct.challengeId, userId: guest.id });
+  assert.equal(challenge.status, "accepted");
+  assert.equal(challenge.gameId, game.gameId);
+  assert.equal(game.config.mode, "online");
+  // The host asked for white, which the second seat plays
+  assert.deepEqual(game.seats, { first: guest.id, second: host.id });
+  await assert.rejects(declineChallenge({ challengeId: direct.challengeId, userId: guest.id }), { code: "INVALID_STATE" });
+
+  const declined = await createChallenge({ challengerId: host.id, opponent: "guest", settings });
+  assert.equal((await declineChallenge({ challengeId: declined.challengeId, userId: guest.id })).status, "declined");
+  await assert.rejects(createChallenge({ challengerId: host.id, opponent: "host", settings }), { code: "INVALID_OPPONENT" });
+  await assert.rejects(createChallenge({ challengerId: host.id, opponent: "nobody", settings }), { code: "NOT_FOUND" });
+
+  // Invite links: anyone but the challenger can accept, once
+  const link = await createChallenge({ challengerId: host.id, settings, color: "black" });
+  assert.ok(link.invite && link.token);
+  await assert.rejects(acceptInvite({ token: link.token, userId: host.id }), { code: "FORBIDDEN" });
+  const joined = await acceptInvite({ token: link.token, userId: "someone" });
+  assert.deepEqual(joined.game.seats, { first: host.id, second: "someone" });
+  await assert.rejects(acceptInvite({ token: link.token, userId: "another" }), { code: "INVALID_STATE" });
+
+  const cancelled = await createChallenge({ challengerId: host.id, settings });
+  await assert.rejects(cancelChallenge({ challengeId: cancelled.challengeId, userId: guest.id }), { code: "FORBIDDEN" });
+  await cancelChallenge({ challengeId: cancelled.challengeId, userId: host.id });
+  await assert.rejects(acceptInvite({ token: cancelled.token, userId: guest.id }), { code: "INVALID_STATE" });
+
+  const expired = await createChallenge({ challengerId: host.id, opponent: "guest", settings, ttlMs: -1 });
+  await assert.rejects(acceptChallenge({ challengeId: expired.challengeId, userId: guest.id }), { code: "INVALID_STATE" });
+
+  const { incoming, outgoing } = await listChallenges({ userId: guest.id });
+  assert.deepEqual(incoming.map((c) => c.status).sort(), ["accepted", "declined", "expired"]);
+  assert.equal(outgoing.length, 0);
+  assert.ok(incoming.every((c) => c.token === null));
+  const pending = await listChallenges({ userId: host.id, status: ["pending"] });
+  assert.equal(pending.outgoing.length, 0);
+});
+
+test("Matchmaking pairs similar ratings and widens the window while players wait", async () => {
+  const blitz = { type: "fischer", initialMs: 180000, incrementMs: 2000 };
+  await joinQueue({ userId: "mm-a", ruleSet: "renju", timeControl: blitz, rating: 1500 });
+  await joinQueue({ userId: "mm-b", ruleSet: "renju", timeControl: blitz, rating: 1800 });
+  // Same rating but another pool
+  await joinQueue({ userId: "mm-c", ruleSet: "caro", timeControl: blitz, rating: 1800 });
+  assert.deepEqual(await findMatches(), []);
+
+  // 300 points apart: paired once both windows have grown that far
+  const wait = ((300 - RATING_WINDOW.initial) / RATING_WINDOW.step) * RATING_WINDOW.stepMs;
+  assert.deepEqual(await findMatches(Date.now() + wait - RATING_WINDOW.stepMs), []);
+  const [game, ...rest] = await findMatches(Date.now() + wait);
+  assert.equal(rest.length, 0);
+  assert.deepEqual([game.seats.first, game.seats.second].sort(), ["mm-a", "mm-b"]);
+  assert.equal(game.config.mode, "online");
+  assert.equal(game.config.ruleSet, "renju");
+  assert.equal(game.clock.timeControl.incrementMs, 2000);
+  assert.equal(getQueueEntry("mm-a"), null);
+
+  assert.equal(getQueueEntry("mm-c").window, RATING_WINDOW.initial);
+  assert.equal(leaveQueue("mm-c", "other-socket"), false);
+  assert.equal(leaveQueue("mm-c"), true);
+  assert.equal(getQueueEntry("mm-c"), null);
+
+  // A socket that disconnects while its rating is read leaves no entry behind
+  const joining = joinQueue({ userId: "mm-d", socketId: "s-d", ruleSet: "renju", timeControl: blitz });
+  assert.equal(leaveQueue("mm-d", "s-d"), true);
+  await joining;
+  assert.equal(getQueueEntry("mm-d"), null);
+});
+
+test("Rated games update Glicko-2 ratings per category with history and leaderboards", async () => {
+  const blitz = { type: "fischer", initialMs: 180000, incrementMs: 2000 };
+  assert.equal(speedOf(blitz), "blitz");
+  assert.equal(speedOf({ type: "sudden", initialMs: 60000 }), "bullet");
+  assert.equal(speedOf(null), "untimed");
+
+  const options = { size: 9, firstPlayer: "B", winLength: 5, allowOverlines: true, ruleSet: "caro", timeControl: blitz, mode: "online" };
+  const ratedGame = () => createGame({ ...options, rated: true, userId: "r-ann", opponentId: "r-ben" });
+
+  // Ann (first seat, Black) beats Ben: both start at 1500 / 350
+  let { gameId } = await ratedGame();
+  let dto = await resign({ gameId, player: "W", userId: "r-ben" });
+  assert.deepEqual(dto.ratingChanges, {
+    ruleSet: "caro",
+    speed: "blitz",
+    B: { userId: "r-ann", before: 1500, after: 1662, change: 162 },
+    W: { userId: "r-ben", before: 1500, after: 1338, change: -162 },
+  });
+  // Unrated and aborted games leave ratings alone
+  ({ gameId } = await createGame({ ...options, userId: "r-ann", opponentId: "r-ben" }));
+  assert.equal((await resign({ gameId, player: "B", userId: "r-ann" })).ratingChanges, null);
+  ({ gameId } = await ratedGame());
+  assert.equal((await abort({ gameId, userId: "r-ann" })).ratingChanges, null);
+
+  const [ann] = await getPlayerRatings("r-ann");
+  assert.deepEqual([ann.ruleSet, ann.speed, ann.rating, ann.games, ann.wins, ann.provisional], ["caro", "blitz", 1662, 1, 1, true]);
+  const { history } = await getRatingHistory({ userId: "r-ben", ruleSet: "caro", speed: "blitz" });
+  assert.deepEqual(history.map((h) => [h.result, h.change, h.opponentId]), [["loss", -162, "r-ann"]]);
+
+  // Provisional ratings stay off the leaderboard until the deviation is low
+  assert.equal((await getLeaderboard({ ruleSet: "caro", speed: "blitz" })).total, 0);
+  for (let i = 2; i <= 16; i++) {
+    ({ gameId } = await ratedGame());
+    await resign({ gameId, player: i % 3 ? "W" : "B", userId: i % 3 ? "r-ben" : "r-ann" });
+  }
+  const board = await getLeaderboard({ ruleSet: "caro", speed: "blitz", period: "week" });
+  assert.deepEqual(board.players.map((p) => [p.rank, p.userId, p.periodGames]), [[1, "r-ann", 16], [2, "r-ben", 16]]);
+  assert.ok(board.players[0].rd <= 110 && board.players[0].rating > 1500);
+  assert.equal(board.players[0].periodChange + board.players[1].periodChange, 0);
+  assert.equal((await getLeaderboard({ ruleSet: "caro", speed: "rapid" })).total, 0);
+
+  // A rating left idle for long is provisional again
+  const stored = ratingDb.getRating("r-ann:caro:blitz");
+  ratingDb.ratings.set(stored.id, { ...stored, lastGameAt: Date.now() - 400 * 24 * 3600 * 1000 });
+  assert.deepEqual((await getLeaderboard({ ruleSet: "caro", speed: "blitz" })).players.map((p) => p.userId), ["r-ben"]);
+});
+
+test("Rated games ending at the same time both count for a player", async () => {
+  const blitz = { type: "fischer", initialMs: 180000, incrementMs: 2000 };
+  const options = { size: 9, firstPlayer: "B", winLength: 5, allowOverlines: true, ruleSet: "caro", timeControl: blitz, mode: "online", rated: true };
+  const games = await Promise.all(["r-dan", "r-eve"].map((opponentId) => createGame({ ...options, userId: "r-cat", opponentId })));
+  const dtos = await Promise.all(games.map((g) => resign({ gameId: g.gameId, player: "W", userId: g.seats.second })));
+
+  const [cat] = await getPlayerRatings("r-cat");
+  assert.deepEqual([cat.games, cat.wins], [2, 2]);
+  // The game rated second started from the rating the first one left
+  const [first, second] = dtos.map((d) => d.ratingChanges.B).sort((a, b) => a.before - b.before);
+  assert.deepEqual([first.before, second.before, second.after], [1500, first.after, cat.rating]);
+  assert.equal((await getGameDTO(games[1].gameId)).ratingChanges.B.after, dtos[1].ratingChanges.B.after);
+  const { history } = await getRatingHistory({ userId: "r-cat", ruleSet: "caro", speed: "blitz" });
+  assert.equal(history.length, 2);
+});
+
+test("Tournaments pair each round, advance when its games end and rank the players", async () => {
+  const settings = { size: 9, firstPlayer: "B", winLength: 5, allowOverlines: true, ruleSet: "freestyle", opening: "none", timeControl: { type: "sudden", initialMs: 600000 }, takebacks: { mode: "request", limit: null }, rated: false };
+  const open = (format, players) => async () => {
+    const { tournamentId } = await createTournament({ name: format, format, settings, opensAt: Date.now(), closesAt: Date.now() + 60000, createdBy: "admin" });
+    for (const userId of players) await register({ tournamentId, userId });
+    return tournamentId;
+  };
+  // Plays the current round: `pick` names each pairing's winner, or null to draw
+  const playRound = async (tournamentId, pick) => {
+    const { rounds } = await getTournament(tournamentId);
+    for (const p of rounds[rounds.length - 1].pairings.filter((p) => !p.result)) {
+      const game = await getGameDTO(p.games[p.games.length - 1]);
+      const colorOf = (userId) => game.colors[game.seats.first === userId ? "first" : "second"];
+      const winner = pick(p);
+      if (winner === null) {
+        await offerDraw({ gameId: game.gameId, player: colorOf(p.first), userId: p.first });
+        await respondToDraw({ gameId: game.gameId, player: colorOf(p.second), accept: true, userId: p.second });
+      } else {
+        const loser = winner === p.first ? p.second : p.first;
+        await resign({ gameId: game.gameId, player: colorOf(loser), userId: loser });
+      }
+    }
+  };
+  const lowerSeed = (p) => [p.first, p.second].sort()[0];
+
+  // Swiss, 4 players: 2 rounds, winners meet in the second
+  const swiss = await open("swiss", ["s-a", "s-b", "s-c", "s-d"])();
+  await assert.rejects(register({ tournamentId: swiss, userId: "s-a" }), { code: "ALREADY_REGISTERED" });
+  let t = await startTournament(swiss);
+  assert.deepEqual([t.status, t.totalRounds], ["running", 2]);
+  assert.deepEqual(t.rounds[0].pairings.map((p) => [p.first, p.second]), [["s-a", "s-b"], ["s-c", "s-d"]]);
+  const game = await getGameDTO(t.rounds[0].pairings[0].games[0]);
+  assert.deepEqual([game.tournamentId, game.seats.first, game.seats.second], [swiss, "s-a", "s-b"]);
+  // Black's clock runs before the first stone, so nobody can hold up the round
+  assert.equal(game.clock.running, "B");
+  await assert.rejects(register({ tournamentId: swiss, userId: "s-e" }), { code: "INVALID_STATE" });
+
+  await playRound(swiss, lowerSeed);
+  t = await getTournament(swiss);
+  assert.deepEqual(t.rounds[1].pairings.map((p) => [p.first, p.second].sort()), [["s-a", "s-c"], ["s-b", "s-d"]]);
+  await playRound(swiss, lowerSeed);
+  let standings = await getStandings(swiss);
+  assert.deepEqual([standings.status, standings.winnerId], ["finished", "s-a"]);
+  // s-b and s-c tie on points and Buchholz; the better seed goes first
+  assert.deepEqual(standings.standings.map((s) => [s.userId, s.points, s.buchholz]), [["s-a", 2, 2], ["s-b", 1, 2], ["s-c", 1, 2], ["s-d", 0, 2]]);
+
+  // Single elimination, 3 players: the top seed has a bye and a drawn game is replayed with seats swapped
+  const knockout = await open("single_elimination", ["k-x", "k-y", "k-z"])();
+  t = await startTournament(knockout);
+  assert.deepEqual(t.rounds[0].pairings.map((p) => [p.first, p.second, p.result]), [["k-x", null, "first"], ["k-y", "k-z", null]]);
+  await playRound(knockout, () => null);
+  t = await getTournament(knockout);
+  const replay = await getGameDTO(t.rounds[0].pairings[1].games[1]);
+  assert.deepEqual([replay.seats.first, replay.seats.second], ["k-z", "k-y"]);
+  await playRound(knockout, () => "k-z");
+  await playRound(knockout, lowerSeed);
+  standings = await getStandings(knockout);
+  assert.deepEqual([standings.status, standings.winnerId], ["finished", "k-x"]);
+  assert.deepEqual(standings.standings.map((s) => [s.userId, s.eliminatedInRound]), [["k-x", null], ["k-z", 2], ["k-y", 1]]);
+
+  // Registration closing starts a tournament without anyone reading it
+  const { tournamentId } = await createTournament({ name: "timer", format: "round_robin", settings, opensAt: Date.now(), closesAt: Date.now() + 100, createdBy: "admin" });
+  for (const userId of ["r-p", "r-q"]) await register({ tournamentId, userId });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(tournamentDb.getTournament(tournamentId).status, "running");
+
+  // A start that fails while creating the games leaves the tournament as it was
+  const failing = await open("round_robin", ["f-a", "f-b"])();
+  const before = tournamentDb.getTournament(failing);
+  const save = mock.method(gameDb, "saveGame", () => {
+    throw new Error("store unavailable");
+  });
+  await assert.rejects(startTournament(failing), /store unavailable/);
+  save.mock.restore();
+  assert.deepEqual(tournamentDb.getTournament(failing), before);
+  assert.equal((await startTournament(failing)).status, "running");
+});
+
+test("Rematches swap colors, copy the settings and keep a series score", async () => {
+  const timeControl = { type: "fischer", initialMs: 300000, incrementMs: 3000 };
+  const options = { size: 9, firstPlayer: "B", winLength: 4, allowOverlines: false, ruleSet: "freestyle", timeControl, mode: "online", userId: "m-ann", opponentId: "m-ben" };
+  let { gameId } = await createGame(options);
+  await assert.rejects(offerRematch({ gameId, userId: "m-ann" }), { code: "INVALID_STATE" });
+  await resign({ gameId, player: "W", userId: "m-ben" });
+  await assert.rejects(offerRematch({ gameId, userId: "m-eve" }), { code: "FORBIDDEN" });
+
+  let { game, rematch } = await offerRematch({ gameId, userId: "m-ben" });
+  assert.deepEqual([game.rematch, rematch], [{ offeredBy: "second", gameId: null }, null]);
+  await assert.rejects(respondToRematch({ gameId, accept: true, userId: "m-ben" }), { code: "NO_REMATCH_OFFER" });
+  ({ game } = await respondToRematch({ gameId, accept: false, userId: "m-ann" }));
+  assert.equal(game.rematch, null);
+
+  await offerRematch({ gameId, userId: "m-ann" });
+  // Accepted twice at once: the version check lets one start the rematch
+  const accepts = await Promise.allSettled([1, 2].map(() => respondToRematch({ gameId, accept: true, userId: "m-ben" })));
+  assert.deepEqual(accepts.map((r) => r.reason?.code ?? r.status), ["fulfilled", "CONFLICT"]);
+  ({ game, rematch } = accepts[0].value);
+  assert.equal(game.rematch.gameId, rematch.gameId);
+  assert.deepEqual(game.series, { id: gameId, number: 1, previousGameId: null, score: { first: 1, second: 0, draws: 0 } });
+  // Ben opens with Black now; board, rules and clock are those of the first game
+  assert.deepEqual([rematch.seats, rematch.colors.first, rematch.size], [{ first: "m-ben", second: "m-ann" }, "B", 9]);
+  assert.deepEqual(rematch.config, game.config);
+  assert.deepEqual(rematch.clock.timeControl, timeControl);
+  assert.deepEqual(rematch.series, { id: gameId, number: 2, previousGameId: gameId, score: { first: 1, second: 0, draws: 0 } });
+  await assert.rejects(offerRematch({ gameId, userId: "m-ann" }), { code: "INVALID_STATE" });
+
+  // Ben wins with Black: the score stays keyed by the first game's seats
+  gameId = rematch.gameId;
+  game = await resign({ gameId, player: "W", userId: "m-ann" });
+  assert.deepEqual(game.series.score, { first: 1, second: 1, draws: 0 });
+  await offerRematch({ gameId, userId: "m-ann" });
+  ({ rematch } = await respondToRematch({ gameId, accept: true, userId: "m-ben" }));
+  assert.deepEqual([rematch.seats.first, rematch.series.number, rematch.series.score], ["m-ann", 3, { first: 1, second: 1, draws: 0 }]);
+
+  // Local games have nobody to ask: the computer switches colors at once
+  ({ gameId } = await createGame({ ...options, mode: "pve", opponentId: null, timeControl: null, ai: { player: "W", difficulty: "easy" } }));
+  await resign({ gameId, player: "B", userId: "m-ann" });
+  ({ rematch } = await offerRematch({ gameId, userId: "m-ann" }));
+  assert.deepEqual([rematch.config.ai.player, rematch.seats, rematch.moves.length], ["B", { first: null, second: "m-ann" }, 1]);
+});
+
+test("Connect6 plays two stones per turn and Pente captures pairs", async () => {
+  const play = async (gameId, cells) => {
+    let dto;
+    for (const [x, y] of cells) dto = await applyMove({ gameId, x, y });
+    return dto;
+  };
+
+  // Connect6: Black opens with one stone, then two per turn; six in a row wins
+  let { gameId } = await createGame({ size: 15, firstPlayer: "B", allowOverlines: true, ruleSet: "connect6", winLength: 6 });
+  let dto = await play(gameId, [[0, 0], [0, 5], [1, 5]]);
+  assert.deepEqual([dto.moves.map((m) => m.player).join(""), dto.nextPlayer], ["BWW", "B"]);
+  dto = await play(gameId, [[1, 0], [2, 0], [0, 6], [1, 6], [3, 0], [4, 0], [0, 7], [1, 7]]);
+  assert.equal(dto.status, "ongoing");
+  dto = await play(gameId, [[5, 0]]);
+  assert.deepEqual([dto.status, dto.winner, dto.reason, dto.winningLine.length], ["won", "B", "six_in_a_row", 6]);
+
+  // Pente: closing X O O X captures the pair; taking the move back returns it
+  ({ gameId } = await createGame({ size: 13, firstPlayer: "B", winLength: 5, allowOverlines: true, ruleSet: "pente", takebacks: { mode: "free", limit: null } }));
+  dto = await play(gameId, [[5, 5], [6, 5], [9, 9], [7, 5], [8, 5]]);
+  assert.deepEqual(dto.moves[4].captures, [{ x: 7, y: 5 }, { x: 6, y: 5 }]);
+  assert.deepEqual([dto.board[5].slice(5, 9), dto.captures], [["B", null, null, "B"], { B: 2, W: 0 }]);
+  dto = await undo({ gameId });
+  assert.deepEqual([dto.board[5].slice(5, 9), dto.captures, dto.nextPlayer], [["B", "W", "W", null], { B: 0, W: 0 }, "B"]);
+
+  // The fifth captured pair wins
+  ({ gameId } = await createGame({ size: 19, firstPlayer: "B", winLength: 5, allowOverlines: true, ruleSet: "pente" }));
+  for (let y = 0; y < 15; y += 3) {
+    dto = await play(gameId, [[0, y], [1, y], [18, y + 1], [2, y], [3, y]]);
+    if (dto.status === "ongoing") await play(gameId, [[17, y + 1]]);
+  }
+  assert.deepEqual([dto.status, dto.winner, dto.reason, dto.captures], ["won", "B", "captures", { B: 10, W: 0 }]);
+
+  // The computer only plays the plain rule sets
+  for (const ruleSet of ["connect6", "pente"]) {
+    assert.equal(readGameSettings({ ruleSet, mode: "pve" }).error, "INVALID_RULE_SET");
+  }
+  assert.equal(readGameSettings({ ruleSet: "pente" }).error, undefined);
+});
+
+test("Infinite boards grow with their stones and report the occupied box", async () => {
+  const options = { size: null, firstPlayer: "B", winLength: 5, allowOverlines: true, takebacks: { mode: "free", limit: null } };
+  let { gameId, board, bounds, stones } = await createGame(options);
+  assert.deepEqual([board, bounds, stones], [null, null, []]);
+
+  let dto = await applyMove({ gameId, x: -3, y: 2 });
+  dto = await applyMove({ gameId, x: 1e6, y: -40 });
+  assert.deepEqual(dto.bounds, { minX: -3, minY: -40, maxX: 1e6, maxY: 2 });
+  assert.deepEqual(dto.stones, [{ x: -3, y: 2, player: "B" }, { x: 1e6, y: -40, player: "W" }]);
+  await assert.rejects(applyMove({ gameId, x: -3, y: 2 }), { code: "OCCUPIED" });
+  await assert.rejects(applyMove({ gameId, x: 2 ** 53, y: 0 }), { code: "OUT_OF_BOUNDS" });
+  dto = await undo({ gameId });
+  assert.deepEqual([dto.bounds, dto.nextPlayer], [{ minX: -3, minY: 2, maxX: -3, maxY: 2 }, "W"]);
+
+  // Wins run through negative coordinates; no edge ever ends the game
+  for (const [x, y] of [[0, 0], [-2, 1], [1, 0], [-1, 0], [2, 0], [0, -1], [3, 0]]) {
+    dto = await applyMove({ gameId, x, y });
+  }
+  assert.equal(dto.status, "ongoing");
+  dto = await applyMove({ gameId, x: 1, y: -2 });
+  assert.deepEqual([dto.status, dto.winner, dto.winningLine], ["won", "B", [{ x: -3, y: 2 }, { x: -2, y: 1 }, { x: -1, y: 0 }, { x: 0, y: -1 }, { x: 1, y: -2 }]]);
+
+  // Shifted and rotated copies of a position share its canonical key
+  const a = await createGame(options);
+  const b = await createGame(options);
+  for (const [x, y] of [[0, 0], [1, 0], [0, 2]]) await applyMove({ gameId: a.gameId, x, y });
+  for (const [x, y] of [[50, -7], [50, -6], [48, -7]]) dto = await applyMove({ gameId: b.gameId, x, y });
+  const aDto = await getGameDTO(a.gameId);
+  assert.equal(dto.canonicalKey, aDto.canonicalKey);
+  assert.notEqual(dto.positionKey, aDto.positionKey);
+
+  await assert.rejects(exportSgf({ gameId }), { code: "UNSUPPORTED_BOARD" });
+  await assert.rejects(analyzeGame({ gameId }), { code: "UNSUPPORTED_BOARD" });
+});